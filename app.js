@@ -1,17 +1,496 @@
 // PSER Survey Mobile-Compatible Version with IndexedDB
 let surveyManager;
 
+// Schema Versions
+// Bump DB_VERSION and append a step to DB_MIGRATIONS whenever an object store or index
+// changes. Bump RECORD_SCHEMA_VERSION and append a step to RECORD_MIGRATIONS whenever the
+// shape of a survey record changes; that also needs a DB_VERSION bump so stored records
+// are upgraded in place once the schema steps have run.
+const DB_NAME = 'PSERDatabase';
+const DB_VERSION = 13;
+const RECORD_SCHEMA_VERSION = 6;
+const BACKUP_FORMAT_VERSION = '4.1';
+
+// Backups from 4.1 carry a SHA-256 checksum of their surveys and media. A restored record
+// missing one of these fields is rejected: they key the indexes and house codes.
+const BACKUP_CHECKSUM_ALGORITHM = 'SHA-256';
+const BACKUP_KEY_FIELDS = ['blockCode', 'houseNumber'];
+// Record ids this app writes: Date.now() strings, and letters, digits, - and _ in records
+// from elsewhere. Anything else in a restored or synced record is rejected.
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Encrypted backups wrap a plain backup file: a JSON header with the key derivation
+// and cipher parameters, and the AES-GCM ciphertext of the backup in base64
+const ENCRYPTED_BACKUP_FORMAT = 'pser-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Iteration counts accepted from a backup file. The count is read from the file, so an
+// unbounded one would let a crafted backup stall the app when it is restored.
+const BACKUP_KDF_ITERATION_RANGE = { min: 100000, max: 2000000 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Record fields that are only stored encrypted, in addition to questionnaire fields
+// marked "sensitive". Photos and signatures are always stored encrypted.
+const SENSITIVE_RECORD_FIELDS = ['respondentName', 'hohName', 'hohFatherName', 'hohCnic', 'contactNumber', 'members', 'duplicateOverride'];
+const MIN_PIN_LENGTH = 6;
+
+// Sealed records carry cnicIndex, an HMAC of the HOH CNIC's 13 digits under the keyring's
+// index key, so exact CNIC lookups can use an index without the CNIC being stored in clear
+const CNIC_DIGITS = 13;
+
+// Stores holding sealed items, in the order resealStoredData() works through them
+const RESEALED_STORES = ['surveys', 'media', 'changeLog', 'drafts', 'recycleBin', 'snapshotItems'];
+
+// Records are read this many at a time when every record has to be looked at, so
+// decrypting them never holds the whole store in memory
+const SURVEY_READ_BATCH_SIZE = 50;
+
+// Stored data is encrypted with random data keys. The keyring in localStorage holds them
+// encrypted under a random device key. The index key behind cnicIndex is kept the same
+// way as the data keys. Every account has an RSA key pair, its private key encrypted under
+// the account's PIN, and holds its own copy of the device key encrypted to its public key,
+// so a new device key can be handed to every account without knowing their PINs.
+// Accounts set up before key pairs hold the device key encrypted under the PIN itself
+// ({ iv, wrapped }) until their next sign-in. Version 1 keyrings had a single shared PIN.
+//   { version, currentKeyId, keys: [{ id, iv, wrapped }], indexKey: { id, iv, wrapped },
+//     accounts: [{ id, name, role, pin: { salt, iterations, hash }, publicKey,
+//     privateKey: { iv, wrapped }, deviceKey: { wrapped } | null, failedAttempts,
+//     lockedUntil, createdAt, createdBy }] }
+// deviceKey is null for an account that lost its copy when the keys were rotated (see
+// rotateKeys()); a supervisor has to reset its PIN before it can sign in again.
+const KEYRING_STORAGE_KEY = 'pserKeyring';
+const KEYRING_VERSION = 2;
+
+// What each role may do beyond collecting, editing and finalizing records
+const ROLE_LABELS = { enumerator: 'Enumerator', supervisor: 'Supervisor' };
+const ROLE_PERMISSIONS = {
+    enumerator: [],
+    supervisor: ['clearAll', 'deleteRecord', 'restoreReplace', 'reopenRecord', 'manageAccounts']
+};
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+
+// Interface languages. English text is the key into a language's catalogue, a JSON file
+// of { "English text": "translation" } with {name} placeholders kept as they are. The
+// last catalogue that loaded is kept in localStorage so the language works offline.
+const LANGUAGES = {
+    en: { label: 'English', dir: 'ltr' },
+    ur: { label: 'اردو', dir: 'rtl', catalogue: 'locales/ur.json' }
+};
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_STORAGE_KEY = 'pserLanguage';
+
+// jsPDF's standard fonts only cover Latin text. PDF text in Arabic script (Urdu names) is
+// drawn in this embedded font, which jsPDF shapes and lays out right to left.
+const PDF_URDU_FONT = { url: 'fonts/NotoNaskhArabic-Regular.ttf', file: 'NotoNaskhArabic-Regular.ttf', name: 'NotoNaskhArabic' };
+const ARABIC_SCRIPT = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+// Sections, fields and labels of the form. The last copy that loaded is kept in
+// localStorage under pserQuestionnaire so the form still renders offline.
+// Field properties: key, label, type, required, min/max, pattern + patternMessage,
+// options (radio/select), default, compute ("houseCode", { sum: [keys] } or
+// { count: <roster key>, where: { memberField: value } }), memberFields (roster),
+// format ("cnic"/"phone" input masks), newRow, and display hints: short (cards),
+// card: false, exportLabel/exportWidth (Excel), pdfLabel/pdfWidth (PDF columns),
+// summary ("sum" or { count, label }), geo (carried as an attribute in GeoJSON/KML
+// exports) and sensitive (stored encrypted, along with the rest of its group if it has
+// one). A section with a group stores its fields under record[group] and gets its own
+// Excel sheet.
+// Rules (questionnaire.rules) check answers across the form: { id, field, severity
+// ("error" blocks the save, "warning" can be confirmed), message, when: { key: value },
+// min, max, pattern, check (a name in RULE_CHECKS) }. A rule only applies when its
+// field has an answer and every "when" answer matches.
+const QUESTIONNAIRE_URL = 'questionnaire.json';
+const QUESTIONNAIRE_FIELD_TYPES = ['text', 'number', 'date', 'radio', 'select', 'location', 'photo', 'signature', 'roster'];
+const MEMBER_FIELD_TYPES = ['text', 'number', 'date', 'radio', 'select'];
+const RULE_SEVERITIES = ['error', 'warning'];
+
+// Checks a rule can name for what min, max and pattern cannot express. Each gets the
+// answer, the whole record and the rule, and returns true when the answer passes.
+const RULE_CHECKS = {
+    // The last digit of a CNIC is odd for men and even for women. Compared against the
+    // roster member picked by rule.members (roster key) and rule.where.
+    cnicMatchesGender(value, record, rule) {
+        const where = Object.entries(rule.where || {});
+        const member = (record[rule.members] || []).find(m => where.every(([key, expected]) => m[key] === expected));
+        if (!member || !['male', 'female'].includes(member.gender)) return true;
+
+        const digit = parseInt(String(value).slice(-1));
+        return isNaN(digit) || (digit % 2 === 1) === (member.gender === 'male');
+    }
+};
+
+// Point colours on the block map, by what the household record is still missing
+const MAP_STATUS_STYLES = {
+    complete: { color: '#27ae60', label: 'Complete' },
+    missingPhoto: { color: '#e67e22', label: 'Missing photo' },
+    missingSignature: { color: '#8e44ad', label: 'Missing signature' },
+    missingBoth: { color: '#e74c3c', label: 'Missing photo & signature' }
+};
+
+// Operators offered by the filter panel for each kind of field
+const FILTER_OPERATORS = {
+    text: [['contains', 'contains'], ['eq', 'is'], ['empty', 'is empty'], ['notEmpty', 'is not empty']],
+    number: [['eq', '='], ['ne', '≠'], ['gt', '>'], ['gte', '≥'], ['lt', '<'], ['lte', '≤'], ['between', 'between']],
+    date: [['on', 'on'], ['after', 'on or after'], ['before', 'on or before'], ['between', 'between']],
+    option: [['eq', 'is'], ['ne', 'is not']],
+    presence: [['has', 'captured'], ['missing', 'not captured']]
+};
+
+// User-adjustable settings, stored in localStorage under pserSettings
+const DEFAULT_SETTINGS = {
+    media: {
+        maxDimension: 1280,
+        quality: 0.7,
+        thumbnailDimension: 160
+    },
+    location: {
+        windowSeconds: 20,
+        accuracyLimit: 20,
+        boundaryBuffer: 25
+    },
+    security: {
+        autoLockMinutes: 5
+    },
+    snapshots: {
+        intervalHours: 24,
+        maxCount: 7,
+        maxSizeMB: 200
+    },
+    recycleBin: {
+        retentionDays: 30
+    },
+    sync: {
+        endpoint: '',
+        authToken: '',
+        autoSync: true,
+        intervalMinutes: 5
+    }
+};
+
+// Why a snapshot of the survey and media stores was taken, as shown in the snapshot list
+const SNAPSHOT_REASONS = {
+    scheduled: 'Scheduled',
+    manual: 'Taken by hand',
+    'before-clear': 'Before clearing all data',
+    'before-replace': 'Before replacing from a backup',
+    'before-merge': 'Before merging a backup',
+    'before-snapshot-restore': 'Before restoring a snapshot'
+};
+
+// Records and media are copied into a snapshot this many at a time, so taking one never
+// holds a whole store, photos included, in memory
+const SNAPSHOT_BATCH_SIZE = 20;
+
+// Backups written before records carried a schemaVersion, keyed by their declared version
+const LEGACY_BACKUP_SCHEMA_VERSIONS = {
+    '3.0': 1
+};
+
+// Each step upgrades the database from (version - 1) to version
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create surveys store',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('surveys')) {
+                db.createObjectStore('surveys', { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Index surveys by house number, CNIC and timestamp',
+        upgrade(db, transaction) {
+            const store = transaction.objectStore('surveys');
+            ['houseNumber', 'hohCnic', 'timestamp'].forEach(name => {
+                if (!store.indexNames.contains(name)) {
+                    store.createIndex(name, name, { unique: false });
+                }
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Upgrade stored records to record schema v2',
+        upgrade() {
+            // Records are upgraded by migrateStoredRecords() after the schema steps
+        }
+    },
+    {
+        version: 4,
+        description: 'Create media store for photos and signatures',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('media')) {
+                const store = db.createObjectStore('media', { keyPath: 'id' });
+                store.createIndex('surveyId', 'surveyId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Create sync outbox and queue every existing survey for upload',
+        upgrade(db, transaction) {
+            if (!db.objectStoreNames.contains('outbox')) {
+                db.createObjectStore('outbox', { keyPath: 'surveyId' });
+            }
+
+            const outbox = transaction.objectStore('outbox');
+            const request = transaction.objectStore('surveys').openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                outbox.put({
+                    surveyId: cursor.primaryKey,
+                    op: 'upsert',
+                    baseRevision: null,
+                    queuedAt: new Date().toISOString(),
+                    attempts: 0,
+                    nextAttemptAt: 0,
+                    lastError: null
+                });
+                cursor.continue();
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'Index surveys by created/updated time and add the change log',
+        upgrade(db, transaction) {
+            const store = transaction.objectStore('surveys');
+            if (store.indexNames.contains('timestamp')) {
+                store.deleteIndex('timestamp');
+            }
+            ['createdAt', 'updatedAt'].forEach(name => {
+                if (!store.indexNames.contains(name)) {
+                    store.createIndex(name, name, { unique: false });
+                }
+            });
+
+            if (!db.objectStoreNames.contains('changeLog')) {
+                const log = db.createObjectStore('changeLog', { keyPath: 'seq', autoIncrement: true });
+                log.createIndex('surveyId', 'surveyId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Index surveys by block and house code for duplicate checks',
+        upgrade(db, transaction) {
+            const store = transaction.objectStore('surveys');
+            if (!store.indexNames.contains('blockHouse')) {
+                store.createIndex('blockHouse', ['blockCode', 'houseCode'], { unique: false });
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Upgrade stored records to record schema v6',
+        upgrade() {
+            // Records are upgraded by migrateStoredRecords() after the schema steps
+        }
+    },
+    {
+        version: 9,
+        description: 'Create boundaries store for block polygons',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('boundaries')) {
+                db.createObjectStore('boundaries', { keyPath: 'blockCode' });
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Replace the CNIC index with the blind cnicIndex key (filled in as records are sealed)',
+        upgrade(db, transaction) {
+            const store = transaction.objectStore('surveys');
+            if (store.indexNames.contains('hohCnic')) {
+                store.deleteIndex('hohCnic');
+            }
+            if (!store.indexNames.contains('cnicIndex')) {
+                store.createIndex('cnicIndex', 'cnicIndex', { unique: false });
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'Create snapshot stores: the list and the copies it describes',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('snapshots')) {
+                db.createObjectStore('snapshots', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('snapshotItems')) {
+                db.createObjectStore('snapshotItems', { keyPath: ['snapshotId', 'store', 'id'] });
+            }
+        }
+    },
+    {
+        version: 12,
+        description: 'Create recycle bin store for deleted records',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('recycleBin')) {
+                const store = db.createObjectStore('recycleBin', { keyPath: 'id' });
+                store.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 13,
+        description: 'Create drafts store for autosaved interviews',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('drafts')) {
+                db.createObjectStore('drafts', { keyPath: 'id' });
+            }
+        }
+    }
+];
+
+// Each step upgrades a single record from (version - 1) to version. Steps must be
+// synchronous because they also run inside the database upgrade transaction, and must
+// not depend on anything that can change later (such as the current form layout).
+// Steps that move data out of the record hand it to context.addMedia().
+const RECORD_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Fill missing defaults and normalise numeric fields',
+        migrate(record) {
+            const toInt = (value, fallback = 0) => {
+                const number = parseInt(value, 10);
+                return isNaN(number) ? fallback : number;
+            };
+            const groups = {
+                livestock: ['buffalo', 'cow', 'goat', 'sheep'],
+                transport: ['motorcycle', 'car', 'van', 'scooter'],
+                appliances: ['solar', 'ac', 'geyser', 'washingMachine', 'fridge']
+            };
+
+            record.blockCode = record.blockCode !== undefined && record.blockCode !== null ? String(record.blockCode) : '';
+            record.houseNumber = toInt(record.houseNumber);
+            record.familiesCount = toInt(record.familiesCount, 1);
+            record.xFamily = record.xFamily === 'yes' ? 'yes' : 'no';
+            record.houseCode = record.houseCode || '';
+            ['respondentName', 'hohName', 'hohFatherName', 'hohCnic', 'contactNumber'].forEach(field => {
+                record[field] = record[field] ? String(record[field]) : '';
+            });
+            ['maleMembers', 'femaleMembers', 'othersMembers'].forEach(field => {
+                record[field] = toInt(record[field]);
+            });
+            record.totalMembers = record.maleMembers + record.femaleMembers + record.othersMembers;
+            record.registerNumber = record.registerNumber ? toInt(record.registerNumber, null) : null;
+            record.location = record.location || null;
+            record.photo = record.photo || null;
+            record.signature = record.signature || null;
+
+            Object.entries(groups).forEach(([group, keys]) => {
+                const values = record[group] && typeof record[group] === 'object' ? record[group] : {};
+                record[group] = {};
+                keys.forEach(key => {
+                    record[group][key] = toInt(values[key]);
+                });
+            });
+
+            record.timestamp = record.timestamp || new Date(toInt(record.id, Date.now())).toISOString();
+            return record;
+        }
+    },
+    {
+        version: 3,
+        description: 'Move inline photo and signature data URLs into the media store',
+        migrate(record, context) {
+            [['photo', 'photoId'], ['signature', 'signatureId']].forEach(([field, idField]) => {
+                const dataUrl = record[field];
+                record[idField] = record[idField] || null;
+
+                if (typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
+                    const id = `${record.id}-${field}`;
+                    context.addMedia({
+                        id,
+                        surveyId: record.id,
+                        kind: field,
+                        dataUrl,
+                        createdAt: record.timestamp
+                    });
+                    record[idField] = id;
+                }
+                delete record[field];
+            });
+            return record;
+        }
+    },
+    {
+        version: 4,
+        description: 'Track sync state per record',
+        migrate(record) {
+            record.sync = record.sync || {
+                state: 'pending',
+                revision: null,
+                syncedAt: null,
+                error: null
+            };
+            return record;
+        }
+    },
+    {
+        version: 5,
+        description: 'Replace timestamp with created/updated time and author',
+        migrate(record) {
+            const timestamp = record.timestamp || new Date().toISOString();
+            record.createdAt = record.createdAt || timestamp;
+            record.updatedAt = record.updatedAt || timestamp;
+            record.createdBy = record.createdBy || null;
+            record.updatedBy = record.updatedBy || null;
+            delete record.timestamp;
+            return record;
+        }
+    },
+    {
+        version: 6,
+        description: 'Add the household member roster',
+        migrate(record) {
+            // Aggregate member counts are kept as they are; they are only derived from
+            // the roster once members have been entered for the household
+            record.members = Array.isArray(record.members) ? record.members : [];
+            return record;
+        }
+    }
+];
+
 class PSERSurvey {
     constructor() {
         this.database = null;
-        this.surveys = [];
         this.currentEditId = null;
         this.currentLocation = null;
         this.currentPhoto = null;
         this.currentSignature = null;
+        this.currentDraftId = null;
+        this.draftDirty = false;
+        this.draftTimer = null;
+        this.draftWrite = Promise.resolve();
         this.defaultBlockCode = "162030416";
         this.isDrawing = false;
         this.deferredPrompt = null;
+        this.settings = null;
+        this.previewUrls = {};
+        this.questionnaire = null;
+        this.currentEditRecord = null;
+        this.currentMembers = [];
+        this.editingMemberIndex = null;
+        this.lastQuery = null;
+        this.lastResults = null;
+        this.sort = { field: '', dir: 'asc' };
+        this.locationCapture = null;
+        this.dataKeys = null;
+        this.localCache = null;
+        this.localWrite = Promise.resolve();
+        this.resealing = false;
+        this.lastActivity = Date.now();
+        this.dialogs = [];
+        this.cancelDuplicateCheck = null;
+        this.snapshotsInProgress = new Set();
+        this.language = DEFAULT_LANGUAGE;
+        this.strings = {};
+        this.showingFieldMessages = false;
+        this.map = { points: [], origin: null, center: { x: 0, y: 0 }, scale: 1, size: { width: 300, height: 300 }, boundary: null, position: null, watchId: null, pointers: new Map(), dragDistance: 0 };
         
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.init());
@@ -22,16 +501,41 @@ class PSERSurvey {
 
     async init() {
         console.log('Initializing PSER Survey with Database...');
+        this.setupNotifications();
+        await this.loadLanguage();
+        this.setupLanguage();
+        this.applyLanguage();
         
         // Initialize database first
         await this.initDatabase();
+        this.cleanupOrphanMedia();
+
+        try {
+            await this.loadQuestionnaire();
+        } catch (error) {
+            console.error('Error loading questionnaire:', error);
+            this.showError(this.t('The survey form could not be loaded. Connect to the internet and reopen the app once so it can be saved for offline use.'), error);
+        }
+
+        this.setupAppLock();
+        this.setupAccounts();
+        await this.unlockApp();
         
         setTimeout(() => {
+            this.renderQuestionnaire();
             this.bindEvents();
             this.setupAutoCalculations();
             this.setupInputFormats();
             this.setupSignatureCanvas();
             this.setupBackupRestore();
+            this.setupSnapshots();
+            this.setupRecycleBin();
+            this.setupDrafts();
+            this.setupSettings();
+            this.setupFilters();
+            this.setupMap();
+            this.setupBoundaries();
+            this.setupSync();
             this.setupPWAInstall();
             this.setDefaultBlockCode();
             
@@ -48,8 +552,8 @@ class PSERSurvey {
         const locationPermissionAsked = localStorage.getItem('locationPermissionAsked');
         
         if (!locationPermissionAsked) {
-            setTimeout(() => {
-                if (confirm('PSER Survey App needs location access to capture house coordinates. Allow location access for better data collection?')) {
+            setTimeout(async () => {
+                if (await this.confirmDialog(this.t('PSER Survey App needs location access to capture house coordinates. Allow location access for better data collection?'), { confirmLabel: this.t('Allow'), cancelLabel: this.t('Not now') })) {
                     this.captureLocation();
                 }
                 // Mark that we've asked for permission
@@ -58,1410 +562,8538 @@ class PSERSurvey {
         }
     }
 
+    // Language Methods
+    async loadLanguage() {
+        const code = localStorage.getItem(LANGUAGE_STORAGE_KEY) || DEFAULT_LANGUAGE;
+        const language = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+        this.language = language;
+        this.strings = {};
+        if (!LANGUAGES[language].catalogue) return;
+
+        const cacheKey = `pserStrings_${language}`;
+        try {
+            const response = await fetch(LANGUAGES[language].catalogue, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.strings = await response.json();
+            localStorage.setItem(cacheKey, JSON.stringify(this.strings));
+        } catch (error) {
+            console.warn(`Strings for ${language} could not be fetched, using the saved copy:`, error);
+            this.strings = JSON.parse(localStorage.getItem(cacheKey) || '{}');
+        }
+    }
+
+    // Translates English text and fills {name} placeholders from values
+    t(text, values = {}) {
+        return this.fillPlaceholders((this.strings && this.strings[text]) || text, values);
+    }
+
+    fillPlaceholders(text, values = {}) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match);
+    }
+
+    // Translated text for markup, marked so applyLanguage() can translate it again
+    i18nHtml(text) {
+        return `<span data-i18n="${this.escapeHtml(text)}">${this.escapeHtml(this.t(text))}</span>`;
+    }
+
+    setupLanguage() {
+        const select = document.getElementById('languageSelect');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(LANGUAGES)
+            .map(([code, language]) => `<option value="${code}">${this.escapeHtml(language.label)}</option>`)
+            .join('');
+        select.addEventListener('change', () => this.setLanguage(select.value));
+    }
+
+    // Elements marked data-i18n keep their English text in the attribute the first time
+    // they are translated, so switching back to English restores it
+    applyLanguage() {
+        document.documentElement.lang = this.language;
+        document.documentElement.dir = LANGUAGES[this.language].dir;
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!element.dataset.i18n) element.dataset.i18n = element.textContent.trim();
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        [['placeholder', 'i18nPlaceholder'], ['title', 'i18nTitle']].forEach(([attribute, key]) => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                if (!element.dataset[key]) element.dataset[key] = element.getAttribute(attribute);
+                element.setAttribute(attribute, this.t(element.dataset[key]));
+            });
+        });
+
+        const select = document.getElementById('languageSelect');
+        if (select) {
+            select.value = this.language;
+        }
+    }
+
+    async setLanguage(code) {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+        await this.loadLanguage();
+        this.applyLanguage();
+
+        // Text built by the code rather than marked in the page
+        this.renderRoster();
+        this.renderFilterFields();
+        this.renderSavedViews(this.getValue('savedViews'));
+        this.setSort(this.sort.field, this.sort.dir);
+        this.updateCurrentUser();
+        this.updateSyncStatus();
+        this.updateDraftCount();
+        this.refreshFieldMessages();
+    }
+
+    // Notification Methods
+    // Messages never block the page: results show as toasts, failures in a banner that
+    // keeps the details, and questions in an in-app dialog that resolves a promise.
+    setupNotifications() {
+        this.safeAddEventListener('dialogConfirm', 'click', () => this.closeDialog(true));
+        this.safeAddEventListener('dialogCancel', 'click', () => this.closeDialog(false));
+        this.safeAddEventListener('dialogModal', 'keydown', (e) => this.handleDialogKey(e));
+        this.safeAddEventListener('errorDetailsBtn', 'click', () => {
+            const details = document.getElementById('errorDetails');
+            details.style.display = details.style.display === 'block' ? 'none' : 'block';
+        });
+        this.safeAddEventListener('errorDismiss', 'click', () => this.hideError());
+    }
+
+    // type is 'success', 'info' or 'warning'; longer messages stay up longer
+    notify(message, type = 'success') {
+        const area = document.getElementById('toastArea');
+        if (!area) return;
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'warning' ? 'alert' : 'status');
+        toast.textContent = message;
+        toast.addEventListener('click', () => toast.remove());
+        area.appendChild(toast);
+        setTimeout(() => toast.remove(), Math.min(3000 + message.length * 50, 12000));
+    }
+
+    showError(message, error = null) {
+        const banner = document.getElementById('errorBanner');
+        if (!banner) return;
+
+        document.getElementById('errorMessage').textContent = message;
+        const details = document.getElementById('errorDetails');
+        details.textContent = error ? (error.stack || error.message || String(error)) : '';
+        details.style.display = 'none';
+        document.getElementById('errorDetailsBtn').style.display = error ? '' : 'none';
+        banner.style.display = 'block';
+    }
+
+    hideError() {
+        const banner = document.getElementById('errorBanner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+    }
+
+    // Resolves to true when confirmed
+    confirmDialog(message, { confirmLabel = this.t('OK'), cancelLabel = this.t('Cancel') } = {}) {
+        return this.openDialog({ message, confirmLabel, cancelLabel, input: null });
+    }
+
+    // Resolves to the entered text, or null when cancelled
+    promptDialog(message, { value = '', type = 'text', confirmLabel = this.t('OK'), cancelLabel = this.t('Cancel') } = {}) {
+        return this.openDialog({ message, confirmLabel, cancelLabel, input: { value, type } });
+    }
+
+    // Dialogs asked for while one is open wait their turn
+    openDialog(dialog) {
+        return new Promise((resolve) => {
+            this.dialogs.push({ ...dialog, resolve, returnFocus: null });
+            if (this.dialogs.length === 1) {
+                this.showDialog();
+            }
+        });
+    }
+
+    showDialog() {
+        const dialog = this.dialogs[0];
+        const modal = document.getElementById('dialogModal');
+        if (!dialog || !modal) return;
+
+        dialog.returnFocus = document.activeElement;
+        document.getElementById('dialogMessage').textContent = dialog.message;
+        document.getElementById('dialogConfirm').textContent = dialog.confirmLabel;
+        document.getElementById('dialogCancel').textContent = dialog.cancelLabel;
+
+        const input = document.getElementById('dialogInput');
+        input.style.display = dialog.input ? 'block' : 'none';
+        if (dialog.input) {
+            input.type = dialog.input.type;
+            input.value = dialog.input.value;
+        }
+
+        modal.style.display = 'flex';
+        if (dialog.input) {
+            input.focus();
+            input.select();
+        } else {
+            document.getElementById('dialogConfirm').focus();
+        }
+    }
+
+    closeDialog(confirmed) {
+        const dialog = this.dialogs.shift();
+        if (!dialog) return;
+
+        const input = document.getElementById('dialogInput');
+        const value = dialog.input ? (confirmed ? input.value : null) : confirmed;
+        input.value = '';
+        document.getElementById('dialogModal').style.display = 'none';
+        if (dialog.returnFocus && typeof dialog.returnFocus.focus === 'function') {
+            dialog.returnFocus.focus();
+        }
+
+        dialog.resolve(value);
+        this.showDialog();
+    }
+
+    // Keeps Tab inside the dialog; Escape cancels and Enter in the text box confirms
+    handleDialogKey(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeDialog(false);
+            return;
+        }
+        if (e.key === 'Enter' && e.target.id === 'dialogInput') {
+            e.preventDefault();
+            this.closeDialog(true);
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = ['dialogInput', 'dialogConfirm', 'dialogCancel']
+            .map(id => document.getElementById(id))
+            .filter(element => element.style.display !== 'none');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Answers every open question with "cancel", e.g. when the app locks
+    cancelDialogs() {
+        while (this.dialogs.length > 0) {
+            this.closeDialog(false);
+        }
+    }
+
     // Database Methods - Using IndexedDB
     async initDatabase() {
         return new Promise((resolve) => {
-            const request = indexedDB.open('PSERDatabase', 2);
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
             
             request.onerror = (event) => {
-                console.error('Database failed to open:', event.target.error);
-                this.loadFromLocalStorage();
+                console.error('Database failed to open, falling back to localStorage:', event.target.error);
                 resolve();
             };
             
+            request.onblocked = () => {
+                console.warn('Database upgrade blocked by another open tab');
+            };
+            
             request.onsuccess = (event) => {
                 this.database = event.target.result;
+                this.database.onversionchange = () => {
+                    // Let a newer version of the app in another tab upgrade the schema
+                    this.database.close();
+                    this.database = null;
+                };
                 console.log('Database opened successfully');
-                this.loadFromDatabase().then(resolve);
+                resolve();
             };
             
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                console.log('Database upgrade needed');
-                
-                // Create object store if it doesn't exist
-                if (!db.objectStoreNames.contains('surveys')) {
-                    const store = db.createObjectStore('surveys', { keyPath: 'id' });
-                    store.createIndex('houseNumber', 'houseNumber', { unique: false });
-                    store.createIndex('hohCnic', 'hohCnic', { unique: false });
-                    store.createIndex('timestamp', 'timestamp', { unique: false });
-                    console.log('Object store created');
-                }
+                console.log(`Database upgrade needed: v${event.oldVersion} -> v${event.newVersion}`);
+                this.runDatabaseMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
             };
         });
     }
 
-    async loadFromDatabase() {
-        return new Promise((resolve) => {
-            if (!this.database) {
-                console.log('No database available, loading from localStorage');
-                this.loadFromLocalStorage();
-                resolve();
+    // Migration Methods
+    runDatabaseMigrations(db, transaction, oldVersion, newVersion) {
+        DB_MIGRATIONS
+            .filter(step => step.version > oldVersion && step.version <= newVersion)
+            .sort((a, b) => a.version - b.version)
+            .forEach(step => {
+                console.log(`Applying database migration v${step.version}: ${step.description}`);
+                step.upgrade(db, transaction, this);
+            });
+
+        this.migrateStoredRecords(transaction);
+    }
+
+    migrateStoredRecords(transaction) {
+        const request = transaction.objectStore('surveys').openCursor();
+        const mediaStore = transaction.objectStore('media');
+        let upgraded = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                console.log(`Upgraded ${upgraded} stored records to schema v${RECORD_SCHEMA_VERSION}`);
                 return;
             }
-            
-            const transaction = this.database.transaction(['surveys'], 'readonly');
-            const store = transaction.objectStore('surveys');
-            const request = store.getAll();
-            
-            request.onsuccess = (event) => {
-                this.surveys = event.target.result || [];
-                console.log(`Loaded ${this.surveys.length} records from database`);
-                
-                // Also save to localStorage as backup
-                if (this.surveys.length > 0) {
-                    this.saveToLocalStorage();
-                }
-                resolve();
-            };
-            
-            request.onerror = (event) => {
-                console.error('Error loading from database:', event.target.error);
-                this.loadFromLocalStorage();
-                resolve();
-            };
-        });
+            if ((cursor.value.schemaVersion || 1) < RECORD_SCHEMA_VERSION) {
+                const media = [];
+                cursor.update(this.migrateRecord(cursor.value, 1, media));
+                media.forEach(entry => mediaStore.put(this.mediaFromDataUrl(entry)));
+                upgraded++;
+            }
+            cursor.continue();
+        };
     }
 
-    async saveToDatabase() {
-        if (!this.database) {
-            console.log('No database available, saving to localStorage only');
-            this.saveToLocalStorage();
-            return;
+    // Upgrades a record to RECORD_SCHEMA_VERSION. fromVersion is only needed for records
+    // that do not carry a schemaVersion of their own (pre-versioning data and backups).
+    // Any photos or signatures split out of the record are appended to media.
+    migrateRecord(record, fromVersion = 1, media = []) {
+        const startVersion = record.schemaVersion || fromVersion;
+
+        if (startVersion > RECORD_SCHEMA_VERSION) {
+            throw new Error(`Record ${record.id} uses schema v${startVersion}, newer than this app supports (v${RECORD_SCHEMA_VERSION})`);
         }
-        
-        return new Promise((resolve, reject) => {
-            const transaction = this.database.transaction(['surveys'], 'readwrite');
-            const store = transaction.objectStore('surveys');
-            
-            // Clear all existing data first
-            const clearRequest = store.clear();
-            
-            clearRequest.onsuccess = () => {
-                // Add all surveys
-                const addPromises = this.surveys.map(survey => {
-                    return new Promise((resolveAdd, rejectAdd) => {
-                        const addRequest = store.add(survey);
-                        addRequest.onsuccess = () => resolveAdd();
-                        addRequest.onerror = () => rejectAdd(addRequest.error);
-                    });
-                });
-                
-                Promise.all(addPromises).then(() => {
-                    console.log(`Saved ${this.surveys.length} records to database`);
-                    // Also save to localStorage as backup
-                    this.saveToLocalStorage();
-                    resolve();
-                }).catch(error => {
-                    console.error('Error adding records to database:', error);
-                    this.saveToLocalStorage();
-                    resolve();
-                });
-            };
-            
-            clearRequest.onerror = (event) => {
-                console.error('Error clearing database:', event.target.error);
-                this.saveToLocalStorage();
-                resolve();
-            };
-            
-            transaction.onerror = (event) => {
-                console.error('Transaction error:', event.target.error);
-                this.saveToLocalStorage();
-                resolve();
-            };
-        });
+
+        const context = {
+            addMedia: (entry) => media.push(entry)
+        };
+
+        let migrated = { ...record };
+        RECORD_MIGRATIONS
+            .filter(step => step.version > startVersion && step.version <= RECORD_SCHEMA_VERSION)
+            .sort((a, b) => a.version - b.version)
+            .forEach(step => {
+                migrated = step.migrate(migrated, context);
+                migrated.schemaVersion = step.version;
+            });
+
+        migrated.schemaVersion = RECORD_SCHEMA_VERSION;
+        return migrated;
     }
 
-    loadFromLocalStorage() {
-        try {
-            const stored = localStorage.getItem('pserSurveys');
-            this.surveys = stored ? JSON.parse(stored) : [];
-            console.log(`Loaded ${this.surveys.length} records from localStorage`);
-        } catch (error) {
-            console.error('Error loading from localStorage:', error);
-            this.surveys = [];
+    // Works out which record schema a backup's surveys were written with
+    getBackupSchemaVersion(backupData) {
+        if (backupData.schemaVersion) {
+            return parseInt(backupData.schemaVersion, 10);
+        }
+
+        const version = String(backupData.version || '3.0');
+        if (LEGACY_BACKUP_SCHEMA_VERSIONS[version]) {
+            return LEGACY_BACKUP_SCHEMA_VERSIONS[version];
         }
+
+        throw new Error(`Unsupported backup version: ${version}`);
     }
 
-    saveToLocalStorage() {
+    // Earlier versions mirrored every record into localStorage. The database is now the
+    // only copy, so move anything it is missing across and drop the mirror. Runs once the
+    // app is unlocked, with the mirror decrypted into localCache. Records the database
+    // already holds are kept as they are, and the mirror is only dropped once the copy
+    // commits.
+    async importLegacyLocalStorage() {
+        const legacy = this.loadFromLocalStorage();
+        if (legacy.length === 0) return;
+
         try {
-            localStorage.setItem('pserSurveys', JSON.stringify(this.surveys));
-            console.log('Data saved to localStorage. Total records:', this.surveys.length);
+            const surveys = await Promise.all(legacy.map(survey => this.sealRecord(survey)));
+            const media = await Promise.all(Object.values(this.loadLocalMedia()).map(entry => this.sealMedia(this.mediaFromDataUrl(entry))));
+
+            const imported = await this.runTransaction(['surveys', 'media'], 'readwrite', async (tx) => {
+                let count = 0;
+                for (const survey of surveys) {
+                    const store = tx.objectStore('surveys');
+                    if (await this.requestToPromise(store.getKey(survey.id)) === undefined) {
+                        store.put(survey);
+                        count++;
+                    }
+                }
+                for (const entry of media) {
+                    const store = tx.objectStore('media');
+                    if (await this.requestToPromise(store.getKey(entry.id)) === undefined) {
+                        store.put(entry);
+                    }
+                }
+                return count;
+            });
+            console.log(`Imported ${imported} of ${legacy.length} records from localStorage`);
+
+            localStorage.removeItem('pserSurveys');
+            localStorage.removeItem('pserMedia');
         } catch (error) {
-            console.error('Error saving to localStorage:', error);
-            alert('Error saving data. Please try again.');
+            console.error('Error importing localStorage records:', error);
         }
     }
-}
-    // Event Binding Methods
-bindEvents() {
-    console.log('Binding events...');
-    
-    // Main action buttons
-    this.safeAddEventListener('saveBtn', 'click', () => this.saveSurvey());
-    this.safeAddEventListener('saveNewBtn', 'click', () => this.saveSurvey(true));
-    this.safeAddEventListener('searchBtn', 'click', () => this.searchSurvey());
-    this.safeAddEventListener('exportExcel', 'click', () => this.exportToExcel());
-    this.safeAddEventListener('exportPDF', 'click', () => this.exportToPDF());
-    this.safeAddEventListener('clearAllData', 'click', () => this.showPasswordModal());
-    this.safeAddEventListener('captureLocation', 'click', () => this.captureLocation());
-    this.safeAddEventListener('capturePhoto', 'click', () => this.capturePhoto());
-    this.safeAddEventListener('captureSignature', 'click', () => this.showSignatureModal());
-    this.safeAddEventListener('changeBlockCode', 'click', () => this.changeBlockCode());
-    this.safeAddEventListener('backupBtn', 'click', () => this.showBackupModal());
-    this.safeAddEventListener('restoreBtn', 'click', () => this.showBackupModal());
-    this.safeAddEventListener('installBtn', 'click', () => this.installPWA());
-    
-    // Form field events
-    this.safeAddEventListener('houseNumber', 'input', () => this.generateHouseCode());
-    this.safeAddEventListener('familiesCount', 'input', () => this.generateHouseCode());
-    
-    // Radio button events
-    const xFamilyRadios = document.querySelectorAll('input[name="xFamily"]');
-    if (xFamilyRadios) {
-        xFamilyRadios.forEach(radio => {
-            radio.addEventListener('change', () => this.generateHouseCode());
+
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
     }
-    
-    // Member calculation events
-    ['maleMembers', 'femaleMembers', 'othersMembers'].forEach(id => {
-        this.safeAddEventListener(id, 'input', () => this.calculateTotalMembers());
-    });
 
-    // Password modal events
-    this.safeAddEventListener('confirmClear', 'click', () => this.confirmClearAll());
-    this.safeAddEventListener('cancelClear', 'click', () => this.hidePasswordModal());
-
-    this.setupZeroRemoval();
-}
+    // Runs work inside a single transaction and resolves with its result once the
+    // transaction has committed, so a failed write never leaves partial data behind.
+    runTransaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.database.transaction(storeNames, mode);
+            let result;
 
-safeAddEventListener(elementId, event, handler) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        element.addEventListener(event, handler);
-        console.log(`Event bound to: ${elementId}`);
-    } else {
-        console.warn(`Element not found: ${elementId}`);
-    }
-}
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
 
-// Form Setup Methods
-setDefaultBlockCode() {
-    const blockCodeInput = document.getElementById('blockCode');
-    if (blockCodeInput) {
-        blockCodeInput.value = this.defaultBlockCode;
+            Promise.resolve(work(transaction)).then(value => {
+                result = value;
+            }).catch(error => {
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Transaction already finished
+                }
+                reject(error);
+            });
+        });
     }
-}
 
-changeBlockCode() {
-    const newBlockCode = prompt('Enter new Block Code:', this.defaultBlockCode);
-    if (newBlockCode && newBlockCode.trim() !== '') {
-        this.defaultBlockCode = newBlockCode.trim();
-        this.setDefaultBlockCode();
-        alert('Block code updated successfully!');
-    }
-}
+    // auditUser is set for edits made by the enumerator: creation details are kept from
+    // the stored record and the field-level changes are appended to the change log, under
+    // logAction if the edit is more than a plain update (e.g. 'finalize').
+    // Encryption cannot run inside an IndexedDB transaction, so the record and its change
+    // log entry are sealed first; the sync state is still decided inside the transaction.
+    async putSurvey(survey, { queue = true, auditUser = null, logAction = null } = {}) {
+        if (!this.database) {
+            const stored = this.loadFromLocalStorage();
+            if (auditUser) {
+                this.applyAuditFields(survey, stored.find(s => s.id === survey.id), auditUser);
+            }
+            const surveys = stored.filter(s => s.id !== survey.id);
+            surveys.push(survey);
+            this.saveToLocalStorage(surveys);
+            this.syncLocalSurveyMedia(survey.id, [survey.photoId, survey.signatureId]);
+            return;
+        }
 
-setupAutoCalculations() {
-    this.calculateTotalMembers();
-    this.generateHouseCode();
-}
+        let logEntry = null;
+        if (auditUser) {
+            const existing = await this.getSurvey(survey.id);
+            this.applyAuditFields(survey, existing, auditUser);
+            const action = existing ? (logAction || 'update') : 'create';
+            logEntry = await this.sealChangeLogEntry(this.buildChangeLogEntry(survey.id, action, auditUser, existing, survey));
+        }
+        const stored = await this.sealRecord(survey);
 
-setupInputFormats() {
-    const cnicInput = document.getElementById('hohCnic');
-    if (cnicInput) {
-        cnicInput.addEventListener('input', (e) => {
-            let value = e.target.value.replace(/\D/g, '');
-            if (value.length <= 13) {
-                if (value.length > 5) {
-                    value = value.substring(0, 5) + '-' + value.substring(5);
-                }
-                if (value.length > 13) {
-                    value = value.substring(0, 13) + '-' + value.substring(13);
+        await this.runTransaction(['surveys', 'media', 'outbox', 'changeLog'], 'readwrite', async (tx) => {
+            const store = tx.objectStore('surveys');
+            const existing = await this.requestToPromise(store.get(survey.id));
+            if (logEntry) {
+                this.appendChangeLog(tx, logEntry);
+            }
+            if (queue) {
+                survey.sync = this.getPendingSyncState(existing);
+                stored.sync = survey.sync;
+                if (survey.sync.state === 'pending') {
+                    this.queueOutbox(tx, survey.id, 'upsert');
                 }
-                e.target.value = value;
             }
+            store.put(stored);
+            this.syncSurveyMedia(tx, survey);
         });
+        console.log(`Saved record ${survey.id} to database`);
     }
 
-    const contactInput = document.getElementById('contactNumber');
-    if (contactInput) {
-        contactInput.addEventListener('input', (e) => {
-            let value = e.target.value.replace(/\D/g, '');
-            if (value.startsWith('3')) {
-                value = '0' + value;
+    // queue: false is for writes that come from the sync engine itself. recycle: true moves
+    // the record and its media to the recycle bin, still sealed, instead of discarding them;
+    // the server is told about the delete straight away either way.
+    async deleteSurveyRecord(id, { queue = true, auditUser = null, recycle = false } = {}) {
+        if (!this.database) {
+            this.saveToLocalStorage(this.loadFromLocalStorage().filter(s => s.id !== id));
+            this.syncLocalSurveyMedia(id, []);
+            return;
+        }
+
+        let logEntry = null;
+        if (auditUser) {
+            const existing = await this.getSurvey(id);
+            if (existing) {
+                logEntry = await this.sealChangeLogEntry(this.buildChangeLogEntry(id, 'delete', auditUser, existing, null));
             }
-            if (value.length <= 11) {
-                if (value.length > 4) {
-                    value = value.substring(0, 4) + '-' + value.substring(4);
-                }
-                e.target.value = value;
+        }
+
+        await this.runTransaction(['surveys', 'media', 'outbox', 'changeLog', 'recycleBin'], 'readwrite', async (tx) => {
+            const store = tx.objectStore('surveys');
+            const existing = await this.requestToPromise(store.get(id));
+            if (recycle && existing) {
+                const media = await this.requestToPromise(tx.objectStore('media').index('surveyId').getAll(id));
+                tx.objectStore('recycleBin').put({
+                    id,
+                    deletedAt: new Date().toISOString(),
+                    deletedBy: auditUser,
+                    record: existing,
+                    media
+                });
             }
-        });
-    }
+            store.delete(id);
+            this.syncSurveyMedia(tx, { id });
 
-    const searchCnicInput = document.getElementById('searchCnic');
-    if (searchCnicInput) {
-        searchCnicInput.addEventListener('input', (e) => {
-            let value = e.target.value.replace(/\D/g, '');
-            if (value.length <= 13) {
-                if (value.length > 5) {
-                    value = value.substring(0, 5) + '-' + value.substring(5);
-                }
-                if (value.length > 13) {
-                    value = value.substring(0, 13) + '-' + value.substring(13);
+            if (logEntry && existing) {
+                this.appendChangeLog(tx, logEntry);
+            }
+
+            if (queue) {
+                // Records the server has never seen only need their pending upload dropped
+                if (existing && existing.sync && existing.sync.revision !== null && existing.sync.revision !== undefined) {
+                    this.queueOutbox(tx, id, 'delete', existing.sync.revision);
+                } else {
+                    tx.objectStore('outbox').delete(id);
                 }
-                e.target.value = value;
             }
         });
+        console.log(`Deleted record ${id} from database`);
     }
-}
 
-setupZeroRemoval() {
-    const numberInputs = [
-        'maleMembers', 'femaleMembers', 'othersMembers',
-        'buffalo', 'cow', 'goat', 'sheep',
-        'motorcycle', 'car', 'van', 'scooter',
-        'solar', 'ac', 'geyser', 'washingMachine', 'fridge',
-        'registerNumber'
-    ];
+    async getSurvey(id) {
+        if (!this.database) {
+            return this.loadFromLocalStorage().find(s => s.id === id) || null;
+        }
 
-    numberInputs.forEach(id => {
-        const input = document.getElementById(id);
-        if (input) {
-            input.addEventListener('focus', (e) => {
-                if (e.target.value === '0') {
-                    e.target.value = '';
-                }
+        return this.runTransaction(['surveys'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('surveys').get(id));
+        }).then(survey => this.openRecord(survey || null));
+    }
+
+    async getSurveys(ids) {
+        if (!this.database) {
+            const wanted = new Set(ids);
+            return this.loadFromLocalStorage().filter(s => wanted.has(s.id));
+        }
+
+        return this.runTransaction(['surveys'], 'readonly', (tx) => {
+            const store = tx.objectStore('surveys');
+            return Promise.all(ids.map(id => this.requestToPromise(store.get(id))));
+        }).then(surveys => this.openRecords(surveys.filter(Boolean)));
+    }
+
+    // Loads every record, oldest first. Only used for exports and backups, which need
+    // the full set for the duration of the operation.
+    async getAllSurveys() {
+        if (!this.database) {
+            return this.loadFromLocalStorage()
+                .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        }
+
+        return this.runTransaction(['surveys'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('surveys').index('createdAt').getAll());
+        }).then(surveys => this.openRecords(surveys));
+    }
+
+    async getSurveysByIndex(indexName, query) {
+        if (!this.database) {
+            return this.loadFromLocalStorage().filter(s => s[indexName] === query);
+        }
+
+        return this.runTransaction(['surveys'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('surveys').index(indexName).getAll(query));
+        }).then(surveys => this.openRecords(surveys));
+    }
+
+    async getSurveysByBlockHouse(blockCode, houseCode) {
+        if (!this.database) {
+            return this.loadFromLocalStorage().filter(s => s.blockCode === blockCode && s.houseCode === houseCode);
+        }
+
+        return this.runTransaction(['surveys'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('surveys').index('blockHouse').getAll([blockCode, houseCode]));
+        }).then(surveys => this.openRecords(surveys));
+    }
+
+    async getSurveysInBlock(blockCode) {
+        if (!this.database) {
+            return this.loadFromLocalStorage().filter(s => s.blockCode === blockCode);
+        }
+
+        // [block] sorts before and [block, []] after every [block, houseCode] key
+        return this.getSurveysByIndex('blockHouse', IDBKeyRange.bound([blockCode], [blockCode, []]));
+    }
+
+    // Passes every record to callback. Decryption cannot run inside a cursor, so the cursor
+    // reads SURVEY_READ_BATCH_SIZE records, and that batch is decrypted and passed on before
+    // the next one is read.
+    async forEachSurvey(callback) {
+        if (!this.database) {
+            this.loadFromLocalStorage().forEach(callback);
+            return;
+        }
+
+        let lastKey = null;
+        for (;;) {
+            const batch = await this.runTransaction(['surveys'], 'readonly', (tx) => {
+                return new Promise((resolve, reject) => {
+                    const stored = [];
+                    const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+                    const request = tx.objectStore('surveys').openCursor(range);
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor || stored.length === SURVEY_READ_BATCH_SIZE) {
+                            resolve(stored);
+                            return;
+                        }
+                        stored.push(cursor.value);
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
             });
-            
-            input.addEventListener('blur', (e) => {
-                if (e.target.value === '') {
-                    e.target.value = '0';
-                }
+
+            for (const survey of await this.openRecords(batch)) {
+                callback(survey);
+            }
+            if (batch.length < SURVEY_READ_BATCH_SIZE) return;
+            lastKey = batch[batch.length - 1].id;
+        }
+    }
+
+    // A full CNIC is looked up through the cnicIndex index. CNICs are stored encrypted, so
+    // partial CNIC searches still have to decrypt every record.
+    async findSurveyIdsByCnic(digits) {
+        if (this.database && digits.length === CNIC_DIGITS) {
+            const cnicIndex = await this.getCnicIndex(digits);
+            return this.runTransaction(['surveys'], 'readonly', (tx) => {
+                return this.requestToPromise(tx.objectStore('surveys').index('cnicIndex').getAllKeys(cnicIndex));
             });
         }
-    });
-}
-// Auto-calculation Methods
-generateHouseCode() {
-    const houseNumberInput = document.getElementById('houseNumber');
-    const familiesInput = document.getElementById('familiesCount');
-    const houseCodeInput = document.getElementById('houseCode');
-    const xFamilyYes = document.querySelector('input[name="xFamily"][value="yes"]');
-    
-    if (houseNumberInput && familiesInput && houseCodeInput) {
-        const houseNumber = parseInt(houseNumberInput.value) || 0;
-        const familiesCount = parseInt(familiesInput.value) || 0;
-        const isXFamily = xFamilyYes ? xFamilyYes.checked : false;
-        
-        let houseCode = '';
-        
-        if (houseNumber > 0) {
-            const formattedHouseNumber = houseNumber.toString().padStart(4, '0');
-            houseCode = formattedHouseNumber;
-            
-            if (familiesCount > 0 && familiesCount <= 26) {
-                const familyCode = String.fromCharCode(64 + familiesCount);
-                houseCode += `/${familyCode}`;
-                
-                if (isXFamily) {
-                    houseCode += ',X';
-                }
+
+        const ids = [];
+        await this.forEachSurvey(survey => {
+            if (String(survey.hohCnic || '').replace(/\D/g, '').includes(digits)) {
+                ids.push(survey.id);
             }
+        });
+        return ids;
+    }
+
+    async countSurveys() {
+        if (!this.database) {
+            return this.loadFromLocalStorage().length;
         }
-        
-        houseCodeInput.value = houseCode;
+
+        return this.runTransaction(['surveys'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('surveys').count());
+        });
     }
-}
 
-calculateTotalMembers() {
-    const male = parseInt(this.getValue('maleMembers')) || 0;
-    const female = parseInt(this.getValue('femaleMembers')) || 0;
-    const others = parseInt(this.getValue('othersMembers')) || 0;
-    const total = male + female + others;
-    
-    const totalInput = document.getElementById('totalMembers');
-    if (totalInput) {
-        totalInput.value = total;
+    async clearSurveys() {
+        if (!this.database) {
+            this.saveToLocalStorage([]);
+            this.saveLocalMedia({});
+            return;
+        }
+
+        // Clearing the device is local only: nothing is deleted on the sync server
+        await this.runTransaction(['surveys', 'media', 'outbox', 'recycleBin', 'drafts'], 'readwrite', (tx) => {
+            tx.objectStore('surveys').clear();
+            tx.objectStore('media').clear();
+            tx.objectStore('outbox').clear();
+            tx.objectStore('recycleBin').clear();
+            tx.objectStore('drafts').clear();
+        });
     }
-}
 
-// Utility Methods
-getValue(elementId) {
-    const element = document.getElementById(elementId);
-    return element ? element.value : '';
-}
+    // A draft is the form as it was last autosaved, sealed like a record:
+    //   { id, editId, updatedAt, updatedBy, mediaIds, sealed }
+    // editId is the saved record being edited, if any. The media ids are kept in the clear
+    // so cleanupOrphanMedia() can run before the app is unlocked.
+    async putDraft(draft) {
+        await this.putStoredDraft(await this.sealDraft(draft));
+    }
 
-setValue(elementId, value) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        element.value = value;
+    async countDrafts() {
+        if (!this.database) return 0;
+
+        return this.runTransaction(['drafts'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('drafts').count());
+        });
     }
-}
 
-getRadioValue(name) {
-    const selected = document.querySelector(`input[name="${name}"]:checked`);
-    return selected ? selected.value : 'no';
-}
+    async putStoredDraft(stored) {
+        await this.runTransaction(['drafts'], 'readwrite', (tx) => {
+            tx.objectStore('drafts').put(stored);
+        });
+    }
 
-setRadioValue(name, value) {
-    const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
-    if (radio) {
-        radio.checked = true;
+    // Newest first, opened. Drafts are not kept in the localStorage fallback.
+    async getDrafts() {
+        if (!this.database) return [];
+
+        const drafts = await this.runTransaction(['drafts'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('drafts').getAll());
+        });
+        const opened = await Promise.all(drafts.map(draft => this.openDraft(draft)));
+        return opened.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
     }
-}
 
-// Location Methods
-async captureLocation() {
-    if (!navigator.geolocation) {
-        alert('Geolocation is not supported by your browser');
-        return;
+    // Resolves to the stored draft that was removed, so it can be put back
+    async deleteDraft(id) {
+        return this.runTransaction(['drafts'], 'readwrite', async (tx) => {
+            const store = tx.objectStore('drafts');
+            const stored = await this.requestToPromise(store.get(id));
+            store.delete(id);
+            return stored || null;
+        });
     }
 
-    try {
-        // Show loading state
-        const locationBtn = document.getElementById('captureLocation');
-        const originalText = locationBtn.textContent;
-        locationBtn.textContent = 'Capturing...';
-        locationBtn.disabled = true;
-
-        const position = await new Promise((resolve, reject) => {
-            navigator.geolocation.getCurrentPosition(resolve, reject, {
-                enableHighAccuracy: true,
-                timeout: 15000,
-                maximumAge: 0
+    // Newest deletions first, with the records opened. Empty in the localStorage fallback,
+    // where deletes are permanent.
+    async getRecycleBin() {
+        if (!this.database) return [];
+
+        const entries = await this.runTransaction(['recycleBin'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('recycleBin').getAll());
+        });
+        const opened = await Promise.all(entries.map(async ({ media, record, ...entry }) => ({
+            ...entry,
+            record: await this.openRecord(record),
+            mediaCount: media.length
+        })));
+        return opened.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Puts a deleted record and its media back and uploads it again. Refuses if the record
+    // has come back some other way, e.g. a server correction pulled since it was deleted.
+    async restoreFromRecycleBin(id, auditUser) {
+        const binned = await this.runTransaction(['recycleBin'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('recycleBin').get(id));
+        });
+        if (!binned) {
+            throw new Error(this.t('This record is no longer in the recycle bin'));
+        }
+        const logEntry = await this.sealChangeLogEntry(
+            this.buildChangeLogEntry(id, 'recover', auditUser, null, await this.openRecord(binned.record)));
+
+        await this.runTransaction(['recycleBin', 'surveys', 'media', 'outbox', 'changeLog'], 'readwrite', async (tx) => {
+            const bin = tx.objectStore('recycleBin');
+            const store = tx.objectStore('surveys');
+            const [entry, current] = await Promise.all([
+                this.requestToPromise(bin.get(id)),
+                this.requestToPromise(store.get(id))
+            ]);
+            if (!entry) {
+                throw new Error(this.t('This record is no longer in the recycle bin'));
+            }
+            if (current) {
+                throw new Error(this.t('A newer copy of this record is already on the device'));
+            }
+
+            const record = entry.record;
+            record.sync = this.getPendingSyncState(record);
+            store.put(record);
+            entry.media.forEach(media => tx.objectStore('media').put(media));
+            if (record.sync.state === 'pending') {
+                this.queueOutbox(tx, id, 'upsert');
+            }
+            this.appendChangeLog(tx, logEntry);
+            bin.delete(id);
+        });
+        console.log(`Restored record ${id} from the recycle bin`);
+    }
+
+    async purgeFromRecycleBin(ids) {
+        await this.runTransaction(['recycleBin'], 'readwrite', (tx) => {
+            const bin = tx.objectStore('recycleBin');
+            ids.forEach(id => bin.delete(id));
+        });
+    }
+
+    // Resolves to the number of records removed
+    async purgeExpiredRecycleBin(retentionDays) {
+        if (!this.database) return 0;
+
+        const cutoff = new Date(Date.now() - retentionDays * 86400000).toISOString();
+        return this.runTransaction(['recycleBin'], 'readwrite', (tx) => {
+            return new Promise((resolve, reject) => {
+                let count = 0;
+                const request = tx.objectStore('recycleBin').index('deletedAt').openCursor(IDBKeyRange.upperBound(cutoff));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(count);
+                        return;
+                    }
+                    cursor.delete();
+                    count++;
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
             });
         });
+    }
 
-        const latitude = position.coords.latitude;
-        const longitude = position.coords.longitude;
-        const accuracy = position.coords.accuracy;
+    // A recycled record remembers the server revision its delete created, so restoring it
+    // uploads against that revision instead of running into a conflict
+    async noteRecycledDelete(id, revision) {
+        await this.runTransaction(['recycleBin'], 'readwrite', async (tx) => {
+            const bin = tx.objectStore('recycleBin');
+            const entry = await this.requestToPromise(bin.get(id));
+            if (!entry) return;
+            entry.record.sync = { ...(entry.record.sync || {}), revision, syncedAt: new Date().toISOString() };
+            bin.put(entry);
+        });
+    }
 
-        this.currentLocation = { latitude, longitude, accuracy };
-        
-        const locationInput = document.getElementById('houseLocation');
-        const coordsDisplay = document.getElementById('locationCoords');
-        
-        if (locationInput) {
-            locationInput.value = `Lat: ${latitude.toFixed(6)}, Lng: ${longitude.toFixed(6)}`;
-        }
-        
-        if (coordsDisplay) {
-            coordsDisplay.textContent = `Accuracy: ${accuracy.toFixed(1)} meters`;
-        }
+    // Snapshots copy the surveys and media stores exactly as stored, so they stay encrypted.
+    // The list in 'snapshots' is kept apart from the copies in 'snapshotItems', one row per
+    // record or media entry keyed by [snapshotId, store, id], so the list can be shown and a
+    // snapshot taken or restored without loading every copy at once. The stores are copied
+    // in batches, so an edit saved while a snapshot is being taken may or may not be in it;
+    // the snapshot is only listed once every batch is written. Not available in the
+    // localStorage fallback.
+    async createSnapshot(reason, user) {
+        if (!this.database) return null;
 
-        console.log('Location captured:', this.currentLocation);
-        
-    } catch (error) {
-        console.error('Error getting location:', error);
-        
-        let errorMessage = 'Error capturing location. ';
-        switch (error.code) {
-            case error.PERMISSION_DENIED:
-                errorMessage += 'Location access was denied. Please enable location permissions in your browser settings.';
-                break;
-            case error.POSITION_UNAVAILABLE:
-                errorMessage += 'Location information is unavailable.';
-                break;
-            case error.TIMEOUT:
-                errorMessage += 'Location request timed out.';
-                break;
-            default:
-                errorMessage += 'Please ensure location services are enabled.';
+        const snapshot = {
+            id: `snapshot-${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            reason,
+            createdBy: user,
+            recordCount: 0,
+            mediaCount: 0,
+            size: 0
+        };
+        this.snapshotsInProgress.add(snapshot.id);
+        try {
+            snapshot.recordCount = await this.copyToSnapshot(snapshot, 'surveys');
+            snapshot.mediaCount = await this.copyToSnapshot(snapshot, 'media');
+            await this.listSnapshot(snapshot);
+        } catch (error) {
+            await this.deleteSnapshot(snapshot.id).catch(() => {});
+            throw error;
+        } finally {
+            this.snapshotsInProgress.delete(snapshot.id);
         }
-        alert(errorMessage);
-    } finally {
-        // Restore button state
-        const locationBtn = document.getElementById('captureLocation');
-        if (locationBtn) {
-            locationBtn.textContent = '📍';
-            locationBtn.disabled = false;
+        console.log(`Took ${reason} snapshot of ${snapshot.recordCount} records`);
+        return snapshot;
+    }
+
+    // Copies one store into the snapshot a batch at a time and returns how many items it
+    // copied. Anything an interrupted upgrade left in plain text is sealed for the copy.
+    async copyToSnapshot(snapshot, storeName) {
+        let copied = 0;
+        let lastKey = null;
+        for (;;) {
+            const batch = await this.runTransaction([storeName], 'readonly', (tx) => {
+                const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+                return this.requestToPromise(tx.objectStore(storeName).getAll(range, SNAPSHOT_BATCH_SIZE));
+            });
+            if (batch.length === 0) return copied;
+
+            const sealed = await Promise.all(batch.map(value => this.sealStoredItem(storeName, value)));
+            snapshot.size += storeName === 'media' ? this.getSnapshotSize([], sealed) : this.getSnapshotSize(sealed, []);
+            await this.runTransaction(['snapshotItems'], 'readwrite', (tx) => {
+                const items = tx.objectStore('snapshotItems');
+                sealed.forEach(value => items.put({ snapshotId: snapshot.id, store: storeName, id: value.id, value }));
+            });
+
+            copied += batch.length;
+            lastKey = batch[batch.length - 1].id;
+            if (batch.length < SNAPSHOT_BATCH_SIZE) return copied;
         }
     }
-}
 
-// Photo Capture Methods
-capturePhoto() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = 'image/*';
-    
-    if ('capture' in input) {
-        input.capture = 'environment';
+    // Adds a fully copied snapshot to the list and rotates out the oldest ones
+    async listSnapshot(snapshot) {
+        const { maxCount, maxSizeMB } = this.getSettings().snapshots;
+
+        await this.runTransaction(['snapshots', 'snapshotItems'], 'readwrite', async (tx) => {
+            const list = tx.objectStore('snapshots');
+            list.put(snapshot);
+
+            // Oldest go first until both limits are met; the new snapshot is always kept
+            const all = (await this.requestToPromise(list.getAll())).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            const kept = new Set(all.map(entry => entry.id));
+            let count = all.length;
+            let size = all.reduce((total, entry) => total + entry.size, 0);
+            all.filter(entry => entry.id !== snapshot.id).forEach(entry => {
+                if (count > maxCount || size > maxSizeMB * 1048576) {
+                    list.delete(entry.id);
+                    kept.delete(entry.id);
+                    count--;
+                    size -= entry.size;
+                }
+            });
+
+            // Also drops copies left behind by a snapshot the app was closed in the middle of
+            const items = tx.objectStore('snapshotItems');
+            await new Promise((resolve, reject) => {
+                const request = items.openKeyCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    const [snapshotId] = cursor.key;
+                    if (!kept.has(snapshotId) && !this.snapshotsInProgress.has(snapshotId)) {
+                        items.delete(this.getSnapshotRange(snapshotId));
+                    }
+                    cursor.continue([snapshotId, []]);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
     }
-    
-    input.onchange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            this.processPhoto(file);
-        }
-    };
-    
-    input.click();
-}
 
-processPhoto(file) {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-        this.currentPhoto = e.target.result;
-        
-        const photoPreview = document.getElementById('photoPreview');
-        if (photoPreview) {
-            photoPreview.innerHTML = `<img src="${this.currentPhoto}" alt="House Photo Preview" style="max-width: 150px; max-height: 100px;">`;
+    // Every row of one snapshot: arrays sort after strings, so [id, []] is past its last key
+    getSnapshotRange(id) {
+        return IDBKeyRange.bound([id], [id, []]);
+    }
+
+    getSnapshotSize(surveys, media) {
+        const blobSize = (blob) => {
+            if (!blob) return 0;
+            return this.isSealedBlob(blob) ? blob.data.byteLength : (blob.size || 0);
+        };
+        return new TextEncoder().encode(JSON.stringify(surveys)).length +
+            media.reduce((total, entry) => total + blobSize(entry.blob) + blobSize(entry.thumbnail), 0);
+    }
+
+    // Newest first
+    async getSnapshots() {
+        if (!this.database) return [];
+
+        const snapshots = await this.runTransaction(['snapshots'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('snapshots').getAll());
+        });
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Returns the copied records and media opened, as they would be read from the stores
+    async getSnapshotData(id) {
+        const [snapshot, items] = await this.runTransaction(['snapshots', 'snapshotItems'], 'readonly', (tx) => Promise.all([
+            this.requestToPromise(tx.objectStore('snapshots').get(id)),
+            this.requestToPromise(tx.objectStore('snapshotItems').getAll(this.getSnapshotRange(id)))
+        ]));
+        if (!snapshot) {
+            throw new Error(this.t('This snapshot no longer exists'));
         }
-        
-        console.log('Photo captured and processed');
-    };
-    
-    reader.onerror = () => {
-        alert('Error reading photo file');
-    };
-    
-    reader.readAsDataURL(file);
-}
-// Signature Methods
-setupSignatureCanvas() {
-    const canvas = document.getElementById('signatureCanvas');
-    if (!canvas) return;
+        return {
+            surveys: await this.openRecords(items.filter(item => item.store === 'surveys').map(item => item.value)),
+            media: await Promise.all(items.filter(item => item.store === 'media').map(item => this.openMedia(item.value)))
+        };
+    }
+
+    // Puts the copy back as it was taken, reading it row by row inside one transaction. Like
+    // a restore from a backup file, every record is uploaded again and the server decides
+    // what changed.
+    async restoreSnapshot(id) {
+        await this.runTransaction(['snapshots', 'snapshotItems', 'surveys', 'media', 'outbox'], 'readwrite', async (tx) => {
+            if (!await this.requestToPromise(tx.objectStore('snapshots').get(id))) {
+                throw new Error(this.t('This snapshot no longer exists'));
+            }
+
+            const store = tx.objectStore('surveys');
+            const mediaStore = tx.objectStore('media');
+            store.clear();
+            mediaStore.clear();
+            tx.objectStore('outbox').clear();
+
+            await new Promise((resolve, reject) => {
+                const request = tx.objectStore('snapshotItems').openCursor(this.getSnapshotRange(id));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    const { store: storeName, value } = cursor.value;
+                    if (storeName === 'media') {
+                        mediaStore.put(value);
+                    } else {
+                        value.sync = this.getPendingSyncState(value);
+                        store.put(value);
+                        if (value.sync.state === 'pending') {
+                            this.queueOutbox(tx, value.id, 'upsert');
+                        }
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+        console.log(`Restored snapshot ${id}`);
+    }
+
+    async deleteSnapshot(id) {
+        await this.runTransaction(['snapshots', 'snapshotItems'], 'readwrite', (tx) => {
+            tx.objectStore('snapshots').delete(id);
+            tx.objectStore('snapshotItems').delete(this.getSnapshotRange(id));
+        });
+    }
+
+    async getBoundary(blockCode) {
+        if (!this.database) {
+            return this.loadLocalBoundaries()[blockCode] || null;
+        }
+
+        return this.runTransaction(['boundaries'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('boundaries').get(blockCode));
+        }).then(boundary => boundary || null);
+    }
+
+    async getAllBoundaries() {
+        if (!this.database) {
+            return Object.values(this.loadLocalBoundaries());
+        }
+
+        return this.runTransaction(['boundaries'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('boundaries').getAll());
+        });
+    }
+
+    // Replaces the stored boundary of each block in the list
+    async putBoundaries(boundaries) {
+        if (!this.database) {
+            const stored = this.loadLocalBoundaries();
+            boundaries.forEach(boundary => {
+                stored[boundary.blockCode] = boundary;
+            });
+            localStorage.setItem('pserBoundaries', JSON.stringify(stored));
+            return;
+        }
+
+        await this.runTransaction(['boundaries'], 'readwrite', (tx) => {
+            const store = tx.objectStore('boundaries');
+            boundaries.forEach(boundary => store.put(boundary));
+        });
+    }
+
+    loadLocalBoundaries() {
+        try {
+            return JSON.parse(localStorage.getItem('pserBoundaries') || '{}');
+        } catch (error) {
+            console.error('Error loading boundaries from localStorage:', error);
+            return {};
+        }
+    }
+
+    // Clear and reload happen in the same transaction: if any record fails, the
+    // previous data is kept. media holds data URL entries as found in backup files.
+    async replaceAllSurveys(surveys, media = []) {
+        if (!this.database) {
+            const localMedia = {};
+            media.forEach(entry => {
+                localMedia[entry.id] = { ...entry };
+            });
+            this.saveLocalMedia(localMedia);
+            this.saveToLocalStorage(surveys);
+            return;
+        }
+
+        const entries = await Promise.all(media.map(entry => this.sealMedia(this.mediaFromDataUrl(entry))));
+        const stored = await Promise.all(surveys.map(survey => this.sealRecord(survey)));
+
+        // Restored records are uploaded again; the server decides whether they changed. A
+        // record this device already holds keeps its server revision, others start unsynced.
+        await this.runTransaction(['surveys', 'media', 'outbox'], 'readwrite', async (tx) => {
+            const store = tx.objectStore('surveys');
+            const mediaStore = tx.objectStore('media');
+            const existing = await Promise.all(stored.map(survey => this.requestToPromise(store.get(survey.id))));
+            store.clear();
+            mediaStore.clear();
+            tx.objectStore('outbox').clear();
+            stored.forEach((survey, index) => {
+                survey.sync = this.getPendingSyncState(existing[index]);
+                store.put(survey);
+                if (survey.sync.state === 'pending') {
+                    this.queueOutbox(tx, survey.id, 'upsert');
+                }
+            });
+            entries.forEach(entry => mediaStore.put(entry));
+        });
+        console.log(`Replaced database contents with ${surveys.length} records`);
+    }
+
+    // Writes the records a merge restore takes from a backup in a single transaction.
+    // writes is a list of { survey, existing } where existing is the record on this device
+    // being replaced, or null for a record the device does not have yet.
+    async mergeSurveys(writes, media = [], auditUser = null) {
+        if (!this.database) {
+            const stored = this.loadFromLocalStorage();
+            const ids = new Set(writes.map(({ survey }) => survey.id));
+            const localMedia = this.loadLocalMedia();
+            media.forEach(entry => {
+                localMedia[entry.id] = { ...entry };
+            });
+            this.saveLocalMedia(localMedia);
+            this.saveToLocalStorage(stored.filter(s => !ids.has(s.id)).concat(writes.map(({ survey }) => survey)));
+            writes.forEach(({ survey }) => this.syncLocalSurveyMedia(survey.id, [survey.photoId, survey.signatureId]));
+            return;
+        }
+
+        const entries = await Promise.all(media.map(entry => this.sealMedia(this.mediaFromDataUrl(entry))));
+        const prepared = await Promise.all(writes.map(async ({ survey, existing }) => ({
+            survey,
+            stored: await this.sealRecord(survey),
+            logEntry: auditUser
+                ? await this.sealChangeLogEntry(this.buildChangeLogEntry(survey.id, existing ? 'restore' : 'import', auditUser, existing, survey))
+                : null
+        })));
+
+        await this.runTransaction(['surveys', 'media', 'outbox', 'changeLog'], 'readwrite', async (tx) => {
+            const store = tx.objectStore('surveys');
+            const mediaStore = tx.objectStore('media');
+            entries.forEach(entry => mediaStore.put(entry));
+
+            for (const { survey, stored, logEntry } of prepared) {
+                // A replaced record keeps this device's server revision so the upload is
+                // checked against what the server last sent here
+                const existing = await this.requestToPromise(store.get(survey.id));
+                survey.sync = this.getPendingSyncState(existing);
+                stored.sync = survey.sync;
+                if (survey.sync.state === 'pending') {
+                    this.queueOutbox(tx, survey.id, 'upsert');
+                }
+                this.appendChangeLog(tx, logEntry);
+                store.put(stored);
+                this.syncSurveyMedia(tx, survey);
+            }
+        });
+        console.log(`Merged ${writes.length} records from backup into database`);
+    }
+
+    // localStorage is only used when IndexedDB is unavailable. While the app is unlocked
+    // the decrypted records are held in localCache and written back sealed.
+    loadFromLocalStorage() {
+        if (this.localCache) {
+            return this.localCache.surveys.slice();
+        }
+
+        try {
+            const stored = localStorage.getItem('pserSurveys');
+            if (!stored) return [];
+
+            const surveys = JSON.parse(stored);
+            const media = [];
+            const migrated = surveys.map(survey => this.migrateRecord(survey, 1, media));
+
+            // Keep upgraded records so migrations do not re-run on every read
+            if (migrated.some((survey, index) => survey.schemaVersion !== surveys[index].schemaVersion)) {
+                const localMedia = this.loadLocalMedia();
+                media.forEach(entry => {
+                    localMedia[entry.id] = entry;
+                });
+                this.saveLocalMedia(localMedia);
+                this.saveToLocalStorage(migrated);
+            }
+            return migrated;
+        } catch (error) {
+            console.error('Error loading from localStorage:', error);
+            return [];
+        }
+    }
+
+    saveToLocalStorage(surveys) {
+        if (this.localCache) {
+            this.localCache.surveys = surveys;
+            this.persistLocalCache();
+            return;
+        }
+
+        try {
+            localStorage.setItem('pserSurveys', JSON.stringify(surveys));
+            console.log('Data saved to localStorage. Total records:', surveys.length);
+        } catch (error) {
+            console.error('Error saving to localStorage:', error);
+            this.showError(this.t('Error saving data. Please try again.'), error);
+            throw error;
+        }
+    }
+
+    // Media Methods - photos and signatures live in their own store, referenced by ID
+    dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+
+        if (!header.includes(';base64')) {
+            return new Blob([decodeURIComponent(data)], { type: mimeType });
+        }
+
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Turns a data URL entry (from a migration or a backup file) into a storable media entry
+    mediaFromDataUrl(entry) {
+        const blob = this.dataUrlToBlob(entry.dataUrl);
+        return {
+            id: entry.id,
+            surveyId: entry.surveyId || null,
+            kind: entry.kind,
+            mimeType: blob.type,
+            blob,
+            thumbnail: null,
+            width: entry.width || null,
+            height: entry.height || null,
+            size: blob.size,
+            createdAt: entry.createdAt || new Date().toISOString()
+        };
+    }
+
+    async mediaToDataUrl(entry) {
+        return {
+            id: entry.id,
+            surveyId: entry.surveyId,
+            kind: entry.kind,
+            width: entry.width,
+            height: entry.height,
+            createdAt: entry.createdAt,
+            dataUrl: await this.blobToDataUrl(entry.blob)
+        };
+    }
+
+    loadImage(blob) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(blob, { imageOrientation: 'from-image' })
+                .catch(() => createImageBitmap(blob));
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not decode image'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Scales an image down so its longest side is at most maxDimension and re-encodes it
+    async resizeImage(blob, maxDimension, quality, mimeType = 'image/jpeg') {
+        const image = await this.loadImage(blob);
+        const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (mimeType === 'image/jpeg') {
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.drawImage(image, 0, 0, width, height);
+        if (image.close) image.close();
+
+        const resized = await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+        if (!resized) {
+            throw new Error('Could not encode image');
+        }
+        return { blob: resized, width, height };
+    }
+
+    async createThumbnail(blob) {
+        const { thumbnailDimension } = this.getSettings().media;
+        const thumbnail = await this.resizeImage(blob, thumbnailDimension, 0.6);
+        return thumbnail.blob;
+    }
+
+    // Compresses a captured image and stores it, returning the new media ID
+    async storeCapturedImage(blob, kind) {
+        const { maxDimension, quality } = this.getSettings().media;
+        const mimeType = kind === 'signature' ? 'image/png' : 'image/jpeg';
+        const image = await this.resizeImage(blob, maxDimension, quality, mimeType);
+        const thumbnail = await this.createThumbnail(image.blob);
+
+        const entry = {
+            id: `${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            surveyId: null,
+            kind,
+            mimeType,
+            blob: image.blob,
+            thumbnail,
+            width: image.width,
+            height: image.height,
+            size: image.blob.size,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.putMedia(entry);
+        console.log(`Stored ${kind} ${entry.id}: ${image.width}x${image.height}, ${Math.round(entry.size / 1024)} KB`);
+        return entry.id;
+    }
+
+    async putMedia(entry) {
+        if (!this.database) {
+            const media = this.loadLocalMedia();
+            media[entry.id] = {
+                ...entry,
+                blob: undefined,
+                thumbnail: undefined,
+                dataUrl: await this.blobToDataUrl(entry.blob)
+            };
+            this.saveLocalMedia(media);
+            return;
+        }
+
+        const stored = await this.sealMedia(entry);
+        await this.runTransaction(['media'], 'readwrite', (tx) => {
+            tx.objectStore('media').put(stored);
+        });
+    }
+
+    async getMedia(id) {
+        if (!id) return null;
+
+        if (!this.database) {
+            const stored = this.loadLocalMedia()[id];
+            return stored ? this.mediaFromDataUrl(stored) : null;
+        }
+
+        return this.runTransaction(['media'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('media').get(id));
+        }).then(entry => (entry ? this.openMedia(entry) : null));
+    }
+
+    async getMediaList(ids) {
+        const entries = await Promise.all(ids.filter(Boolean).map(id => this.getMedia(id)));
+        return entries.filter(Boolean);
+    }
+
+    // Thumbnails are generated on first display for media that arrived without one
+    // (migrated records and restored backups)
+    async getThumbnailUrl(id) {
+        const entry = await this.getMedia(id);
+        if (!entry) return null;
+
+        if (!entry.thumbnail) {
+            try {
+                entry.thumbnail = await this.createThumbnail(entry.blob);
+                if (this.database) {
+                    await this.putMedia(entry);
+                }
+            } catch (error) {
+                console.warn(`Could not create thumbnail for ${id}:`, error);
+                return URL.createObjectURL(entry.blob);
+            }
+        }
+
+        return URL.createObjectURL(entry.thumbnail);
+    }
+
+    // Removes captures that were never attached to a saved survey, e.g. from a form that
+    // was cleared. Recent ones are kept in case the form is still open, and so is anything
+    // a draft refers to.
+    async cleanupOrphanMedia(maxAgeHours = 24) {
+        if (!this.database) return;
+
+        const cutoff = new Date(Date.now() - maxAgeHours * 3600000).toISOString();
+
+        try {
+            const removed = await this.runTransaction(['media', 'drafts'], 'readwrite', async (tx) => {
+                const drafts = await this.requestToPromise(tx.objectStore('drafts').getAll());
+                const inDrafts = new Set(drafts.flatMap(draft => draft.mediaIds || []));
+
+                return new Promise((resolve, reject) => {
+                    let count = 0;
+                    const request = tx.objectStore('media').openCursor();
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) {
+                            resolve(count);
+                            return;
+                        }
+                        if (!cursor.value.surveyId && cursor.value.createdAt < cutoff && !inDrafts.has(cursor.value.id)) {
+                            cursor.delete();
+                            count++;
+                        }
+                        cursor.continue();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            });
+            if (removed > 0) {
+                console.log(`Removed ${removed} unused photos/signatures`);
+            }
+        } catch (error) {
+            console.error('Error cleaning up media:', error);
+        }
+    }
+
+    // Links the survey's media to it and drops media it no longer references
+    syncSurveyMedia(tx, survey) {
+        const mediaStore = tx.objectStore('media');
+        const referenced = [survey.photoId, survey.signatureId].filter(Boolean);
+
+        referenced.forEach(id => {
+            const request = mediaStore.get(id);
+            request.onsuccess = () => {
+                const entry = request.result;
+                if (entry && entry.surveyId !== survey.id) {
+                    entry.surveyId = survey.id;
+                    mediaStore.put(entry);
+                }
+            };
+        });
+
+        const request = mediaStore.index('surveyId').getAllKeys(survey.id);
+        request.onsuccess = () => {
+            request.result
+                .filter(id => !referenced.includes(id))
+                .forEach(id => mediaStore.delete(id));
+        };
+    }
+
+    syncLocalSurveyMedia(surveyId, referenced) {
+        const media = this.loadLocalMedia();
+        Object.values(media).forEach(entry => {
+            if (referenced.includes(entry.id)) {
+                entry.surveyId = surveyId;
+            } else if (entry.surveyId === surveyId) {
+                delete media[entry.id];
+            }
+        });
+        this.saveLocalMedia(media);
+    }
+
+    loadLocalMedia() {
+        if (this.localCache) {
+            return { ...this.localCache.media };
+        }
+
+        try {
+            return JSON.parse(localStorage.getItem('pserMedia') || '{}');
+        } catch (error) {
+            console.error('Error loading media from localStorage:', error);
+            return {};
+        }
+    }
+
+    saveLocalMedia(media) {
+        if (this.localCache) {
+            this.localCache.media = media;
+            this.persistLocalCache();
+            return;
+        }
+
+        try {
+            localStorage.setItem('pserMedia', JSON.stringify(media));
+        } catch (error) {
+            console.error('Error saving media to localStorage:', error);
+            throw error;
+        }
+    }
+
+    // Decrypts the localStorage copy into localCache when the app is unlocked. Photos
+    // and signatures keep their data URL sealed under "sealed" while stored.
+    async loadLocalCache() {
+        this.localCache = null;
+        const surveys = await this.openRecords(this.loadFromLocalStorage());
+        const media = this.loadLocalMedia();
+        for (const entry of Object.values(media)) {
+            if (entry.sealed) {
+                const { sealed, ...rest } = entry;
+                media[entry.id] = { ...rest, dataUrl: await this.openValue(sealed) };
+            }
+        }
+        this.localCache = { surveys, media };
+    }
+
+    // Writes are chained so an older snapshot can never overwrite a newer one.
+    // Resolves to false if the write failed.
+    persistLocalCache() {
+        const { surveys, media } = this.localCache;
+        this.localWrite = this.localWrite.then(async () => {
+            const sealedSurveys = await Promise.all(surveys.map(survey => this.sealRecord(survey)));
+            const sealedMedia = {};
+            for (const { dataUrl, ...entry } of Object.values(media)) {
+                sealedMedia[entry.id] = { ...entry, sealed: await this.sealValue(dataUrl) };
+            }
+            localStorage.setItem('pserSurveys', JSON.stringify(sealedSurveys));
+            localStorage.setItem('pserMedia', JSON.stringify(sealedMedia));
+            return true;
+        }).catch(error => {
+            console.error('Error saving to localStorage:', error);
+            this.showError(this.t('Error saving data. Please try again.'), error);
+            return false;
+        });
+        return this.localWrite;
+    }
+
+    revokePreviewUrl(key) {
+        if (this.previewUrls[key]) {
+            URL.revokeObjectURL(this.previewUrls[key]);
+            delete this.previewUrls[key];
+        }
+    }
+
+    async showMediaPreview(elementId, mediaId, alt, style) {
+        const preview = document.getElementById(elementId);
+        this.revokePreviewUrl(elementId);
+        if (!preview) return;
+
+        preview.innerHTML = '';
+        if (!mediaId) return;
+
+        const entry = await this.getMedia(mediaId);
+        if (!entry) {
+            preview.textContent = this.t('Image not found');
+            return;
+        }
+
+        this.previewUrls[elementId] = URL.createObjectURL(entry.blob);
+        preview.innerHTML = `<img src="${this.previewUrls[elementId]}" alt="${alt}" style="${style}">`;
+    }
+
+    // Fills in result card thumbnails as they scroll into view
+    loadThumbnails(container) {
+        (this.thumbnailUrls || []).forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+
+        const images = container.querySelectorAll('img[data-media-id]');
+        const load = async (img) => {
+            const url = await this.getThumbnailUrl(img.dataset.mediaId).catch(() => null);
+            if (url) {
+                this.thumbnailUrls.push(url);
+                img.src = url;
+            } else {
+                img.alt = 'Missing';
+            }
+        };
+
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(load);
+            return;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    observer.unobserve(entry.target);
+                    load(entry.target);
+                }
+            });
+        }, { rootMargin: '200px' });
+
+        images.forEach(img => observer.observe(img));
+    }
+
+    async viewMedia(id) {
+        const entry = await this.getMedia(id).catch(() => null);
+        if (!entry) {
+            this.notify(this.t('Image not found'), 'warning');
+            return;
+        }
+        const url = URL.createObjectURL(entry.blob);
+        this.revokePreviewUrl('photoViewer');
+        this.previewUrls.photoViewer = url;
+
+        // The URL is released when the viewer window closes, or straight away if it was blocked
+        const photoWindow = this.viewPhoto(url);
+        if (!photoWindow) {
+            this.revokePreviewUrl('photoViewer');
+            return;
+        }
+        photoWindow.addEventListener('pagehide', () => {
+            if (this.previewUrls.photoViewer === url) this.revokePreviewUrl('photoViewer');
+        });
+    }
+
+    // Event Binding Methods
+bindEvents() {
+    console.log('Binding events...');
     
-    const ctx = canvas.getContext('2d');
-    this.signatureCtx = ctx;
+    // Main action buttons
+    this.safeAddEventListener('saveBtn', 'click', () => this.saveSurvey());
+    this.safeAddEventListener('saveNewBtn', 'click', () => this.saveSurvey(true));
+    this.safeAddEventListener('searchBtn', 'click', () => this.searchSurvey());
+    this.safeAddEventListener('searchResults', 'click', (e) => this.handleRecordAction(e));
+    this.safeAddEventListener('exportExcel', 'click', () => this.exportToExcel());
+    this.safeAddEventListener('exportPDF', 'click', () => this.exportToPDF());
+    this.safeAddEventListener('exportGeo', 'click', () => this.exportToGeo());
+    this.safeAddEventListener('clearAllData', 'click', () => this.showPasswordModal());
+    this.safeAddEventListener('recycleBinBtn', 'click', () => this.showRecycleBin());
+    this.safeAddEventListener('captureLocation', 'click', () => this.captureLocation());
+    this.safeAddEventListener('locationUse', 'click', () => this.useAveragedLocation());
+    this.safeAddEventListener('locationRetry', 'click', () => this.startLocationWatch());
+    this.safeAddEventListener('locationUsePoor', 'click', () => this.usePoorLocation());
+    this.safeAddEventListener('locationManualToggle', 'click', () => this.toggleLocationManual(true));
+    this.safeAddEventListener('saveManualLocation', 'click', () => this.saveManualLocation());
+    this.safeAddEventListener('locationCancel', 'click', () => this.hideLocationModal());
+    this.safeAddEventListener('capturePhoto', 'click', () => this.capturePhoto());
+    this.safeAddEventListener('captureSignature', 'click', () => this.showSignatureModal());
+    this.safeAddEventListener('changeBlockCode', 'click', () => this.changeBlockCode());
+    this.safeAddEventListener('backupBtn', 'click', () => this.showBackupModal());
+    this.safeAddEventListener('restoreBtn', 'click', () => this.showBackupModal());
+    this.safeAddEventListener('installBtn', 'click', () => this.installPWA());
     
-    // Set canvas background
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.strokeStyle = '#000';
-    ctx.lineWidth = 2;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    
-    // Mouse events
-    canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-    canvas.addEventListener('mousemove', (e) => this.draw(e));
-    canvas.addEventListener('mouseup', () => this.stopDrawing());
-    canvas.addEventListener('mouseout', () => this.stopDrawing());
-    
-    // Touch events for mobile
-    canvas.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        this.startDrawing(e);
-    }, { passive: false });
-    
-    canvas.addEventListener('touchmove', (e) => {
-        e.preventDefault();
-        this.draw(e);
-    }, { passive: false });
-    
-    canvas.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        this.stopDrawing();
-    }, { passive: false });
+    // Computed fields (house code, totals) follow every change on the form
+    this.safeAddEventListener('surveyForm', 'input', () => this.updateComputedFields());
+    this.safeAddEventListener('surveyForm', 'change', () => this.updateComputedFields());
+    this.safeAddEventListener('surveyForm', 'input', () => this.scheduleDraftSave());
+    this.safeAddEventListener('surveyForm', 'change', () => this.scheduleDraftSave());
+    this.safeAddEventListener('surveyForm', 'input', () => this.refreshFieldMessages());
+    this.safeAddEventListener('surveyForm', 'change', () => this.refreshFieldMessages());
+    this.safeAddEventListener('clearFormBtn', 'click', () => this.clearFormAndDraft());
+
+    // Password modal events
+    this.safeAddEventListener('confirmClear', 'click', () => this.confirmClearAll());
+    this.safeAddEventListener('cancelClear', 'click', () => this.hidePasswordModal());
+    this.safeAddEventListener('closeHistory', 'click', () => this.hideHistoryModal());
+
+    // Member roster events
+    this.safeAddEventListener('addMember', 'click', () => this.showMemberModal(null));
+    this.safeAddEventListener('saveMember', 'click', () => this.saveMember());
+    this.safeAddEventListener('cancelMember', 'click', () => this.hideMemberModal());
+
+    this.setupZeroRemoval();
+}
+
+safeAddEventListener(elementId, event, handler) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        element.addEventListener(event, handler);
+        console.log(`Event bound to: ${elementId}`);
+    } else {
+        console.warn(`Element not found: ${elementId}`);
+    }
+}
+
+// Questionnaire Methods
+async loadQuestionnaire() {
+    try {
+        const response = await fetch(QUESTIONNAIRE_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const questionnaire = await response.json();
+        this.checkQuestionnaire(questionnaire);
+        localStorage.setItem('pserQuestionnaire', JSON.stringify(questionnaire));
+        this.questionnaire = questionnaire;
+    } catch (error) {
+        const saved = localStorage.getItem('pserQuestionnaire');
+        if (!saved) throw error;
+        console.warn('Questionnaire could not be fetched, using the saved copy:', error);
+        this.questionnaire = JSON.parse(saved);
+    }
+    console.log(`Loaded questionnaire version ${this.questionnaire.version}`);
+}
+
+// Rejects definitions the form cannot render, so a bad edit to questionnaire.json
+// falls back to the last good copy instead of breaking data collection
+checkQuestionnaire(questionnaire) {
+    if (!questionnaire || !Array.isArray(questionnaire.sections)) {
+        throw new Error('Questionnaire has no sections');
+    }
+
+    const keys = new Set();
+    questionnaire.sections.forEach(section => {
+        (section.fields || []).forEach(field => {
+            if (!field.key || keys.has(field.key)) {
+                throw new Error(`Questionnaire field key missing or repeated: ${field.key}`);
+            }
+            if (!QUESTIONNAIRE_FIELD_TYPES.includes(field.type)) {
+                throw new Error(`Questionnaire field ${field.key} has unknown type ${field.type}`);
+            }
+            if (field.type === 'roster' && !(field.memberFields || []).every(member => member.key && MEMBER_FIELD_TYPES.includes(member.type))) {
+                throw new Error(`Questionnaire roster ${field.key} has an invalid member field`);
+            }
+            keys.add(field.key);
+        });
+    });
+
+    ['blockCode', 'houseNumber', 'houseCode', 'hohName', 'hohFatherName', 'hohCnic'].forEach(key => {
+        if (!keys.has(key)) {
+            throw new Error(`Questionnaire is missing required field ${key}`);
+        }
+    });
+
+    (questionnaire.rules || []).forEach(rule => {
+        if (!rule.id || !rule.message || !keys.has(rule.field) || !RULE_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Questionnaire rule ${rule.id} needs a message, a known field and a severity`);
+        }
+        if (Object.keys(rule.when || {}).some(key => !keys.has(key))) {
+            throw new Error(`Questionnaire rule ${rule.id} depends on an unknown field`);
+        }
+        if (rule.check && !RULE_CHECKS[rule.check]) {
+            throw new Error(`Questionnaire rule ${rule.id} uses unknown check ${rule.check}`);
+        }
+    });
+}
+
+// Flat list of fields; grouped fields carry the record property they are stored under
+getQuestionnaireFields() {
+    if (!this.questionnaire) return [];
+
+    return this.questionnaire.sections.flatMap(section =>
+        (section.fields || []).map(field => ({ ...field, group: section.group || null }))
+    );
+}
+
+getGroupSections() {
+    return this.questionnaire ? this.questionnaire.sections.filter(section => section.group) : [];
+}
+
+getFieldLabel(field, short = false) {
+    return (short && field.short) || field.label;
+}
+
+isWidgetField(field) {
+    return ['location', 'photo', 'signature'].includes(field.type);
+}
+
+getRecordValue(record, field) {
+    const source = field.group ? (record[field.group] || {}) : record;
+    return source[field.key] === undefined ? null : source[field.key];
+}
+
+setRecordValue(record, field, value) {
+    if (field.group) {
+        record[field.group] = record[field.group] || {};
+        record[field.group][field.key] = value;
+    } else {
+        record[field.key] = value;
+    }
+}
+
+// Display text for a stored answer, e.g. the label of the chosen option
+formatFieldValue(field, value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (field.options) {
+        const option = field.options.find(o => o.value === value);
+        return option ? option.label : String(value);
+    }
+    return String(value);
+}
+
+// As formatFieldValue(), with option labels in the interface language
+displayFieldValue(field, value) {
+    const text = this.formatFieldValue(field, value);
+    return field.options && text ? this.t(text) : text;
+}
+
+renderQuestionnaire() {
+    const container = document.getElementById('questionnaireSections');
+    if (!container || !this.questionnaire) return;
+
+    container.innerHTML = this.questionnaire.sections.map(section => {
+        const rows = [];
+        (section.fields || []).forEach(field => {
+            if (rows.length === 0 || field.newRow) rows.push([]);
+            rows[rows.length - 1].push(this.renderField(field));
+        });
+
+        return `
+            <div class="form-section" data-section="${this.escapeHtml(section.id)}">
+                <h2 data-i18n="${this.escapeHtml(section.title)}">${this.escapeHtml(this.t(section.title))}</h2>
+                ${rows.map(row => `<div class="${section.layout || 'compact-grid'}">${row.join('')}</div>`).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+renderField(field) {
+    const key = this.escapeHtml(field.key);
+    const label = `${this.i18nHtml(field.label)}${field.required ? ' *' : ''}`;
+
+    switch (field.type) {
+        case 'location':
+            return `
+                <div class="form-group compact">
+                    <label for="houseLocation">${label}</label>
+                    <div class="location-group">
+                        <input type="text" id="houseLocation" name="houseLocation" readonly placeholder="${this.escapeHtml(this.t('Click to capture location'))}" data-i18n-placeholder="Click to capture location">
+                        <button type="button" id="captureLocation" class="btn-location">📍</button>
+                    </div>
+                    <div class="location-coords" id="locationCoords"></div>
+                </div>`;
+        case 'photo':
+            return `
+                <div class="form-group compact">
+                    <label>${label}</label>
+                    <button type="button" id="capturePhoto" class="btn-photo" data-i18n="📷 Open Camera">${this.escapeHtml(this.t('📷 Open Camera'))}</button>
+                    <div id="photoPreview" class="photo-preview"></div>
+                </div>`;
+        case 'signature':
+            return `
+                <div class="form-group compact">
+                    <button type="button" id="captureSignature" class="btn-signature" data-i18n="✍️ Capture Signature">${this.escapeHtml(this.t('✍️ Capture Signature'))}</button>
+                    <div id="signaturePreview" class="signature-preview"></div>
+                </div>`;
+        case 'roster':
+            return `
+                <div class="form-group roster-group">
+                    <label>${label}</label>
+                    <div id="rosterList" class="roster-list"></div>
+                    <button type="button" id="addMember" class="btn btn-secondary" data-i18n="➕ Add Member">${this.escapeHtml(this.t('➕ Add Member'))}</button>
+                </div>`;
+        case 'radio':
+            return `
+                <div class="form-group compact">
+                    <label>${label}</label>
+                    <div class="radio-group horizontal">
+                        ${field.options.map(option => `
+                        <label class="radio-label">
+                            <input type="radio" name="${key}" value="${this.escapeHtml(option.value)}"${option.value === field.default ? ' checked' : ''}> ${this.i18nHtml(option.label)}
+                        </label>`).join('')}
+                    </div>
+                </div>`;
+        case 'select':
+            return `
+                <div class="form-group compact">
+                    <label for="${key}">${label}</label>
+                    <select id="${key}" name="${key}"${field.required ? ' required' : ''}>
+                        <option value="" data-i18n="Select...">${this.escapeHtml(this.t('Select...'))}</option>
+                        ${field.options.map(option => `<option value="${this.escapeHtml(option.value)}"${option.value === field.default ? ' selected' : ''} data-i18n="${this.escapeHtml(option.label)}">${this.escapeHtml(this.t(option.label))}</option>`).join('')}
+                    </select>
+                </div>`;
+        default: {
+            const numeric = field.type === 'number' || field.format === 'cnic' || field.format === 'phone';
+            const attributes = [
+                `type="${field.type === 'number' || field.type === 'date' ? field.type : 'text'}"`,
+                `id="${key}"`,
+                `name="${key}"`,
+                field.required ? 'required' : '',
+                field.compute ? 'readonly' : '',
+                field.min !== undefined ? `min="${field.min}"` : '',
+                field.max !== undefined ? `max="${field.max}"` : '',
+                field.maxLength ? `maxlength="${field.maxLength}"` : '',
+                field.placeholder || field.default === 0 ? `placeholder="${this.escapeHtml(this.t(field.placeholder || '0'))}" data-i18n-placeholder="${this.escapeHtml(field.placeholder || '0')}"` : '',
+                numeric && !field.compute ? 'inputmode="numeric"' : '',
+                field.default === 0 && !field.compute ? 'data-zero-default' : '',
+                field.compute === 'houseCode' ? 'class="house-code-display"' : '',
+                field.compute && field.compute.sum ? 'class="total-display"' : ''
+            ].filter(Boolean).join(' ');
+
+            const input = `
+                <div class="form-group compact">
+                    <label for="${key}">${label}</label>
+                    <input ${attributes}>
+                </div>`;
+
+            if (!field.action) return input;
+            return `${input}
+                <div class="form-group compact">
+                    <label for="${this.escapeHtml(field.action.id)}">${this.i18nHtml(field.action.label)}</label>
+                    <button type="button" id="${this.escapeHtml(field.action.id)}" class="btn btn-secondary">${this.i18nHtml(field.action.text)}</button>
+                </div>`;
+        }
+    }
+}
+
+// Reads one answer from the form in the type the record stores it as
+readFieldValue(field) {
+    switch (field.type) {
+        case 'location':
+            return this.currentLocation;
+        case 'photo':
+            return this.currentPhoto;
+        case 'signature':
+            return this.currentSignature;
+        case 'roster':
+            return this.currentMembers.map(member => ({ ...member }));
+        case 'radio': {
+            const selected = document.querySelector(`input[name="${field.key}"]:checked`);
+            return selected ? selected.value : (field.default || null);
+        }
+        case 'number': {
+            const value = parseInt(this.getValue(field.key));
+            if (!isNaN(value)) return value;
+            return field.default !== undefined ? field.default : null;
+        }
+        default:
+            return this.getValue(field.key).trim();
+    }
+}
+
+// Puts a stored answer back on the form when a record is opened for editing
+writeFieldValue(field, value) {
+    switch (field.type) {
+        case 'location':
+            this.showLocation(value);
+            break;
+        case 'photo':
+            this.showMediaPreview('photoPreview', value, 'House Photo Preview', 'max-width: 150px; max-height: 100px;');
+            break;
+        case 'signature':
+            this.showMediaPreview('signaturePreview', value, 'Signature Preview', 'max-width: 150px; max-height: 60px;');
+            break;
+        case 'roster':
+            this.currentMembers = (value || []).map(member => ({ ...member }));
+            this.renderRoster();
+            break;
+        case 'radio':
+            this.setRadioValue(field.key, value === null ? field.default : value);
+            break;
+        default:
+            this.setValue(field.key, value === null ? '' : value);
+    }
+}
+
+// Returns an error message for the first problem with a field's answer, or null
+validateField(field) {
+    if (field.compute) return null;
+
+    const label = this.t(field.label).toLowerCase();
+    if (this.isWidgetField(field)) {
+        return field.required && !this.readFieldValue(field) ? this.t('Please capture {label}', { label }) : null;
+    }
+    if (field.type === 'roster') {
+        return field.required && this.currentMembers.length === 0 ? this.t('Please add at least one member to the {label}', { label }) : null;
+    }
+
+    const raw = field.type === 'radio'
+        ? (this.readFieldValue(field) || '')
+        : this.getValue(field.key).trim();
+    if (!raw) {
+        return field.required ? this.t('Please fill in {label}', { label }) : null;
+    }
+
+    if (field.pattern && !new RegExp(field.pattern).test(raw)) {
+        return field.patternMessage ? this.t(field.patternMessage) : this.t('Please check the format of {label}', { label });
+    }
+
+    if (field.type === 'number') {
+        const number = Number(raw);
+        if (isNaN(number)) return this.t('Please enter a number for {label}', { label });
+        if (field.min !== undefined && number < field.min) return this.t('{label} must be at least {min}', { label: this.t(field.label), min: field.min });
+        if (field.max !== undefined && number > field.max) return this.t('{label} must be at most {max}', { label: this.t(field.label), max: field.max });
+    }
+
+    return null;
+}
+
+// Answers to questions dropped from the questionnaire since a record was collected
+// are carried over when it is edited, instead of being erased by the save
+getRetiredAnswers(record) {
+    const bookkeeping = ['id', 'schemaVersion', 'questionnaireVersion', 'sync', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+    const fields = this.getQuestionnaireFields();
+    const retained = {};
+
+    Object.entries(record || {}).forEach(([key, value]) => {
+        if (bookkeeping.includes(key)) return;
+        if (fields.some(field => !field.group && field.key === key)) return;
+        retained[key] = value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : value;
+    });
+
+    return retained;
+}
+
+// Member Roster Methods
+getRosterField() {
+    return this.getQuestionnaireFields().find(field => field.type === 'roster') || null;
+}
+
+// Member inputs live in the member modal; their IDs are prefixed so they cannot clash with the form
+getMemberInputFields() {
+    const roster = this.getRosterField();
+    return roster ? roster.memberFields.map(field => ({ ...field, key: `member_${field.key}`, memberKey: field.key })) : [];
+}
+
+// Records collected before the roster existed only have aggregate counts. Those are
+// kept until the enumerator starts listing the household's members.
+hasLegacyMemberCounts() {
+    const record = this.currentEditRecord;
+    return !!record &&
+        this.currentMembers.length === 0 &&
+        (!record.members || record.members.length === 0) &&
+        (record.totalMembers || 0) > 0;
+}
+
+describeMember(member) {
+    const roster = this.getRosterField();
+    const field = key => roster.memberFields.find(f => f.key === key) || { key };
+    const details = [
+        this.displayFieldValue(field('relationship'), member.relationship),
+        this.displayFieldValue(field('gender'), member.gender),
+        member.age !== null && member.age !== undefined ? this.t('{age}y', { age: member.age }) : ''
+    ].filter(Boolean);
+    return details.length > 0 ? `${member.name} (${details.join(', ')})` : member.name;
+}
+
+renderRoster() {
+    const list = document.getElementById('rosterList');
+    const roster = this.getRosterField();
+    if (!list || !roster) return;
+
+    if (this.currentMembers.length === 0) {
+        list.innerHTML = this.hasLegacyMemberCounts()
+            ? `<div class="roster-empty">${this.escapeHtml(this.t('No members listed. This record only has member counts; add members to replace them.'))}</div>`
+            : `<div class="roster-empty">${this.escapeHtml(this.t('No members added yet.'))}</div>`;
+        return;
+    }
+
+    const columns = roster.memberFields.filter(field => ['name', 'relationship', 'gender', 'age', 'cnic'].includes(field.key));
+    list.innerHTML = `
+        <table class="roster-table">
+            <tr>${columns.map(field => `<th>${this.escapeHtml(this.t(this.getFieldLabel(field, true)))}</th>`).join('')}<th></th></tr>
+            ${this.currentMembers.map((member, index) => `
+            <tr>
+                ${columns.map(field => `<td>${this.escapeHtml(this.displayFieldValue(field, member[field.key]))}</td>`).join('')}
+                <td class="roster-actions">
+                    <button type="button" class="btn btn-primary btn-small" onclick="surveyManager.showMemberModal(${index})">${this.escapeHtml(this.t('Edit'))}</button>
+                    <button type="button" class="btn btn-reset btn-small" onclick="surveyManager.removeMember(${index})">${this.escapeHtml(this.t('Remove'))}</button>
+                </td>
+            </tr>`).join('')}
+        </table>
+    `;
+}
+
+showMemberModal(index) {
+    const modal = document.getElementById('memberModal');
+    const container = document.getElementById('memberFields');
+    const title = document.getElementById('memberModalTitle');
+    if (!modal || !container) return;
+
+    const fields = this.getMemberInputFields();
+    container.innerHTML = fields.map(field => this.renderField(field)).join('');
+
+    fields.filter(field => field.format === 'cnic').forEach(field => {
+        this.safeAddEventListener(field.key, 'input', (e) => this.formatCnicInput(e.target));
+    });
+    this.safeAddEventListener('member_dateOfBirth', 'change', (e) => {
+        const age = this.calculateAge(e.target.value);
+        if (age !== null) this.setValue('member_age', age);
+    });
+
+    // The head of household is usually listed first, so start from the HOH details
+    const member = index !== null
+        ? this.currentMembers[index]
+        : this.currentMembers.length === 0
+            ? { name: this.getValue('hohName').trim(), relationship: 'head', cnic: this.getValue('hohCnic') }
+            : {};
+    fields.forEach(field => this.writeFieldValue(field, member[field.memberKey] === undefined ? null : member[field.memberKey]));
+
+    this.editingMemberIndex = index;
+    if (title) {
+        title.textContent = index !== null ? this.t('Edit Member {number}', { number: index + 1 }) : this.t('Add Member');
+    }
+    modal.style.display = 'flex';
+}
+
+hideMemberModal() {
+    const modal = document.getElementById('memberModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+    this.editingMemberIndex = null;
+}
+
+saveMember() {
+    const fields = this.getMemberInputFields();
+    for (const field of fields) {
+        const error = this.validateField(field);
+        if (error) {
+            this.notify(error, 'warning');
+            const element = document.getElementById(field.key);
+            if (element) element.focus();
+            return;
+        }
+    }
+
+    const existing = this.editingMemberIndex !== null ? this.currentMembers[this.editingMemberIndex] : null;
+    const member = { id: existing ? existing.id : `member-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` };
+    fields.forEach(field => {
+        member[field.memberKey] = this.readFieldValue(field);
+    });
+
+    if ('dateOfBirth' in member && 'age' in member) {
+        if (member.dateOfBirth) {
+            member.age = this.calculateAge(member.dateOfBirth);
+        }
+        if (member.age === null) {
+            this.notify(this.t('Please enter the date of birth or the age'), 'warning');
+            return;
+        }
+    }
+
+    if (existing) {
+        this.currentMembers[this.editingMemberIndex] = member;
+    } else {
+        this.currentMembers.push(member);
+    }
+
+    this.hideMemberModal();
+    this.renderRoster();
+    this.updateComputedFields();
+    this.scheduleDraftSave();
+    this.refreshFieldMessages();
+}
+
+async removeMember(index) {
+    const member = this.currentMembers[index];
+    if (!member || !(await this.confirmDialog(this.t('Remove {name} from the household?', { name: member.name || this.t('this member') }), { confirmLabel: this.t('Remove') }))) return;
+
+    this.currentMembers.splice(index, 1);
+    this.renderRoster();
+    this.updateComputedFields();
+    this.scheduleDraftSave();
+    this.refreshFieldMessages();
+}
+
+// Completed years between the date of birth (yyyy-mm-dd) and today
+calculateAge(dateOfBirth) {
+    const birth = new Date(`${dateOfBirth}T00:00:00`);
+    if (!dateOfBirth || isNaN(birth.getTime())) return null;
+
+    const today = new Date();
+    let age = today.getFullYear() - birth.getFullYear();
+    if (today.getMonth() < birth.getMonth() || (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate())) {
+        age--;
+    }
+    return age >= 0 ? age : null;
+}
+
+// Form Setup Methods
+setDefaultBlockCode() {
+    const blockCodeInput = document.getElementById('blockCode');
+    if (blockCodeInput) {
+        blockCodeInput.value = this.defaultBlockCode;
+    }
+}
+
+async changeBlockCode() {
+    const newBlockCode = await this.promptDialog(this.t('Enter new Block Code:'), { value: this.defaultBlockCode });
+    if (newBlockCode && newBlockCode.trim() !== '') {
+        this.defaultBlockCode = newBlockCode.trim();
+        this.setDefaultBlockCode();
+        this.notify(this.t('Block code updated successfully!'));
+    }
+}
+
+setupAutoCalculations() {
+    this.updateComputedFields();
+}
+
+setupInputFormats() {
+    const formatters = {
+        cnic: (e) => this.formatCnicInput(e.target),
+        phone: (e) => this.formatPhoneInput(e.target)
+    };
+
+    this.getQuestionnaireFields()
+        .filter(field => formatters[field.format])
+        .forEach(field => this.safeAddEventListener(field.key, 'input', formatters[field.format]));
+
+    this.safeAddEventListener('searchCnic', 'input', formatters.cnic);
+}
+
+formatCnicInput(input) {
+    let value = input.value.replace(/\D/g, '');
+    if (value.length <= 13) {
+        if (value.length > 5) {
+            value = value.substring(0, 5) + '-' + value.substring(5);
+        }
+        if (value.length > 13) {
+            value = value.substring(0, 13) + '-' + value.substring(13);
+        }
+        input.value = value;
+    }
+}
+
+formatPhoneInput(input) {
+    let value = input.value.replace(/\D/g, '');
+    if (value.startsWith('3')) {
+        value = '0' + value;
+    }
+    if (value.length <= 11) {
+        if (value.length > 4) {
+            value = value.substring(0, 4) + '-' + value.substring(4);
+        }
+        input.value = value;
+    }
+}
+
+setupZeroRemoval() {
+    document.querySelectorAll('#surveyForm [data-zero-default]').forEach(input => {
+        input.addEventListener('focus', (e) => {
+            if (e.target.value === '0') {
+                e.target.value = '';
+            }
+        });
+        
+        input.addEventListener('blur', (e) => {
+            if (e.target.value === '') {
+                e.target.value = '0';
+            }
+        });
+    });
+}
+// Auto-calculation Methods
+generateHouseCode() {
+    const houseNumberInput = document.getElementById('houseNumber');
+    const familiesInput = document.getElementById('familiesCount');
+    const houseCodeInput = document.getElementById('houseCode');
+    const xFamilyYes = document.querySelector('input[name="xFamily"][value="yes"]');
     
-    // Modal buttons
-    this.safeAddEventListener('clearSignature', 'click', () => this.clearSignature());
-    this.safeAddEventListener('saveSignature', 'click', () => this.saveSignature());
-    this.safeAddEventListener('cancelSignature', 'click', () => this.hideSignatureModal());
+    if (houseNumberInput && familiesInput && houseCodeInput) {
+        const houseNumber = parseInt(houseNumberInput.value) || 0;
+        const familiesCount = parseInt(familiesInput.value) || 0;
+        const isXFamily = xFamilyYes ? xFamilyYes.checked : false;
+        
+        let houseCode = '';
+        
+        if (houseNumber > 0) {
+            const formattedHouseNumber = houseNumber.toString().padStart(4, '0');
+            houseCode = formattedHouseNumber;
+            
+            if (familiesCount > 0 && familiesCount <= 26) {
+                const familyCode = String.fromCharCode(64 + familiesCount);
+                houseCode += `/${familyCode}`;
+                
+                if (isXFamily) {
+                    houseCode += ',X';
+                }
+            }
+        }
+        
+        houseCodeInput.value = houseCode;
+    }
 }
 
-startDrawing(e) {
-    this.isDrawing = true;
-    const canvas = document.getElementById('signatureCanvas');
-    const rect = canvas.getBoundingClientRect();
-    
-    let clientX, clientY;
-    if (e.type.includes('touch')) {
-        clientX = e.touches[0].clientX;
-        clientY = e.touches[0].clientY;
-    } else {
-        clientX = e.clientX;
-        clientY = e.clientY;
+// Fills every field that declares a compute rule in the questionnaire
+updateComputedFields() {
+    this.getQuestionnaireFields().filter(field => field.compute).forEach(field => {
+        if (field.compute === 'houseCode') {
+            this.generateHouseCode();
+        } else if (field.compute.sum) {
+            const total = field.compute.sum.reduce((sum, key) => sum + (parseInt(this.getValue(key)) || 0), 0);
+            this.setValue(field.key, total);
+        } else if (field.compute.count && !this.hasLegacyMemberCounts()) {
+            const where = Object.entries(field.compute.where || {});
+            const count = this.currentMembers.filter(member => where.every(([key, value]) => member[key] === value)).length;
+            this.setValue(field.key, count);
+        }
+    });
+}
+
+// Utility Methods
+getValue(elementId) {
+    const element = document.getElementById(elementId);
+    return element ? element.value : '';
+}
+
+escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+setValue(elementId, value) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        element.value = value;
+    }
+}
+
+setRadioValue(name, value) {
+    const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+    if (radio) {
+        radio.checked = true;
+    }
+}
+
+// Location Methods
+// A capture watches the GPS for the configured window and averages the fixes that are
+// within the accuracy limit. If none are, the enumerator can keep the best fix (flagged
+// as low accuracy) or type coordinates in with a reason.
+captureLocation() {
+    this.showLocationModal();
+
+    if (!navigator.geolocation) {
+        this.setLocationStatus(this.t('Geolocation is not supported by your browser. Enter the coordinates manually.'));
+        this.toggleLocationManual(true);
+        return;
+    }
+
+    this.startLocationWatch();
+}
+
+startLocationWatch() {
+    this.stopLocationWatch();
+
+    const { windowSeconds } = this.getSettings().location;
+    this.locationCapture = { fixes: [], startedAt: Date.now(), watchId: null, timer: null };
+    this.setLocationButtons({ use: false, retry: false, poor: false });
+    this.setLocationStatus(this.t('Waiting for GPS...'));
+
+    this.locationCapture.watchId = navigator.geolocation.watchPosition(
+        (position) => this.addLocationFix(position),
+        (error) => this.handleLocationError(error),
+        { enableHighAccuracy: true, maximumAge: 0 }
+    );
+    this.locationCapture.timer = setInterval(() => {
+        if (Date.now() - this.locationCapture.startedAt >= windowSeconds * 1000) {
+            this.endLocationWindow();
+        } else {
+            this.updateLocationProgress();
+        }
+    }, 1000);
+}
+
+stopLocationWatch() {
+    if (!this.locationCapture) return;
+
+    if (this.locationCapture.watchId !== null && navigator.geolocation) {
+        navigator.geolocation.clearWatch(this.locationCapture.watchId);
+    }
+    clearInterval(this.locationCapture.timer);
+    this.locationCapture.watchId = null;
+    this.locationCapture.timer = null;
+}
+
+addLocationFix(position) {
+    if (!this.locationCapture || this.locationCapture.timer === null) return;
+
+    const { coords } = position;
+    this.locationCapture.fixes.push({
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        accuracy: coords.accuracy,
+        altitude: coords.altitude
+    });
+    this.updateLocationProgress();
+}
+
+getGoodLocationFixes() {
+    const { accuracyLimit } = this.getSettings().location;
+    return this.locationCapture.fixes.filter(fix => fix.accuracy <= accuracyLimit);
+}
+
+updateLocationProgress() {
+    const { windowSeconds, accuracyLimit } = this.getSettings().location;
+    const { fixes, startedAt } = this.locationCapture;
+    const remaining = Math.max(0, Math.ceil(windowSeconds - (Date.now() - startedAt) / 1000));
+    const good = this.getGoodLocationFixes();
+
+    if (fixes.length === 0) {
+        this.setLocationStatus(this.t('Waiting for GPS... {seconds}s left', { seconds: remaining }));
+    } else {
+        const latest = fixes[fixes.length - 1];
+        this.setLocationStatus(
+            this.t('Current accuracy: {accuracy} m', { accuracy: latest.accuracy.toFixed(1) }) + '\n' +
+            this.t('{good} of {total} fixes within {limit} m · {seconds}s left', { good: good.length, total: fixes.length, limit: accuracyLimit, seconds: remaining }),
+            latest.accuracy <= accuracyLimit
+        );
+    }
+
+    // The enumerator may stop early once there is something worth keeping
+    this.setLocationButtons({ use: good.length > 0 });
+}
+
+endLocationWindow() {
+    this.stopLocationWatch();
+
+    const { accuracyLimit } = this.getSettings().location;
+    const { fixes } = this.locationCapture;
+    if (this.getGoodLocationFixes().length > 0) {
+        this.useAveragedLocation();
+        return;
+    }
+
+    if (fixes.length === 0) {
+        this.setLocationStatus(this.t('No GPS fix was received. Move outdoors and retry, or enter the coordinates manually.'), false);
+    } else {
+        const best = Math.min(...fixes.map(fix => fix.accuracy));
+        this.setLocationStatus(this.t('No fix was within {limit} m (best was {best} m). Retry outdoors, keep the best fix flagged as low accuracy, or enter the coordinates manually.', { limit: accuracyLimit, best: best.toFixed(1) }), false);
+    }
+    this.setLocationButtons({ use: false, retry: true, poor: fixes.length > 0 });
+}
+
+handleLocationError(error) {
+    console.error('Error getting location:', error);
+
+    // Timeouts and brief outages are retried by the watch itself; only give up on a refusal
+    if (error.code !== error.PERMISSION_DENIED) return;
+
+    this.stopLocationWatch();
+    this.setLocationStatus(this.t('Location access was denied. Please enable location permissions in your browser settings, or enter the coordinates manually.'), false);
+    this.setLocationButtons({ use: false, retry: true, poor: false });
+}
+
+// Plain mean of the accepted fixes; at house scale the curvature of the earth is irrelevant
+averageLocationFixes(fixes) {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const altitudes = fixes.map(fix => fix.altitude).filter(altitude => altitude !== null && altitude !== undefined);
+
+    return {
+        latitude: mean(fixes.map(fix => fix.latitude)),
+        longitude: mean(fixes.map(fix => fix.longitude)),
+        accuracy: Math.round(mean(fixes.map(fix => fix.accuracy)) * 10) / 10,
+        altitude: altitudes.length > 0 ? Math.round(mean(altitudes) * 10) / 10 : null,
+        fixCount: fixes.length,
+        capturedAt: new Date().toISOString()
+    };
+}
+
+useAveragedLocation() {
+    this.stopLocationWatch();
+    const good = this.getGoodLocationFixes();
+    if (good.length === 0) return;
+
+    this.setLocation({ ...this.averageLocationFixes(good), quality: 'averaged' });
+}
+
+usePoorLocation() {
+    const { fixes } = this.locationCapture;
+    if (fixes.length === 0) return;
+
+    const best = fixes.reduce((a, b) => (b.accuracy < a.accuracy ? b : a));
+    this.setLocation({ ...this.averageLocationFixes([best]), quality: 'lowAccuracy' });
+}
+
+saveManualLocation() {
+    const latitude = parseFloat(this.getValue('manualLatitude'));
+    const longitude = parseFloat(this.getValue('manualLongitude'));
+    const reason = this.getValue('manualLocationReason').trim();
+
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+        this.notify(this.t('Please enter a valid latitude and longitude in decimal degrees'), 'warning');
+        return;
+    }
+    if (!reason) {
+        this.notify(this.t('Please enter the reason for entering the location manually'), 'warning');
+        document.getElementById('manualLocationReason').focus();
+        return;
+    }
+
+    this.stopLocationWatch();
+    this.setLocation({
+        latitude,
+        longitude,
+        accuracy: null,
+        altitude: null,
+        fixCount: 0,
+        capturedAt: new Date().toISOString(),
+        quality: 'manual',
+        overrideReason: reason
+    });
+}
+
+setLocation(location) {
+    this.currentLocation = location;
+    this.showLocation(location);
+    this.hideLocationModal();
+    console.log('Location captured:', location);
+    this.scheduleDraftSave();
+    this.warnIfOutsideBlock(location);
+}
+
+showLocation(location) {
+    const locationInput = document.getElementById('houseLocation');
+    const coordsDisplay = document.getElementById('locationCoords');
+
+    if (locationInput) {
+        locationInput.value = location ? `Lat: ${location.latitude.toFixed(6)}, Lng: ${location.longitude.toFixed(6)}` : '';
+    }
+    if (coordsDisplay) {
+        coordsDisplay.textContent = location ? this.describeLocation(location) : '';
+        coordsDisplay.classList.toggle('location-flagged', !!location && ['lowAccuracy', 'manual'].includes(location.quality));
+    }
+}
+
+// One-line account of how a location was obtained, for the form, cards and exports
+// Exports pass translate = false so files read the same whatever the interface language
+describeLocation(location, translate = true) {
+    const text = (message, values) => translate ? this.t(message, values) : this.fillPlaceholders(message, values);
+    switch (location.quality) {
+        case 'manual':
+            return text('Entered manually: {reason}', { reason: location.overrideReason });
+        case 'lowAccuracy':
+            return text('⚠️ Low accuracy: {accuracy} meters (single fix)', { accuracy: location.accuracy.toFixed(1) });
+        case 'averaged':
+            return text('Accuracy: {accuracy} meters ({count} fixes averaged)', { accuracy: location.accuracy.toFixed(1), count: location.fixCount });
+        default:
+            return text('Accuracy: {accuracy} meters', { accuracy: location.accuracy.toFixed(1) });
+    }
+}
+
+setLocationStatus(text, good = null) {
+    const status = document.getElementById('locationStatus');
+    if (!status) return;
+
+    status.textContent = text;
+    status.classList.toggle('location-status-good', good === true);
+    status.classList.toggle('location-status-poor', good === false);
+}
+
+setLocationButtons(state) {
+    const buttons = { use: 'locationUse', retry: 'locationRetry', poor: 'locationUsePoor' };
+    Object.entries(state).forEach(([name, visible]) => {
+        const button = document.getElementById(buttons[name]);
+        if (button) {
+            button.style.display = visible ? '' : 'none';
+        }
+    });
+}
+
+toggleLocationManual(show) {
+    const manual = document.getElementById('locationManual');
+    if (!manual) return;
+
+    manual.style.display = show ? 'block' : 'none';
+    if (show && this.currentLocation) {
+        this.setValue('manualLatitude', this.currentLocation.latitude);
+        this.setValue('manualLongitude', this.currentLocation.longitude);
+    }
+}
+
+showLocationModal() {
+    const modal = document.getElementById('locationModal');
+    if (!modal) return;
+
+    this.setValue('manualLatitude', '');
+    this.setValue('manualLongitude', '');
+    this.setValue('manualLocationReason', '');
+    this.toggleLocationManual(false);
+    this.setLocationButtons({ use: false, retry: false, poor: false });
+    modal.style.display = 'flex';
+}
+
+hideLocationModal() {
+    this.stopLocationWatch();
+    const modal = document.getElementById('locationModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+// Photo Capture Methods
+capturePhoto() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    
+    if ('capture' in input) {
+        input.capture = 'environment';
+    }
+    
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            this.processPhoto(file);
+        }
+    };
+    
+    input.click();
+}
+
+async processPhoto(file) {
+    const photoBtn = document.getElementById('capturePhoto');
+    if (photoBtn) {
+        photoBtn.textContent = this.t('Processing...');
+        photoBtn.disabled = true;
+    }
+
+    try {
+        this.currentPhoto = await this.storeCapturedImage(file, 'photo');
+        await this.showMediaPreview('photoPreview', this.currentPhoto, 'House Photo Preview', 'max-width: 150px; max-height: 100px;');
+        console.log('Photo captured and processed');
+        this.scheduleDraftSave();
+    } catch (error) {
+        console.error('Error processing photo:', error);
+        this.showError(this.t('Error reading photo file'), error);
+    } finally {
+        if (photoBtn) {
+            photoBtn.textContent = this.t('📷 Open Camera');
+            photoBtn.disabled = false;
+        }
+    }
+}
+// Signature Methods
+setupSignatureCanvas() {
+    const canvas = document.getElementById('signatureCanvas');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    this.signatureCtx = ctx;
+    
+    // Set canvas background
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    // Mouse events
+    canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
+    canvas.addEventListener('mousemove', (e) => this.draw(e));
+    canvas.addEventListener('mouseup', () => this.stopDrawing());
+    canvas.addEventListener('mouseout', () => this.stopDrawing());
+    
+    // Touch events for mobile
+    canvas.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        this.startDrawing(e);
+    }, { passive: false });
+    
+    canvas.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        this.draw(e);
+    }, { passive: false });
+    
+    canvas.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        this.stopDrawing();
+    }, { passive: false });
+    
+    // Modal buttons
+    this.safeAddEventListener('clearSignature', 'click', () => this.clearSignature());
+    this.safeAddEventListener('saveSignature', 'click', () => this.saveSignature());
+    this.safeAddEventListener('cancelSignature', 'click', () => this.hideSignatureModal());
+}
+
+startDrawing(e) {
+    this.isDrawing = true;
+    const canvas = document.getElementById('signatureCanvas');
+    const rect = canvas.getBoundingClientRect();
+    
+    let clientX, clientY;
+    if (e.type.includes('touch')) {
+        clientX = e.touches[0].clientX;
+        clientY = e.touches[0].clientY;
+    } else {
+        clientX = e.clientX;
+        clientY = e.clientY;
+    }
+    
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    
+    this.signatureCtx.beginPath();
+    this.signatureCtx.moveTo(x, y);
+}
+
+draw(e) {
+    if (!this.isDrawing) return;
+    
+    const canvas = document.getElementById('signatureCanvas');
+    const rect = canvas.getBoundingClientRect();
+    
+    let clientX, clientY;
+    if (e.type.includes('touch')) {
+        clientX = e.touches[0].clientX;
+        clientY = e.touches[0].clientY;
+        e.preventDefault();
+    } else {
+        clientX = e.clientX;
+        clientY = e.clientY;
+    }
+    
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    
+    this.signatureCtx.lineTo(x, y);
+    this.signatureCtx.stroke();
+}
+
+stopDrawing() {
+    this.isDrawing = false;
+    this.signatureCtx.beginPath();
+}
+
+clearSignature() {
+    const canvas = document.getElementById('signatureCanvas');
+    this.signatureCtx.fillStyle = 'white';
+    this.signatureCtx.fillRect(0, 0, canvas.width, canvas.height);
+    this.signatureCtx.strokeStyle = '#000';
+    this.signatureCtx.lineWidth = 2;
+    this.signatureCtx.lineCap = 'round';
+    this.signatureCtx.lineJoin = 'round';
+}
+
+showSignatureModal() {
+    const modal = document.getElementById('signatureModal');
+    if (modal) {
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        this.clearSignature();
+    }
+}
+
+hideSignatureModal() {
+    const modal = document.getElementById('signatureModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = 'auto';
+    }
+}
+
+async saveSignature() {
+    const canvas = document.getElementById('signatureCanvas');
+    
+    try {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        this.currentSignature = await this.storeCapturedImage(blob, 'signature');
+        await this.showMediaPreview('signaturePreview', this.currentSignature, 'Signature Preview', 'max-width: 150px; max-height: 60px;');
+        this.scheduleDraftSave();
+    } catch (error) {
+        console.error('Error saving signature:', error);
+        this.showError(this.t('Error saving signature. Please try again.'), error);
+        return;
+    }
+    
+    this.hideSignatureModal();
+    // No alert message - silent save
+}
+
+// PWA Install Features
+setupPWAInstall() {
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        this.deferredPrompt = e;
+        this.showInstallButton();
+    });
+
+    window.addEventListener('appinstalled', () => {
+        this.deferredPrompt = null;
+        this.hideInstallButton();
+        this.notify(this.t('Thank you for installing PSER Survey App!'));
+    });
+}
+
+showInstallButton() {
+    const installBtn = document.getElementById('installBtn');
+    if (installBtn) {
+        installBtn.style.display = 'block';
+    }
+}
+
+hideInstallButton() {
+    const installBtn = document.getElementById('installBtn');
+    if (installBtn) {
+        installBtn.style.display = 'none';
+    }
+}
+
+installPWA() {
+    if (this.deferredPrompt) {
+        this.deferredPrompt.prompt();
+        this.deferredPrompt.userChoice.then((choiceResult) => {
+            if (choiceResult.outcome === 'accepted') {
+                console.log('User accepted the install prompt');
+            } else {
+                console.log('User dismissed the install prompt');
+            }
+            this.deferredPrompt = null;
+        });
+    }
+}
+// Form Validation & Data Management
+// Every problem is marked next to its field at once. Errors block the save; warnings
+// are listed for the enumerator to confirm, and the confirmation is kept on the record.
+async validateForm(record) {
+    const { errors, warnings } = this.checkForm(record);
+    this.showFieldMessages(errors, warnings);
+
+    if (errors.length > 0) {
+        this.notify(errors.length === 1 ? errors[0].message : this.t('Please correct the {count} problems marked on the form', { count: errors.length }), 'warning');
+        this.focusField(errors[0].field);
+        return false;
+    }
+
+    delete record.warningOverride;
+    if (warnings.length === 0) return true;
+
+    // Warnings already confirmed on an earlier save are not asked about again
+    const existing = this.currentEditRecord && this.currentEditRecord.warningOverride;
+    const accepted = existing ? existing.warnings.map(warning => warning.rule) : [];
+    if (warnings.every(warning => accepted.includes(warning.rule))) {
+        record.warningOverride = { ...existing, warnings: existing.warnings.filter(warning => warnings.some(current => current.rule === warning.rule)) };
+        return true;
+    }
+
+    const confirmed = await this.confirmDialog(
+        `${this.t('Please check:')}\n\n${warnings.map(warning => `• ${warning.message}`).join('\n')}\n\n${this.t('Save anyway?')}`,
+        { confirmLabel: this.t('Save anyway'), cancelLabel: this.t('Go back') }
+    );
+    if (!confirmed) {
+        this.focusField(warnings[0].field);
+        return false;
+    }
+
+    record.warningOverride = {
+        by: this.getCurrentUserName(),
+        at: new Date().toISOString(),
+        // Kept in English like the rest of the record, and translated where it is shown
+        warnings: warnings.map(({ rule }) => ({ rule, message: this.questionnaire.rules.find(r => r.id === rule).message }))
+    };
+    return true;
+}
+
+// Field checks (required, format, min/max) plus the questionnaire's rules.
+// Returns { errors, warnings }, each a list of { field, message, rule }.
+checkForm(record) {
+    const fields = this.getQuestionnaireFields();
+    const errors = [];
+    const warnings = [];
+
+    fields.forEach(field => {
+        const message = this.validateField(field);
+        if (message) errors.push({ field: field.key, message, rule: null });
+    });
+
+    ((this.questionnaire && this.questionnaire.rules) || []).forEach(rule => {
+        // A field that is missing or malformed is only reported once
+        if (errors.some(error => error.field === rule.field)) return;
+        if (this.breaksRule(rule, record, fields)) {
+            (rule.severity === 'warning' ? warnings : errors).push({ field: rule.field, message: this.t(rule.message), rule: rule.id });
+        }
+    });
+
+    return { errors, warnings };
+}
+
+breaksRule(rule, record, fields) {
+    const valueOf = (key) => {
+        const field = fields.find(f => f.key === key);
+        return field ? this.getRecordValue(record, field) : null;
+    };
+
+    if (!Object.entries(rule.when || {}).every(([key, expected]) => valueOf(key) === expected)) return false;
+
+    const value = valueOf(rule.field);
+    if (value === null || value === '') return false;
+
+    if (rule.min !== undefined && value < rule.min) return true;
+    if (rule.max !== undefined && value > rule.max) return true;
+    if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) return true;
+    return Boolean(rule.check) && !RULE_CHECKS[rule.check](value, record, rule);
+}
+
+// The input, or the button or list of a widget, that a field's answer comes from
+getFieldElement(field) {
+    const widgets = { location: 'houseLocation', photo: 'capturePhoto', signature: 'captureSignature', roster: 'rosterList' };
+    return document.getElementById(widgets[field.type] || field.key) || document.querySelector(`input[name="${field.key}"]`);
+}
+
+focusField(key) {
+    const field = this.getQuestionnaireFields().find(f => f.key === key);
+    const element = field ? this.getFieldElement(field) : null;
+    if (element) {
+        element.focus();
+    }
+}
+
+showFieldMessages(errors = [], warnings = []) {
+    document.querySelectorAll('#surveyForm .field-message').forEach(element => element.remove());
+    document.querySelectorAll('#surveyForm .has-error, #surveyForm .has-warning').forEach(group => {
+        group.classList.remove('has-error', 'has-warning');
+    });
+    this.showingFieldMessages = errors.length + warnings.length > 0;
+
+    const fields = this.getQuestionnaireFields();
+    [
+        ...errors.map(error => ({ ...error, severity: 'error' })),
+        ...warnings.map(warning => ({ ...warning, severity: 'warning' }))
+    ].forEach(({ field: key, message, severity }) => {
+        const field = fields.find(f => f.key === key);
+        const element = field ? this.getFieldElement(field) : null;
+        const group = element ? element.closest('.form-group') : null;
+        if (!group) return;
+
+        group.classList.add(`has-${severity}`);
+        const note = document.createElement('div');
+        note.className = `field-message ${severity}`;
+        note.textContent = message;
+        group.appendChild(note);
+    });
+}
+
+// Once problems are marked they follow the answers as they are corrected
+refreshFieldMessages() {
+    if (!this.showingFieldMessages) return;
+
+    const { errors, warnings } = this.checkForm(this.getFormData());
+    this.showFieldMessages(errors, warnings);
+}
+
+getFormData() {
+    const data = {
+        ...this.getRetiredAnswers(this.currentEditRecord),
+        id: this.currentEditId || Date.now().toString(),
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        questionnaireVersion: this.questionnaire ? this.questionnaire.version : null
+    };
+
+    this.getQuestionnaireFields().forEach(field => {
+        this.setRecordValue(data, field, this.readFieldValue(field));
+    });
+
+    data.createdAt = new Date().toISOString();
+    data.updatedAt = new Date().toISOString();
+    return data;
+}
+
+async saveSurvey(isNew = false) {
+    const surveyData = this.getFormData();
+    if (!(await this.validateForm(surveyData))) return;
+
+    // The record may have been finalized from the results list while it was open here
+    const stored = this.currentEditId ? await this.getSurvey(this.currentEditId) : null;
+    if (stored && stored.finalized) {
+        this.notify(this.t('This record has been finalized and can no longer be changed. Ask a supervisor to reopen it.'), 'warning');
+        return;
+    }
+
+    if (!(await this.confirmNotDuplicate(surveyData))) return;
+
+    try {
+        await this.putSurvey(surveyData, { auditUser: this.getCurrentUserName() });
+    } catch (error) {
+        console.error('Error saving survey:', error);
+        this.showError(this.t('Error saving data. Please try again.'), error);
+        return;
+    }
+    await this.discardCurrentDraft();
+    this.requestSync();
+    
+    this.notify(this.t('Survey data saved successfully!'));
+    
+    if (isNew) {
+        this.clearForm();
+        this.currentEditId = null;
+        // Auto-focus on house number field after save
+        setTimeout(() => {
+            const houseNumberInput = document.getElementById('houseNumber');
+            if (houseNumberInput) {
+                houseNumberInput.focus();
+            }
+        }, 100);
+    }
+}
+
+clearForm() {
+    const form = document.getElementById('surveyForm');
+    if (form) {
+        form.reset();
+    }
+    this.currentEditId = null;
+    this.currentEditRecord = null;
+    this.currentMembers = [];
+    this.currentLocation = null;
+    this.currentPhoto = null;
+    this.currentSignature = null;
+    this.startNewDraft();
+    this.showFieldMessages();
+    
+    this.showMediaPreview('photoPreview', null);
+    this.showMediaPreview('signaturePreview', null);
+    
+    const coordsDisplay = document.getElementById('locationCoords');
+    if (coordsDisplay) {
+        coordsDisplay.textContent = '';
+    }
+    
+    this.setDefaultBlockCode();
+    this.renderRoster();
+    this.updateComputedFields();
+    
+    // Auto-focus on house number field after clear
+    setTimeout(() => {
+        const houseNumberInput = document.getElementById('houseNumber');
+        if (houseNumberInput) {
+            houseNumberInput.focus();
+        }
+    }, 100);
+}
+
+// Draft Methods
+// The form is autosaved as a draft a moment after every change so an interview survives
+// the app being closed or the phone restarting. A saved record replaces its draft; other
+// drafts stay parked in the drafts list until they are resumed or discarded.
+setupDrafts() {
+    this.safeAddEventListener('parkDraftBtn', 'click', () => this.parkDraft());
+    this.safeAddEventListener('draftsBtn', 'click', () => this.showDraftsModal());
+    this.safeAddEventListener('closeDrafts', 'click', () => this.hideDraftsModal());
+
+    const list = document.getElementById('draftsList');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-draft-action]');
+            if (!button) return;
+            const id = button.dataset.draftId;
+            if (button.dataset.draftAction === 'resume') this.resumeDraft(id);
+            if (button.dataset.draftAction === 'discard') this.discardDraftFromList(id);
+        });
+    }
+
+    // A hidden page can be killed without any further warning
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            this.flushDraft();
+        }
+    });
+    window.addEventListener('pagehide', () => this.flushDraft());
+
+    this.offerDraftResume();
+}
+
+scheduleDraftSave() {
+    if (!this.database) return;
+
+    this.draftDirty = true;
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(() => this.flushDraft(), 1000);
+}
+
+// Draft writes run one after another so a slow save can never land after a discard
+flushDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftWrite = this.draftWrite
+        .then(() => this.writeDraft())
+        .catch(error => console.error('Error saving draft:', error));
+    return this.draftWrite;
+}
+
+async writeDraft() {
+    if (!this.draftDirty || !this.dataKeys) return;
+
+    this.draftDirty = false;
+    this.currentDraftId = this.currentDraftId || `draft-${Date.now()}`;
+    try {
+        await this.putDraft({
+            id: this.currentDraftId,
+            editId: this.currentEditId,
+            updatedAt: new Date().toISOString(),
+            updatedBy: this.getCurrentUserName(),
+            record: this.getFormData()
+        });
+    } catch (error) {
+        this.draftDirty = true;
+        throw error;
+    }
+    this.updateDraftCount();
+}
+
+// Detaches the form from its draft, e.g. when it is cleared or another record is opened
+startNewDraft() {
+    clearTimeout(this.draftTimer);
+    this.currentDraftId = null;
+    this.draftDirty = false;
+}
+
+// Resolves to the stored draft that was removed, or null
+async discardCurrentDraft() {
+    const id = this.currentDraftId;
+    this.startNewDraft();
+    if (!id) return null;
+
+    let removed = null;
+    this.draftWrite = this.draftWrite
+        .then(async () => {
+            removed = await this.deleteDraft(id);
+        })
+        .catch(error => console.error('Error discarding draft:', error));
+    await this.draftWrite;
+    this.updateDraftCount();
+    return removed;
+}
+
+// The Clear Form button: the draft goes too, with an undo in case it was a mis-tap
+async clearFormAndDraft() {
+    await this.flushDraft();
+    const removed = await this.discardCurrentDraft();
+    this.clearForm();
+
+    if (removed) {
+        this.showUndo(this.t('Form cleared.'), async () => {
+            await this.putStoredDraft(removed);
+            await this.resumeDraft(removed.id);
+        });
+    }
+}
+
+async parkDraft() {
+    await this.flushDraft();
+    if (!this.currentDraftId) {
+        this.notify(this.t('There is nothing on the form to park yet.'), 'warning');
+        return;
+    }
+
+    this.clearForm();
+    this.notify(this.t('Draft parked. Resume it from the Drafts list.'));
+}
+
+async resumeDraft(id) {
+    await this.flushDraft();
+
+    let draft;
+    try {
+        draft = (await this.getDrafts()).find(entry => entry.id === id);
+    } catch (error) {
+        console.error('Error loading draft:', error);
+        this.showError(this.t('Error loading draft. Please try again.'), error);
+        return;
+    }
+    if (!draft) return;
+
+    const editing = draft.editId ? await this.getSurvey(draft.editId) : null;
+    if (draft.editId && !editing) {
+        this.notify(this.t('The record this draft was editing has since been deleted. The draft will be saved as a new record.'), 'warning');
+    }
+
+    this.clearForm();
+    this.currentEditId = editing ? editing.id : null;
+    this.currentEditRecord = editing;
+    this.showRecordOnForm(draft.record);
+    this.currentDraftId = draft.id;
+    this.hideDraftsModal();
+
+    const surveyForm = document.getElementById('surveyForm');
+    if (surveyForm) {
+        surveyForm.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+describeDraft(draft) {
+    const { houseCode, hohName } = draft.record;
+    return `${houseCode || this.t('no house code yet')}${hohName ? `, ${hohName}` : ''}, ${this.t('saved {date}', { date: new Date(draft.updatedAt).toLocaleString() })}`;
+}
+
+async offerDraftResume() {
+    let drafts;
+    try {
+        drafts = await this.getDrafts();
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+        return;
+    }
+
+    this.updateDraftCount(drafts.length);
+    if (drafts.length === 0) return;
+
+    if (await this.confirmDialog(this.t('You have {count} unfinished interview(s) saved as drafts. Resume the latest ({house})?', { count: drafts.length, house: drafts[0].record.houseCode || this.t('no house code yet') }), { confirmLabel: this.t('Resume'), cancelLabel: this.t('Later') })) {
+        await this.resumeDraft(drafts[0].id);
+    }
+}
+
+async updateDraftCount(count) {
+    const button = document.getElementById('draftsBtn');
+    if (!button) return;
+
+    if (count === undefined) {
+        count = await this.countDrafts().catch(() => 0);
+    }
+    button.textContent = count > 0 ? this.t('📝 Drafts ({count})', { count }) : this.t('📝 Drafts');
+}
+
+async showDraftsModal() {
+    const modal = document.getElementById('draftsModal');
+    const list = document.getElementById('draftsList');
+    if (!modal || !list) return;
+
+    if (!this.database) {
+        this.notify(this.t('Drafts are not available on this device because its database could not be opened.'), 'warning');
+        return;
+    }
+
+    await this.flushDraft();
+    let drafts;
+    try {
+        drafts = await this.getDrafts();
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+        this.showError(this.t('Error loading drafts. Please try again.'), error);
+        return;
+    }
+
+    list.innerHTML = drafts.length === 0
+        ? `<div class="no-results">${this.escapeHtml(this.t('No drafts.'))}</div>`
+        : drafts.map(draft => `
+            <div class="snapshot-item">
+                <div>
+                    <strong>${this.escapeHtml(draft.record.houseCode || this.t('No house code yet'))}${draft.record.hohName ? ` · ${this.escapeHtml(draft.record.hohName)}` : ''}</strong>
+                    <div>${draft.editId ? this.escapeHtml(this.t('Changes to a saved record')) + ' · ' : ''}${draft.id === this.currentDraftId ? this.escapeHtml(this.t('On the form now')) + ' · ' : ''}${this.escapeHtml(this.t('saved {date} by {name}', { date: new Date(draft.updatedAt).toLocaleString(), name: draft.updatedBy || this.t('Unknown') }))}</div>
+                </div>
+                <div>
+                    <button type="button" class="btn btn-secondary btn-small" data-draft-action="resume" data-draft-id="${this.escapeHtml(draft.id)}">${this.escapeHtml(this.t('Resume'))}</button>
+                    <button type="button" class="btn btn-reset btn-small" data-draft-action="discard" data-draft-id="${this.escapeHtml(draft.id)}">${this.escapeHtml(this.t('Discard'))}</button>
+                </div>
+            </div>
+        `).join('');
+    modal.style.display = 'flex';
+}
+
+hideDraftsModal() {
+    const modal = document.getElementById('draftsModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+    const list = document.getElementById('draftsList');
+    if (list) {
+        list.innerHTML = '';
+    }
+}
+
+async discardDraftFromList(id) {
+    if (!(await this.confirmDialog(this.t('Discard this draft? What was entered in it will be lost.'), { confirmLabel: this.t('Discard') }))) return;
+
+    if (id === this.currentDraftId) {
+        this.startNewDraft();
+    }
+    try {
+        await this.deleteDraft(id);
+    } catch (error) {
+        console.error('Error discarding draft:', error);
+        this.showError(this.t('Error discarding draft. Please try again.'), error);
+        return;
+    }
+    this.updateDraftCount();
+    this.showDraftsModal();
+}
+
+// Duplicate Detection Methods
+normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\s]/gu, ' ')
+        .replace(/\b(muhammad|muhammed|mohammad|mohammed|mohd|muhamad|md)\b/g, 'muhammad')
+        // Common spelling variants of the same Urdu name: Rasool/Rasul, Saeed/Said, Abbass/Abbas
+        .replace(/oo/g, 'u')
+        .replace(/ee/g, 'i')
+        .replace(/(\p{L})\1+/gu, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Levenshtein distance scaled to 0..1, where 1 means identical
+nameSimilarity(a, b) {
+    const first = this.normalizeName(a);
+    const second = this.normalizeName(b);
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+
+    let previous = Array.from({ length: second.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= first.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= second.length; j++) {
+            const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return 1 - previous[second.length] / Math.max(first.length, second.length);
+}
+
+isNameNearMatch(survey, other) {
+    const threshold = 0.85;
+    return this.nameSimilarity(survey.hohName, other.hohName) >= threshold &&
+        this.nameSimilarity(survey.hohFatherName, other.hohFatherName) >= threshold;
+}
+
+// Returns [{ survey, reasons }] for stored records that look like the same household
+async findDuplicates(survey) {
+    const matches = new Map();
+    const addMatch = (other, reason) => {
+        if (other.id === survey.id) return;
+        if (!matches.has(other.id)) {
+            matches.set(other.id, { survey: other, reasons: [] });
+        }
+        matches.get(other.id).reasons.push(reason);
+    };
+
+    const cnicDigits = String(survey.hohCnic || '').replace(/\D/g, '');
+    const cnicMatches = cnicDigits.length === CNIC_DIGITS
+        ? await this.getSurveys(await this.findSurveyIdsByCnic(cnicDigits))
+        : [];
+    cnicMatches.forEach(other => addMatch(other, this.t('Same HOH CNIC ({cnic}), block {block}', { cnic: other.hohCnic, block: other.blockCode })));
+
+    if (survey.blockCode && survey.houseCode) {
+        const houseMatches = await this.getSurveysByBlockHouse(survey.blockCode, survey.houseCode);
+        houseMatches.forEach(other => addMatch(other, this.t('Same house code {house} in block {block}', { house: other.houseCode, block: other.blockCode })));
+    }
+
+    // Names can only be compared once decrypted, so they need a pass over every record
+    const nameMatches = [];
+    await this.forEachSurvey(other => {
+        if (this.isNameNearMatch(survey, other)) {
+            nameMatches.push(other);
+        }
+    });
+    nameMatches.forEach(other => addMatch(other, this.t('Similar HOH and father name ({name} s/o {father})', { name: other.hohName, father: other.hohFatherName })));
+
+    return Array.from(matches.values());
+}
+
+// Asks the enumerator what to do about possible duplicates.
+// Resolves to { action: 'open', id } | { action: 'save', reason } | { action: 'cancel' }
+showDuplicateModal(duplicates) {
+    const modal = document.getElementById('duplicateModal');
+    const list = document.getElementById('duplicateList');
+    const reasonInput = document.getElementById('duplicateReason');
+    if (!modal || !list || !reasonInput) {
+        return this.confirmDialog(this.t('Possible duplicate found. Save anyway?')).then(save => ({ action: save ? 'save' : 'cancel', reason: '' }));
+    }
+
+    list.innerHTML = duplicates.map(({ survey, reasons }) => `
+        <div class="duplicate-item">
+            <div><strong>${this.escapeHtml(this.t('Block {block} - House {house}', { block: survey.blockCode, house: survey.houseCode }))} - ${this.escapeHtml(survey.hohName)}</strong></div>
+            <div>${this.escapeHtml(this.t('Father: {father} · CNIC: {cnic}', { father: survey.hohFatherName, cnic: survey.hohCnic }))}</div>
+            <div class="duplicate-meta">${this.escapeHtml(this.t('Collected {date}', { date: new Date(survey.createdAt).toLocaleString() }))}${survey.createdBy ? ` ${this.escapeHtml(this.t('by {name}', { name: survey.createdBy }))}` : ''}</div>
+            <ul>${reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('')}</ul>
+            <button type="button" class="btn btn-primary btn-small" data-open-id="${this.escapeHtml(survey.id)}">${this.escapeHtml(this.t('Open Existing Record'))}</button>
+        </div>
+    `).join('');
+    reasonInput.value = '';
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+        const saveBtn = document.getElementById('duplicateSave');
+        const cancelBtn = document.getElementById('duplicateCancel');
+
+        const finish = (result) => {
+            this.cancelDuplicateCheck = null;
+            modal.style.display = 'none';
+            list.onclick = null;
+            saveBtn.onclick = null;
+            cancelBtn.onclick = null;
+            resolve(result);
+        };
+
+        list.onclick = (e) => {
+            const button = e.target.closest('[data-open-id]');
+            if (button) finish({ action: 'open', id: button.dataset.openId });
+        };
+        saveBtn.onclick = () => {
+            const reason = reasonInput.value.trim();
+            if (!reason) {
+                this.notify(this.t('Please enter the reason for saving a possible duplicate'), 'warning');
+                reasonInput.focus();
+                return;
+            }
+            finish({ action: 'save', reason });
+        };
+        cancelBtn.onclick = () => finish({ action: 'cancel' });
+        this.cancelDuplicateCheck = () => finish({ action: 'cancel' });
+    });
+}
+
+// Checks for duplicates before a save. Returns false if the save should not go ahead.
+async confirmNotDuplicate(surveyData) {
+    let duplicates;
+    try {
+        duplicates = await this.findDuplicates(surveyData);
+    } catch (error) {
+        console.error('Error checking for duplicates:', error);
+        return true;
+    }
+    if (duplicates.length === 0) return true;
+
+    // Matches already accepted with a reason on an earlier save are not asked about again
+    const existing = this.currentEditId ? await this.getSurvey(this.currentEditId) : null;
+    const accepted = existing && existing.duplicateOverride ? existing.duplicateOverride.matches : [];
+    if (duplicates.every(({ survey }) => accepted.includes(survey.id))) {
+        surveyData.duplicateOverride = existing.duplicateOverride;
+        return true;
+    }
+
+    const decision = await this.showDuplicateModal(duplicates);
+    if (decision.action === 'open') {
+        await this.editSurvey(decision.id);
+        return false;
+    }
+    if (decision.action !== 'save') return false;
+
+    surveyData.duplicateOverride = {
+        reason: decision.reason,
+        by: this.getCurrentUserName(),
+        at: new Date().toISOString(),
+        matches: duplicates.map(({ survey }) => survey.id)
+    };
+    return true;
+}
+
+// Search & Display Methods
+async searchSurvey() {
+    const houseNumberInput = document.getElementById('searchHouseNumber');
+    const cnicInput = document.getElementById('searchCnic');
+    
+    if ((!houseNumberInput || !houseNumberInput.value) && (!cnicInput || !cnicInput.value)) {
+        this.notify(this.t('Please enter either House Number or CNIC Number to search'), 'warning');
+        return;
+    }
+
+    this.lastQuery = {
+        kind: 'search',
+        houseNumber: houseNumberInput && houseNumberInput.value ? parseInt(houseNumberInput.value) : null,
+        cnic: cnicInput && cnicInput.value ? cnicInput.value.replace(/\D/g, '') : null
+    };
+    await this.refreshResults();
+}
+
+async findBySearch(houseNumber, cnic) {
+    let results = [];
+
+    if (houseNumber) {
+        results = await this.getSurveysByIndex('houseNumber', houseNumber);
+    }
+    
+    if (cnic) {
+        const cnicIds = await this.findSurveyIdsByCnic(cnic);
+        const cnicResults = await this.getSurveys(cnicIds);
+        
+        if (results.length > 0 && cnicResults.length > 0) {
+            const combinedResults = [...results, ...cnicResults];
+            results = combinedResults.filter((survey, index, self) => 
+                index === self.findIndex(s => s.id === survey.id)
+            );
+        } else if (cnicResults.length > 0) {
+            results = cnicResults;
+        }
+    }
+
+    return results;
+}
+
+// Record card buttons name their action and record in data attributes
+handleRecordAction(e) {
+    const control = e.target.closest('[data-survey-action]');
+    if (!control) return;
+
+    const id = control.dataset.surveyId;
+    const actions = {
+        edit: () => this.editSurvey(id),
+        reopen: () => this.reopenSurvey(id),
+        finalize: () => this.finalizeSurvey(id),
+        delete: () => this.deleteSurvey(id),
+        history: () => this.showHistory(id),
+        'keep-local': () => this.keepLocalVersion(id),
+        'use-server': () => this.useServerVersion(id),
+        'view-media': () => this.viewMedia(control.dataset.mediaId),
+        'open-map': () => this.openInMaps(Number(control.dataset.latitude), Number(control.dataset.longitude))
+    };
+    if (actions[control.dataset.surveyAction]) actions[control.dataset.surveyAction]();
+}
+
+// results: records to show, or null to clear the list
+displaySearchResults(results) {
+    const resultsContainer = document.getElementById('searchResults');
+    const summary = document.getElementById('resultsSummary');
+    if (!resultsContainer) return;
+
+    this.lastResults = results ? this.sortSurveys(results, this.sort) : null;
+    results = this.lastResults;
+    if (summary) {
+        summary.textContent = results ? this.t(results.length === 1 ? '{count} record' : '{count} records', { count: results.length }) : '';
+    }
+    if (!results) {
+        resultsContainer.innerHTML = '';
+        return;
+    }
+    
+    if (results.length === 0) {
+        resultsContainer.innerHTML = `<div class="no-results">${this.escapeHtml(this.t('No records found for your search.'))}</div>`;
+        return;
+    }
+
+    const fields = this.getQuestionnaireFields();
+    const detailFields = fields.filter(field => !field.group && !this.isWidgetField(field) && field.type !== 'roster' && field.card !== false);
+    const widgetFields = fields.filter(field => this.isWidgetField(field));
+    const rosterField = this.getRosterField();
+    const canReopen = this.hasPermission('reopenRecord');
+    const canDelete = this.hasPermission('deleteRecord');
+
+    resultsContainer.innerHTML = results.map(survey => {
+        const details = detailFields
+            .map(field => [this.t(this.getFieldLabel(field, true)), this.displayFieldValue(field, this.getRecordValue(survey, field))])
+            .filter(([, value]) => value !== '');
+
+        // Only show items that the house actually has
+        const groups = this.getGroupSections().map(section => ({
+            title: this.t(section.title),
+            items: fields
+                .filter(field => field.group === section.group)
+                .map(field => [this.t(field.label), this.getRecordValue(survey, field) || 0])
+                .filter(([, count]) => count > 0)
+                .map(([label, count]) => `${this.escapeHtml(label)}(${count})`)
+        })).filter(group => group.items.length > 0);
+
+        return `
+            <div class="record-card">
+                <h3>${this.escapeHtml(this.t('Block {block} - House {house}', { block: survey.blockCode, house: survey.houseCode }))} - ${this.escapeHtml(survey.hohName)} ${this.getSyncBadge(survey)}${survey.finalized ? ` <span class="final-badge">${this.escapeHtml(this.t('Finalized'))}</span>` : ''}</h3>
+                <div class="record-grid">
+                    ${details.map(([label, value]) => `<div class="record-item"><strong>${this.escapeHtml(label)}:</strong> ${this.escapeHtml(value)}</div>`).join('')}
+                    <div class="record-item"><strong>${this.escapeHtml(this.t('Created:'))}</strong> ${new Date(survey.createdAt).toLocaleString()}${survey.createdBy ? ` ${this.escapeHtml(this.t('by {name}', { name: survey.createdBy }))}` : ''}</div>
+                    ${survey.updatedAt !== survey.createdAt ? `<div class="record-item"><strong>${this.escapeHtml(this.t('Updated:'))}</strong> ${new Date(survey.updatedAt).toLocaleString()}${survey.updatedBy ? ` ${this.escapeHtml(this.t('by {name}', { name: survey.updatedBy }))}` : ''}</div>` : ''}
+                    ${survey.finalized ? `<div class="record-item"><strong>${this.escapeHtml(this.t('Finalized:'))}</strong> ${new Date(survey.finalized.at).toLocaleString()} ${this.escapeHtml(this.t('by {name}', { name: survey.finalized.by }))}</div>` : ''}
+                    ${survey.duplicateOverride ? `<div class="record-item"><strong>${this.escapeHtml(this.t('Possible Duplicate:'))}</strong> ${this.escapeHtml(survey.duplicateOverride.reason)} (${this.escapeHtml(survey.duplicateOverride.by)})</div>` : ''}
+                    ${survey.warningOverride ? `<div class="record-item"><strong>${this.escapeHtml(this.t('Warnings Confirmed:'))}</strong> ${this.escapeHtml(survey.warningOverride.warnings.map(warning => this.t(warning.message)).join('; '))} (${this.escapeHtml(survey.warningOverride.by)})</div>` : ''}
+                </div>
+                <div class="record-grid">
+                    ${widgetFields.map(field => this.getCardWidgetHtml(survey, field)).join('')}
+                </div>
+                ${rosterField ? `
+                <div class="record-grid">
+                    <div class="record-item"><strong>${this.escapeHtml(this.t(this.getFieldLabel(rosterField, true)))}:</strong> ${(survey[rosterField.key] || []).length > 0
+                        ? survey[rosterField.key].map(member => this.escapeHtml(this.describeMember(member))).join(', ')
+                        : this.escapeHtml(this.t('Not listed (counts only)'))}</div>
+                </div>
+                ` : ''}
+                ${groups.map(group => `
+                <div class="record-grid">
+                    <div class="record-item"><strong>${this.escapeHtml(group.title)}:</strong> ${group.items.join(', ')}</div>
+                </div>
+                `).join('')}
+                ${this.getSyncDetails(survey)}
+                ${survey.finalized ? '' : `<button type="button" data-survey-action="edit" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-primary" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">${this.escapeHtml(this.t('Edit'))}</button>`}
+                ${survey.finalized
+                    ? (canReopen ? `<button type="button" data-survey-action="reopen" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-secondary" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">${this.escapeHtml(this.t('Reopen'))}</button>` : '')
+                    : `<button type="button" data-survey-action="finalize" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-secondary" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">${this.escapeHtml(this.t('Finalize'))}</button>`}
+                ${canDelete ? `<button type="button" data-survey-action="delete" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-reset" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">${this.escapeHtml(this.t('Delete'))}</button>` : ''}
+                <button type="button" data-survey-action="history" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-secondary" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">${this.escapeHtml(this.t('History'))}</button>
+            </div>
+        `;
+    }).join('');
+
+    this.loadThumbnails(resultsContainer);
+}
+
+// Filter & Sort Methods
+// Filters are plain data so they can be saved as named views:
+//   { conditions: [{ field, op, value, value2 }], sort: { field, dir } }
+getFilterFields() {
+    const fields = [];
+    const groupTitles = {};
+    this.getGroupSections().forEach(section => {
+        groupTitles[section.group] = this.t(section.title);
+    });
+
+    // Labels are only shown in the filter panel, so they are in the interface language
+    this.getQuestionnaireFields().forEach(field => {
+        const id = field.group ? `${field.group}.${field.key}` : field.key;
+        const label = field.group ? `${groupTitles[field.group]}: ${this.t(field.label)}` : this.t(field.label);
+        const get = survey => this.getRecordValue(survey, field);
+
+        if (this.isWidgetField(field)) {
+            fields.push({ id, label, type: 'presence', get });
+        } else if (field.type === 'roster') {
+            fields.push({ id, label: this.t('{label} (count)', { label: this.t(field.label) }), type: 'number', get: survey => (survey[field.key] || []).length });
+        } else if (field.options) {
+            fields.push({ id, label, type: 'option', options: field.options, get });
+        } else {
+            fields.push({ id, label, type: ['number', 'date'].includes(field.type) ? field.type : 'text', get });
+        }
+    });
+
+    Object.entries(this.getAssetFields()).forEach(([group, groupFields]) => {
+        fields.push({
+            id: `${group}.*`,
+            label: `${groupTitles[group]}: ${this.t('Total')}`,
+            type: 'number',
+            get: survey => groupFields.reduce((sum, [key]) => sum + ((survey[group] && survey[group][key]) || 0), 0)
+        });
+    });
+
+    const extraFields = [
+        { id: 'createdAt', label: 'Collected On', type: 'date', get: survey => survey.createdAt },
+        { id: 'createdBy', label: 'Collected By', type: 'text', get: survey => survey.createdBy },
+        { id: 'updatedAt', label: 'Last Edited On', type: 'date', get: survey => survey.updatedAt },
+        { id: 'updatedBy', label: 'Last Edited By', type: 'text', get: survey => survey.updatedBy },
+        {
+            id: 'sync.state',
+            label: 'Sync Status',
+            type: 'option',
+            options: ['pending', 'synced', 'failed', 'conflict'].map(value => ({ value, label: value.charAt(0).toUpperCase() + value.slice(1) })),
+            get: survey => survey.sync ? survey.sync.state : null
+        },
+        {
+            id: 'location.quality',
+            label: 'Location Quality',
+            type: 'option',
+            options: [
+                { value: 'averaged', label: 'Averaged' },
+                { value: 'lowAccuracy', label: 'Low Accuracy' },
+                { value: 'manual', label: 'Entered Manually' }
+            ],
+            get: survey => survey.location ? survey.location.quality : null
+        },
+        { id: 'duplicateOverride', label: 'Saved as Possible Duplicate', type: 'presence', get: survey => survey.duplicateOverride },
+        { id: 'warningOverride', label: 'Saved with Warnings', type: 'presence', get: survey => survey.warningOverride }
+    ];
+    extraFields.forEach(field => fields.push({ ...field, label: this.t(field.label) }));
+
+    return fields;
+}
+
+getFilterFieldMap() {
+    const map = {};
+    this.getFilterFields().forEach(field => {
+        map[field.id] = field;
+    });
+    return map;
+}
+
+// yyyy-mm-dd of a timestamp in local time, which is what the date inputs use
+toLocalDateString(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+matchesCondition(survey, condition, field) {
+    const value = field.get(survey);
+
+    switch (field.type) {
+        case 'presence': {
+            const present = Array.isArray(value) ? value.length > 0 : !!value;
+            return condition.op === 'missing' ? !present : present;
+        }
+        case 'option':
+            return condition.op === 'ne' ? value !== condition.value : value === condition.value;
+        case 'number': {
+            const number = Number(value) || 0;
+            const target = Number(condition.value);
+            switch (condition.op) {
+                case 'ne': return number !== target;
+                case 'gt': return number > target;
+                case 'gte': return number >= target;
+                case 'lt': return number < target;
+                case 'lte': return number <= target;
+                case 'between': return number >= target && number <= Number(condition.value2);
+                default: return number === target;
+            }
+        }
+        case 'date': {
+            const day = value ? this.toLocalDateString(value) : '';
+            if (!day) return false;
+            switch (condition.op) {
+                case 'after': return day >= condition.value;
+                case 'before': return day <= condition.value;
+                case 'between': return day >= condition.value && day <= condition.value2;
+                default: return day === condition.value;
+            }
+        }
+        default: {
+            const text = value === null || value === undefined ? '' : String(value).toLowerCase();
+            const target = String(condition.value || '').toLowerCase();
+            switch (condition.op) {
+                case 'eq': return text === target;
+                case 'empty': return text === '';
+                case 'notEmpty': return text !== '';
+                default: return text.includes(target);
+            }
+        }
+    }
+}
+
+// Narrows the candidates with an index where the filter allows it, then checks every
+// condition in memory so any stored field can be combined
+async querySurveys(filter) {
+    const fields = this.getFilterFieldMap();
+    const conditions = (filter.conditions || []).filter(condition => {
+        if (!fields[condition.field]) {
+            console.warn(`Ignoring filter on unknown field ${condition.field}`);
+            return false;
+        }
+        return true;
+    });
+
+    let candidates = null;
+    if (this.database) {
+        const block = conditions.find(c => c.field === 'blockCode' && c.op === 'eq' && c.value);
+        const created = conditions.find(c => c.field === 'createdAt' && c.value);
+        if (block) {
+            candidates = await this.getSurveysInBlock(block.value);
+        } else if (created) {
+            candidates = await this.getSurveysByIndex('createdAt', this.getDateRange(created));
+        }
+    }
+
+    const results = [];
+    const check = survey => {
+        if (conditions.every(condition => this.matchesCondition(survey, condition, fields[condition.field]))) {
+            results.push(survey);
+        }
+    };
+
+    if (candidates) {
+        candidates.forEach(check);
+    } else {
+        await this.forEachSurvey(check);
+    }
+    return results;
+}
+
+// Key range on an ISO timestamp index covering the local days a date condition selects
+getDateRange(condition) {
+    const startOf = day => new Date(`${day}T00:00:00`).toISOString();
+    const startOfNext = day => {
+        const date = new Date(`${day}T00:00:00`);
+        date.setDate(date.getDate() + 1);
+        return date.toISOString();
+    };
+
+    switch (condition.op) {
+        case 'after': return IDBKeyRange.lowerBound(startOf(condition.value));
+        case 'before': return IDBKeyRange.upperBound(startOfNext(condition.value), true);
+        case 'between': return IDBKeyRange.bound(startOf(condition.value), startOfNext(condition.value2 || condition.value), false, true);
+        default: return IDBKeyRange.bound(startOf(condition.value), startOfNext(condition.value), false, true);
+    }
+}
+
+sortSurveys(surveys, sort) {
+    const field = sort && sort.field ? this.getFilterFieldMap()[sort.field] : null;
+    if (!field) return surveys;
+
+    const direction = sort.dir === 'desc' ? -1 : 1;
+    const valueOf = survey => {
+        const value = field.get(survey);
+        if (field.type === 'presence') return Array.isArray(value) ? value.length > 0 : !!value;
+        return value === '' ? null : value;
+    };
+
+    return surveys.slice().sort((a, b) => {
+        const first = valueOf(a);
+        const second = valueOf(b);
+        // Blank values go last whichever way the list is sorted
+        if (first === null || first === undefined) return second === null || second === undefined ? 0 : 1;
+        if (second === null || second === undefined) return -1;
+        if (typeof first === 'number' && typeof second === 'number') return (first - second) * direction;
+        return String(first).localeCompare(String(second), undefined, { numeric: true }) * direction;
+    });
+}
+
+setupFilters() {
+    this.renderFilterFields();
+
+    this.safeAddEventListener('addFilterCondition', 'click', () => this.addFilterCondition());
+    this.safeAddEventListener('applyFilter', 'click', () => this.applyFilter());
+    this.safeAddEventListener('clearFilter', 'click', () => this.clearFilter());
+    this.safeAddEventListener('saveView', 'click', () => this.saveView());
+    this.safeAddEventListener('deleteView', 'click', () => this.deleteView());
+    this.safeAddEventListener('savedViews', 'change', (e) => this.loadView(e.target.value));
+    this.safeAddEventListener('sortField', 'change', () => this.setSort(this.getValue('sortField'), this.sort.dir));
+    this.safeAddEventListener('sortDirection', 'click', () => this.setSort(this.sort.field, this.sort.dir === 'asc' ? 'desc' : 'asc'));
+
+    this.renderSavedViews();
+}
+
+// Fills the sort list and redraws any filter conditions, e.g. after the language changes
+renderFilterFields() {
+    const sortSelect = document.getElementById('sortField');
+    if (sortSelect) {
+        sortSelect.innerHTML = `<option value="">${this.escapeHtml(this.t('As found'))}</option>` + this.getFilterFields()
+            .map(field => `<option value="${this.escapeHtml(field.id)}">${this.escapeHtml(field.label)}</option>`)
+            .join('');
+        sortSelect.value = this.sort.field;
+    }
+
+    const container = document.getElementById('filterConditions');
+    if (container) {
+        const conditions = Array.from(container.querySelectorAll('.filter-row')).map(row => this.readCondition(row));
+        container.innerHTML = '';
+        conditions.forEach(condition => this.addFilterCondition(condition));
+    }
+}
+
+addFilterCondition(condition = null) {
+    const container = document.getElementById('filterConditions');
+    if (!container) return;
+
+    const fields = this.getFilterFields();
+    const row = document.createElement('div');
+    row.className = 'filter-row';
+    row.innerHTML = `
+        <select class="filter-field">
+            ${fields.map(field => `<option value="${this.escapeHtml(field.id)}">${this.escapeHtml(field.label)}</option>`).join('')}
+        </select>
+        <select class="filter-op"></select>
+        <span class="filter-values"></span>
+        <button type="button" class="btn btn-reset btn-small filter-remove">✕</button>
+    `;
+    container.appendChild(row);
+
+    const fieldSelect = row.querySelector('.filter-field');
+    if (condition) {
+        fieldSelect.value = condition.field;
+    }
+    this.renderConditionInputs(row, condition);
+
+    fieldSelect.addEventListener('change', () => this.renderConditionInputs(row, null));
+    row.querySelector('.filter-op').addEventListener('change', () => this.renderConditionInputs(row, this.readCondition(row)));
+    row.querySelector('.filter-remove').addEventListener('click', () => row.remove());
+}
+
+// Operators and value inputs depend on the type of the chosen field
+renderConditionInputs(row, condition) {
+    const field = this.getFilterFieldMap()[row.querySelector('.filter-field').value];
+    if (!field) return;
+
+    const opSelect = row.querySelector('.filter-op');
+    opSelect.innerHTML = FILTER_OPERATORS[field.type]
+        .map(([op, label]) => `<option value="${op}">${this.escapeHtml(this.t(label))}</option>`)
+        .join('');
+    if (condition && FILTER_OPERATORS[field.type].some(([op]) => op === condition.op)) {
+        opSelect.value = condition.op;
+    }
+
+    const op = opSelect.value;
+    const valueInput = (name, value) => {
+        if (field.type === 'option') {
+            return `<select class="${name}">${field.options.map(option =>
+                `<option value="${this.escapeHtml(option.value)}"${option.value === value ? ' selected' : ''}>${this.escapeHtml(this.t(option.label))}</option>`
+            ).join('')}</select>`;
+        }
+        const type = field.type === 'number' ? 'number' : field.type === 'date' ? 'date' : 'text';
+        return `<input type="${type}" class="${name}" value="${this.escapeHtml(value === undefined || value === null ? '' : value)}">`;
+    };
+
+    const values = row.querySelector('.filter-values');
+    if (field.type === 'presence' || op === 'empty' || op === 'notEmpty') {
+        values.innerHTML = '';
+    } else if (op === 'between') {
+        values.innerHTML = `${valueInput('filter-value', condition && condition.value)} ${this.escapeHtml(this.t('and'))} ${valueInput('filter-value2', condition && condition.value2)}`;
+    } else {
+        values.innerHTML = valueInput('filter-value', condition && condition.value);
+    }
+}
+
+readCondition(row) {
+    const value = row.querySelector('.filter-value');
+    const value2 = row.querySelector('.filter-value2');
+    const op = row.querySelector('.filter-op').value;
+
+    // A range entered back to front is turned round: the database refuses a range whose
+    // end comes before its start. Numbers compare as numbers, dates as YYYY-MM-DD text.
+    if (op === 'between' && value && value2 && value.value && value2.value) {
+        const numeric = [value.value, value2.value].every(text => Number.isFinite(Number(text)));
+        if (numeric ? Number(value2.value) < Number(value.value) : value2.value < value.value) {
+            [value.value, value2.value] = [value2.value, value.value];
+        }
+    }
+
+    return {
+        field: row.querySelector('.filter-field').value,
+        op,
+        value: value ? value.value : null,
+        value2: value2 ? value2.value : null
+    };
+}
+
+readFilter() {
+    return {
+        conditions: Array.from(document.querySelectorAll('#filterConditions .filter-row')).map(row => this.readCondition(row)),
+        sort: { ...this.sort }
+    };
+}
+
+async applyFilter() {
+    const filter = this.readFilter();
+    if (filter.conditions.length === 0) {
+        this.notify(this.t('Please add at least one condition'), 'warning');
+        return;
+    }
+
+    this.lastQuery = { kind: 'filter', filter };
+    await this.refreshResults();
+}
+
+clearFilter() {
+    const container = document.getElementById('filterConditions');
+    if (container) {
+        container.innerHTML = '';
+    }
+    this.setValue('savedViews', '');
+    if (this.lastQuery && this.lastQuery.kind === 'filter') {
+        this.lastQuery = null;
+        this.displaySearchResults(null);
+    }
+}
+
+setSort(field, dir) {
+    this.sort = { field: field || '', dir: dir || 'asc' };
+    this.setValue('sortField', this.sort.field);
+    const button = document.getElementById('sortDirection');
+    if (button) {
+        button.textContent = this.t(this.sort.dir === 'asc' ? '▲ Asc' : '▼ Desc');
+    }
+    if (this.lastResults) {
+        this.displaySearchResults(this.lastResults);
+    }
+}
+
+// Saved views live in localStorage under pserSavedViews as [{ name, filter }]
+getSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem('pserSavedViews')) || [];
+    } catch (error) {
+        console.error('Error reading saved views:', error);
+        return [];
+    }
+}
+
+renderSavedViews(selected = '') {
+    const select = document.getElementById('savedViews');
+    if (!select) return;
+
+    select.innerHTML = `<option value="">${this.escapeHtml(this.t('Saved views...'))}</option>` + this.getSavedViews()
+        .map(view => `<option value="${this.escapeHtml(view.name)}">${this.escapeHtml(view.name)}</option>`)
+        .join('');
+    select.value = selected;
+}
+
+async saveView() {
+    const filter = this.readFilter();
+    if (filter.conditions.length === 0) {
+        this.notify(this.t('Please add at least one condition before saving a view'), 'warning');
+        return;
+    }
+
+    const name = ((await this.promptDialog(this.t('Name for this view:'), { value: this.getValue('savedViews') })) || '').trim();
+    if (!name) return;
+
+    const views = this.getSavedViews().filter(view => view.name !== name);
+    views.push({ name, filter });
+    views.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem('pserSavedViews', JSON.stringify(views));
+    this.renderSavedViews(name);
+    this.notify(this.t('View "{name}" saved', { name }));
+}
+
+async loadView(name) {
+    const view = this.getSavedViews().find(v => v.name === name);
+    if (!view) return;
+
+    const container = document.getElementById('filterConditions');
+    if (container) {
+        container.innerHTML = '';
+    }
+    view.filter.conditions.forEach(condition => this.addFilterCondition(condition));
+    this.setSort(view.filter.sort && view.filter.sort.field, view.filter.sort && view.filter.sort.dir);
+    await this.applyFilter();
+}
+
+async deleteView() {
+    const name = this.getValue('savedViews');
+    if (!name) {
+        this.notify(this.t('Choose a saved view to delete'), 'warning');
+        return;
+    }
+    if (!(await this.confirmDialog(this.t('Delete the saved view "{name}"?', { name }), { confirmLabel: this.t('Delete') }))) return;
+
+    localStorage.setItem('pserSavedViews', JSON.stringify(this.getSavedViews().filter(view => view.name !== name)));
+    this.renderSavedViews();
+}
+
+async runQuery(query) {
+    if (query.kind === 'filter') {
+        return this.querySurveys(query.filter);
+    }
+    return this.findBySearch(query.houseNumber, query.cnic);
+}
+
+// Re-runs the last search or filter so the list reflects edits, deletes and restores
+async refreshResults() {
+    if (!this.lastQuery) return;
+
+    try {
+        this.displaySearchResults(await this.runQuery(this.lastQuery));
+    } catch (error) {
+        console.error('Error searching records:', error);
+        this.showError(this.t('Error searching records. Please try again.'), error);
+    }
+}
+
+// Records an export should include: everything, or the current search/filter results
+async getExportSurveys() {
+    if (this.getValue('exportScope') === 'results') {
+        return this.lastQuery ? this.sortSurveys(await this.runQuery(this.lastQuery), this.sort) : [];
+    }
+    return this.getAllSurveys();
+}
+
+// Utility Methods for Results
+getCardWidgetHtml(survey, field) {
+    const label = this.escapeHtml(this.t(this.getFieldLabel(field, true)));
+    const value = this.getRecordValue(survey, field);
+    let content = this.escapeHtml(this.t('Not captured'));
+
+    if (value && field.type === 'location') {
+        content = `<span class="location-link" data-survey-action="open-map" data-latitude="${this.escapeHtml(value.latitude)}" data-longitude="${this.escapeHtml(value.longitude)}">
+                                ${this.escapeHtml(this.t('📍 View on Map'))}
+                            </span>`;
+        if (['lowAccuracy', 'manual'].includes(value.quality)) {
+            content += `<div class="location-flagged">${this.escapeHtml(this.describeLocation(value))}</div>`;
+        }
+    } else if (value) {
+        const className = field.type === 'signature' ? 'signature-thumbnail' : 'photo-thumbnail';
+        content = `<img data-media-id="${this.escapeHtml(value)}" class="${className}" alt="Loading..." data-survey-action="view-media">`;
+    }
+
+    return `
+                    <div class="record-item">
+                        <strong>${label}:</strong> 
+                        ${content}
+                    </div>`;
+}
+
+openInMaps(latitude, longitude) {
+    const url = `https://www.google.com/maps/dir/?api=1&destination=${latitude},${longitude}`;
+    window.open(url, '_blank');
+}
+
+viewPhoto(photoData) {
+    const photoWindow = window.open('', '_blank');
+    if (!photoWindow) return null;
+    photoWindow.document.write(`
+        <html>
+            <head><title>Image View</title></head>
+            <body style="margin: 0; display: flex; justify-content: center; align-items: center; height: 100vh; background: #000;">
+                <img src="${photoData}" style="max-width: 100%; max-height: 100%;">
+            </body>
+        </html>
+    `);
+    return photoWindow;
+}
+// Edit & Delete Methods
+async editSurvey(id) {
+    const survey = await this.getSurvey(id);
+    if (!survey) return;
+
+    if (survey.finalized) {
+        this.notify(this.t('This record was finalized by {name} and can no longer be changed. Ask a supervisor to reopen it.', { name: survey.finalized.by }), 'warning');
+        return;
+    }
+
+    // Whatever was on the form stays parked as a draft
+    await this.flushDraft();
+    const draft = (await this.getDrafts().catch(() => [])).find(entry => entry.editId === id);
+    if (draft && await this.confirmDialog(this.t('There are unsaved changes to this record ({draft}). Resume them?', { draft: this.describeDraft(draft) }), { confirmLabel: this.t('Resume'), cancelLabel: this.t('Open saved record') })) {
+        await this.resumeDraft(draft.id);
+        return;
+    }
+
+    this.startNewDraft();
+    this.currentEditId = id;
+    this.currentEditRecord = survey;
+    this.showRecordOnForm(survey);
+
+    const surveyForm = document.getElementById('surveyForm');
+    if (surveyForm) {
+        surveyForm.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+// Puts a record's answers and captures on the form
+showRecordOnForm(record) {
+    this.currentLocation = record.location || null;
+    this.currentPhoto = record.photoId || null;
+    this.currentSignature = record.signatureId || null;
+
+    this.getQuestionnaireFields().forEach(field => this.writeFieldValue(field, this.getRecordValue(record, field)));
+
+    this.updateComputedFields();
+}
+
+// Deleted records go to the recycle bin, with an undo offered straight away
+async deleteSurvey(id) {
+    if (!this.requirePermission('deleteRecord', 'delete records')) return;
+
+    const message = this.database
+        ? this.t('Move this record to the recycle bin?')
+        : this.t('Are you sure you want to delete this record? This cannot be undone.');
+    if (await this.confirmDialog(message, { confirmLabel: this.t('Delete') })) {
+        try {
+            await this.deleteSurveyRecord(id, { auditUser: this.getCurrentUserName(), recycle: true });
+        } catch (error) {
+            console.error('Error deleting survey:', error);
+            this.showError(this.t('Error deleting record. Please try again.'), error);
+            return;
+        }
+        this.requestSync();
+        this.refreshResults();
+        if (this.database) {
+            this.showUndo(this.t('Record moved to the recycle bin.'), () => this.restoreDeletedSurvey(id));
+        } else {
+            this.notify(this.t('Record deleted successfully!'));
+        }
+    }
+}
+
+// Finalized records are read-only until a supervisor reopens them
+async finalizeSurvey(id) {
+    const survey = await this.getSurvey(id);
+    if (!survey || survey.finalized) return;
+    if (!(await this.confirmDialog(this.t('Finalize this record? It cannot be changed afterwards unless a supervisor reopens it.'), { confirmLabel: this.t('Finalize') }))) return;
+
+    survey.finalized = { at: new Date().toISOString(), by: this.getCurrentUserName() };
+    try {
+        await this.putSurvey(survey, { auditUser: this.getCurrentUserName(), logAction: 'finalize' });
+    } catch (error) {
+        console.error('Error finalizing survey:', error);
+        this.showError(this.t('Error finalizing record. Please try again.'), error);
+        return;
+    }
+    if (this.currentEditId === id) {
+        await this.discardCurrentDraft();
+        this.clearForm();
+    }
+    this.requestSync();
+    this.refreshResults();
+}
+
+async reopenSurvey(id) {
+    if (!this.requirePermission('reopenRecord', 'reopen finalized records')) return;
+
+    const survey = await this.getSurvey(id);
+    if (!survey || !survey.finalized) return;
+    if (!(await this.confirmDialog(this.t('Reopen this record so it can be edited again?'), { confirmLabel: this.t('Reopen') }))) return;
+
+    survey.finalized = null;
+    try {
+        await this.putSurvey(survey, { auditUser: this.getCurrentUserName(), logAction: 'reopen' });
+    } catch (error) {
+        console.error('Error reopening survey:', error);
+        this.showError(this.t('Error reopening record. Please try again.'), error);
+        return;
+    }
+    this.requestSync();
+    this.refreshResults();
+}
+// Export Methods
+async exportToExcel() {
+    try {
+        const surveys = await this.getExportSurveys();
+        if (surveys.length === 0) {
+            this.notify(this.t('No data to export!'), 'warning');
+            return;
+        }
+
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Excel library not loaded');
+        }
+
+        const workbook = XLSX.utils.book_new();
+
+        const assetFields = this.getAssetFields();
+
+        XLSX.utils.book_append_sheet(workbook, this.buildHouseholdsSheet(surveys), 'Households');
+        if (this.getRosterField()) {
+            XLSX.utils.book_append_sheet(workbook, this.buildMembersSheet(surveys, this.getRosterField()), 'Members');
+        }
+        this.getGroupSections().forEach(section => {
+            // Excel limits sheet names to 31 characters
+            const sheetName = section.title.replace(/[\\/?*[\]:]/g, ' ').substring(0, 31);
+            XLSX.utils.book_append_sheet(workbook, this.buildAssetSheet(surveys, section.group, assetFields[section.group]), sheetName);
+        });
+        XLSX.utils.book_append_sheet(workbook, this.buildSummarySheet(surveys), 'Summary');
+
+        XLSX.writeFile(workbook, `PSER_Surveys_${new Date().toISOString().split('T')[0]}.xlsx`, { compression: true });
+
+        this.notify(this.t('Export completed successfully! {count} records exported.', { count: surveys.length }));
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        this.showError(this.t('Error exporting data. Please try again.'), error);
+    }
+}
+
+// Excel Workbook Helpers
+// { group: [[key, label], ...] } for the questionnaire's grouped count sections
+getAssetFields() {
+    const groups = {};
+    this.getQuestionnaireFields().filter(field => field.group).forEach(field => {
+        groups[field.group] = groups[field.group] || [];
+        groups[field.group].push([field.key, field.label]);
+    });
+    return groups;
+}
+
+// Builds a typed cell. SheetJS stores dates as serial numbers with a display format.
+makeCell(value, type) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            return isNaN(number) ? { t: 's', v: String(value) } : { t: 'n', v: number };
+        }
+        case 'text':
+            return { t: 's', v: String(value), z: '@' };
+        case 'date': {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) return { t: 's', v: String(value) };
+            return { t: 'n', v: this.toExcelDate(date), z: 'yyyy-mm-dd hh:mm' };
+        }
+        case 'link':
+            return { t: 's', v: value.text, l: { Target: value.url, Tooltip: value.url } };
+        default:
+            return { t: 's', v: String(value) };
+    }
+}
+
+toExcelDate(date) {
+    // Excel serial dates count days from 1899-12-30 in local time
+    const localMs = date.getTime() - date.getTimezoneOffset() * 60000;
+    return localMs / 86400000 + 25569;
+}
+
+// columns: [{ header, width, type, value: survey => any }]
+buildSheet(columns, rows) {
+    const sheet = {};
+
+    columns.forEach((column, c) => {
+        sheet[XLSX.utils.encode_cell({ r: 0, c })] = { t: 's', v: column.header };
+    });
+
+    rows.forEach((row, r) => {
+        columns.forEach((column, c) => {
+            const cell = this.makeCell(column.value(row), column.type);
+            if (cell) {
+                sheet[XLSX.utils.encode_cell({ r: r + 1, c })] = cell;
+            }
+        });
+    });
+
+    sheet['!ref'] = XLSX.utils.encode_range({
+        s: { r: 0, c: 0 },
+        e: { r: Math.max(rows.length, 1), c: columns.length - 1 }
+    });
+    sheet['!cols'] = columns.map(column => ({ wch: column.width || 12 }));
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: columns.length - 1 } }) };
+
+    return sheet;
+}
+
+getLocationLink(location) {
+    if (!location) return null;
+    const url = `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+    return { text: `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`, url };
+}
+
+buildHouseholdsSheet(surveys) {
+    const columns = [];
+
+    this.getQuestionnaireFields().filter(field => !field.group).forEach(field => {
+        const header = field.exportLabel || field.label;
+
+        switch (field.type) {
+            case 'location':
+                columns.push(
+                    { header: this.getFieldLabel(field, true), width: 24, type: 'link', value: s => this.getLocationLink(s[field.key]) },
+                    { header: 'Accuracy (m)', width: 10, type: 'number', value: s => s[field.key] && s[field.key].accuracy !== null ? Math.round(s[field.key].accuracy * 10) / 10 : null },
+                    { header: 'GPS Fixes', width: 8, type: 'number', value: s => s[field.key] && s[field.key].fixCount !== undefined ? s[field.key].fixCount : null },
+                    { header: 'Altitude (m)', width: 10, type: 'number', value: s => s[field.key] && s[field.key].altitude !== undefined ? s[field.key].altitude : null },
+                    { header: 'Location Captured', width: 17, type: 'date', value: s => s[field.key] ? s[field.key].capturedAt : null },
+                    { header: 'Location Note', width: 30, type: 'text', value: s => s[field.key] && s[field.key].quality !== 'averaged' && s[field.key].quality ? this.describeLocation(s[field.key], false) : '' }
+                );
+                break;
+            case 'photo':
+            case 'signature':
+                columns.push({ header: this.getFieldLabel(field, true), width: 9, type: 'text', value: s => s[field.key] ? 'Yes' : 'No' });
+                break;
+            case 'roster':
+                // The members themselves are listed on their own sheet
+                columns.push({ header: `${this.getFieldLabel(field, true)} Listed`, width: field.exportWidth || 8, type: 'number', value: s => (s[field.key] || []).length });
+                break;
+            default:
+                columns.push({
+                    header,
+                    width: field.exportWidth || Math.max(header.length + 2, 10),
+                    type: field.type === 'number' ? 'number' : 'text',
+                    value: s => field.type === 'number' ? s[field.key] : this.formatFieldValue(field, s[field.key])
+                });
+        }
+    });
+
+    columns.push(
+        { header: 'Duplicate Note', width: 24, type: 'text', value: s => s.duplicateOverride ? s.duplicateOverride.reason : null },
+        { header: 'Confirmed Warnings', width: 30, type: 'text', value: s => s.warningOverride ? s.warningOverride.warnings.map(warning => warning.message).join('; ') : null },
+        { header: 'Created At', width: 17, type: 'date', value: s => s.createdAt },
+        { header: 'Created By', width: 14, type: 'text', value: s => s.createdBy },
+        { header: 'Updated At', width: 17, type: 'date', value: s => s.updatedAt },
+        { header: 'Updated By', width: 14, type: 'text', value: s => s.updatedBy }
+    );
+
+    return this.buildSheet(columns, surveys);
+}
+
+// One row per listed member, linked to the household by block and house code
+buildMembersSheet(surveys, rosterField) {
+    const rows = surveys.flatMap(survey =>
+        (survey[rosterField.key] || []).map((member, index) => ({ survey, member, number: index + 1 }))
+    );
+
+    const columns = [
+        { header: 'Block Code', width: 12, type: 'text', value: row => row.survey.blockCode },
+        { header: 'House Code', width: 10, type: 'text', value: row => row.survey.houseCode },
+        { header: 'HOH Name', width: 20, type: 'text', value: row => row.survey.hohName },
+        { header: 'Member No', width: 8, type: 'number', value: row => row.number },
+        ...rosterField.memberFields.map(field => ({
+            header: field.exportLabel || field.label,
+            width: field.exportWidth || Math.max(field.label.length + 2, 10),
+            type: field.type === 'number' ? 'number' : 'text',
+            value: row => field.type === 'number' ? row.member[field.key] : this.formatFieldValue(field, row.member[field.key])
+        }))
+    ];
+
+    return this.buildSheet(columns, rows);
+}
+
+buildAssetSheet(surveys, group, fields) {
+    const columns = [
+        { header: 'Block Code', width: 12, type: 'text', value: s => s.blockCode },
+        { header: 'House Code', width: 10, type: 'text', value: s => s.houseCode },
+        { header: 'HOH Name', width: 20, type: 'text', value: s => s.hohName },
+        ...fields.map(([key, label]) => ({
+            header: label,
+            width: Math.max(label.length + 2, 8),
+            type: 'number',
+            value: s => (s[group] && s[group][key]) || 0
+        })),
+        {
+            header: 'Total',
+            width: 8,
+            type: 'number',
+            value: s => fields.reduce((sum, [key]) => sum + ((s[group] && s[group][key]) || 0), 0)
+        }
+    ];
+
+    return this.buildSheet(columns, surveys);
+}
+
+buildSummarySheet(surveys) {
+    const assetFields = this.getAssetFields();
+    const blocks = new Map();
+
+    surveys.forEach(survey => {
+        if (!blocks.has(survey.blockCode)) {
+            blocks.set(survey.blockCode, []);
+        }
+        blocks.get(survey.blockCode).push(survey);
+    });
+
+    const sum = (list, getter) => list.reduce((total, s) => total + (Number(getter(s)) || 0), 0);
+    const rows = Array.from(blocks.entries())
+        .sort(([a], [b]) => String(a).localeCompare(String(b)))
+        .map(([blockCode, list]) => ({ blockCode, list }));
+
+    const fields = this.getQuestionnaireFields().filter(field => !field.group);
+    const columns = [
+        { header: 'Block Code', width: 12, type: 'text', value: row => row.blockCode },
+        { header: 'Households', width: 10, type: 'number', value: row => row.list.length }
+    ];
+
+    // Fields opt in with "summary": "sum" or "summary": { "count": <value>, "label": ... }
+    fields.filter(field => field.summary).forEach(field => {
+        if (field.summary === 'sum') {
+            const header = field.exportLabel || field.label;
+            columns.push({ header, width: Math.max(header.length + 2, 8), type: 'number', value: row => sum(row.list, s => s[field.key]) });
+        } else if (field.summary.count !== undefined) {
+            const header = field.summary.label || field.label;
+            columns.push({ header, width: Math.max(header.length + 2, 8), type: 'number', value: row => row.list.filter(s => s[field.key] === field.summary.count).length });
+        }
+    });
+
+    fields.filter(field => this.isWidgetField(field)).forEach(field => {
+        const header = `With ${this.getFieldLabel(field, true)}`;
+        columns.push({ header, width: Math.max(header.length, 8), type: 'number', value: row => row.list.filter(s => s[field.key]).length });
+    });
+
+    Object.entries(assetFields).forEach(([group, fields]) => {
+        fields.forEach(([key, label]) => {
+            columns.push({
+                header: label,
+                width: Math.max(label.length + 2, 8),
+                type: 'number',
+                value: row => sum(row.list, s => s[group] && s[group][key])
+            });
+        });
+    });
+
+    columns.push(
+        { header: 'First Collected', width: 17, type: 'date', value: row => row.list.reduce((min, s) => !min || s.createdAt < min ? s.createdAt : min, null) },
+        { header: 'Last Collected', width: 17, type: 'date', value: row => row.list.reduce((max, s) => !max || s.createdAt > max ? s.createdAt : max, null) }
+    );
+
+    return this.buildSheet(columns, rows);
+}
+
+async exportToPDF() {
+    try {
+        const surveys = await this.getExportSurveys();
+        if (surveys.length === 0) {
+            this.notify(this.t('No data to export!'), 'warning');
+            return;
+        }
+
+        console.log(`Starting PDF export for ${surveys.length} records...`);
+        
+        const { jsPDF } = window.jspdf;
+        
+        if (!jsPDF) {
+            throw new Error('PDF library not loaded');
+        }
+
+        // Create PDF in landscape mode for table view
+        const pdf = new jsPDF('landscape');
+        if (surveys.some(survey => ARABIC_SCRIPT.test(JSON.stringify(survey)))) {
+            await this.addPdfUrduFont(pdf);
+        }
+        const pageWidth = pdf.internal.pageSize.width;
+        const pageHeight = pdf.internal.pageSize.height;
+        
+        // Table configuration: questionnaire fields with a pdfWidth, shrunk to fit the page
+        const pdfFields = this.getQuestionnaireFields().filter(field => field.pdfWidth);
+        const headers = pdfFields.map(field => field.pdfLabel || this.getFieldLabel(field, true));
+        const requestedWidth = pdfFields.reduce((sum, field) => sum + field.pdfWidth, 0);
+        const scale = Math.min(1, (pageWidth - 20) / requestedWidth);
+        const columnWidths = pdfFields.map(field => field.pdfWidth * scale);
+        let startX = 10;
+        let startY = 20;
+        const rowHeight = 10;
+        const recordsPerPage = 15;
+        
+        // Colors
+        const headerColor = [41, 128, 185];
+        const rowColor = [240, 240, 240];
+        
+        let currentRecord = 0;
+        let currentPage = 1;
+
+        while (currentRecord < surveys.length) {
+            if (currentRecord > 0) {
+                pdf.addPage('landscape');
+                currentPage++;
+                startY = 20;
+            }
+
+            // Page header
+            pdf.setFontSize(16);
+            pdf.setTextColor(...headerColor);
+            pdf.text('PSER SURVEY DATA - TABLE VIEW', startX, 10);
+            
+            pdf.setFontSize(8);
+            pdf.setTextColor(100, 100, 100);
+            pdf.text(`Page ${currentPage} | Exported: ${new Date().toLocaleString()}`, pageWidth - 60, 10);
+
+            // Draw table headers
+            pdf.setFillColor(...headerColor);
+            pdf.setTextColor(255, 255, 255);
+            pdf.setFontSize(8);
+            pdf.setFont(undefined, 'bold');
+            
+            let x = startX;
+            headers.forEach((header, index) => {
+                pdf.rect(x, startY, columnWidths[index], rowHeight, 'F');
+                pdf.text(header, x + 2, startY + 6);
+                x += columnWidths[index];
+            });
+            
+            startY += rowHeight;
+            
+            // Draw table rows
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFont(undefined, 'normal');
+            
+            let recordsOnThisPage = 0;
+            
+            for (let i = currentRecord; i < surveys.length && recordsOnThisPage < recordsPerPage; i++) {
+                const survey = surveys[i];
+                
+                // Alternate row colors
+                if (recordsOnThisPage % 2 === 0) {
+                    pdf.setFillColor(...rowColor);
+                    let rectX = startX;
+                    headers.forEach((_, index) => {
+                        pdf.rect(rectX, startY, columnWidths[index], rowHeight, 'F');
+                        rectX += columnWidths[index];
+                    });
+                }
+                
+                let cellX = startX;
+                pdfFields.forEach((field, index) => {
+                    const value = this.getRecordValue(survey, field);
+
+                    if (field.type === 'location') {
+                        pdf.setTextColor(41, 128, 185);
+                        pdf.textWithLink(value ? 'View on Map' : 'No Location', cellX + 2, startY + 6, {
+                            url: value ? `https://maps.google.com/?q=${value.latitude},${value.longitude}` : '',
+                            maxWidth: columnWidths[index] - 4
+                        });
+                        pdf.setTextColor(0, 0, 0);
+                    } else {
+                        let text = this.isWidgetField(field) ? (value ? 'Yes' : 'No') : this.formatFieldValue(field, value);
+                        // Truncate to roughly what fits in the column at this font size
+                        const maxChars = Math.max(4, Math.floor(columnWidths[index] * 0.6));
+                        if (text.length > maxChars) {
+                            text = text.substring(0, maxChars - 3) + '...';
+                        }
+                        this.drawPdfText(pdf, text || 'N/A', cellX + 2, startY + 6);
+                    }
+
+                    cellX += columnWidths[index];
+                });
+                
+                startY += rowHeight;
+                recordsOnThisPage++;
+                currentRecord++;
+                
+                // Check if we need a new page
+                if (startY > pageHeight - 20 && i < surveys.length - 1) {
+                    break;
+                }
+            }
+            
+            // Footer
+            pdf.setFontSize(8);
+            pdf.setTextColor(150, 150, 150);
+            pdf.text(`Records ${currentRecord - recordsOnThisPage + 1} to ${currentRecord} of ${surveys.length}`, startX, pageHeight - 10);
+        }
+
+        const rosterField = this.getRosterField();
+        if (rosterField && surveys.some(survey => (survey[rosterField.key] || []).length > 0)) {
+            this.addMemberPages(pdf, surveys, rosterField);
+        }
+
+        // Save the PDF
+        pdf.save(`PSER_Survey_Table_${new Date().toISOString().split('T')[0]}.pdf`);
+        
+        // Show success message
+        setTimeout(() => {
+            this.notify(this.t('PDF export completed! {count} records exported in table format.', { count: surveys.length }));
+        }, 500);
+        
+    } catch (error) {
+        console.error('Error exporting to PDF:', error);
+        this.showError(this.t('Error exporting to PDF. Please try again.'), error);
+    }
+}
+
+// Lists every household's roster on its own pages after the household table
+addMemberPages(pdf, surveys, rosterField) {
+    const pageWidth = pdf.internal.pageSize.width;
+    const pageHeight = pdf.internal.pageSize.height;
+    const headerColor = [41, 128, 185];
+    const rowHeight = 8;
+    const startX = 10;
+
+    const columns = [
+        { header: 'House Code', width: 20, value: row => row.survey.houseCode },
+        { header: 'HOH Name', width: 30, value: row => row.survey.hohName },
+        ...rosterField.memberFields.map(field => ({
+            header: this.getFieldLabel(field, true),
+            width: (field.exportWidth || 10) * 1.8,
+            value: row => this.formatFieldValue(field, row.member[field.key])
+        }))
+    ];
+    const scale = Math.min(1, (pageWidth - 20) / columns.reduce((sum, column) => sum + column.width, 0));
+    columns.forEach(column => { column.width *= scale; });
+
+    const rows = surveys.flatMap(survey => (survey[rosterField.key] || []).map(member => ({ survey, member })));
+    let y = pageHeight;
+
+    rows.forEach((row, index) => {
+        if (y > pageHeight - 20) {
+            pdf.addPage('landscape');
+            pdf.setFontSize(16);
+            pdf.setTextColor(...headerColor);
+            pdf.text('PSER SURVEY DATA - HOUSEHOLD MEMBERS', startX, 10);
+
+            y = 20;
+            pdf.setFillColor(...headerColor);
+            pdf.setTextColor(255, 255, 255);
+            pdf.setFontSize(8);
+            pdf.setFont(undefined, 'bold');
+            let x = startX;
+            columns.forEach(column => {
+                pdf.rect(x, y, column.width, rowHeight, 'F');
+                pdf.text(column.header, x + 2, y + 5);
+                x += column.width;
+            });
+            y += rowHeight;
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFont(undefined, 'normal');
+        }
+
+        if (index % 2 === 0) {
+            pdf.setFillColor(240, 240, 240);
+            pdf.rect(startX, y, columns.reduce((sum, column) => sum + column.width, 0), rowHeight, 'F');
+        }
+
+        let x = startX;
+        columns.forEach(column => {
+            let text = String(column.value(row) || '');
+            const maxChars = Math.max(4, Math.floor(column.width * 0.6));
+            if (text.length > maxChars) {
+                text = text.substring(0, maxChars - 3) + '...';
+            }
+            this.drawPdfText(pdf, text, x + 2, y + 5);
+            x += column.width;
+        });
+        y += rowHeight;
+    });
+}
+
+// Helper method for section headers
+addSectionHeader(pdf, text, x, y) {
+    pdf.setFontSize(12);
+    pdf.setTextColor(41, 128, 185);
+    pdf.setFont(undefined, 'bold');
+    pdf.text(text, x, y);
+    pdf.setFont(undefined, 'normal');
+}
+
+// Fetched once per session. Without it Urdu text is printed in the standard font, which
+// turns it into unreadable symbols, so the export goes ahead with a warning.
+async addPdfUrduFont(pdf) {
+    try {
+        if (!this.pdfUrduFont) {
+            const response = await fetch(PDF_URDU_FONT.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.pdfUrduFont = this.bytesToBase64(new Uint8Array(await response.arrayBuffer()));
+        }
+        pdf.addFileToVFS(PDF_URDU_FONT.file, this.pdfUrduFont);
+        pdf.addFont(PDF_URDU_FONT.file, PDF_URDU_FONT.name, 'normal');
+    } catch (error) {
+        console.error('Error loading the Urdu PDF font:', error);
+        this.notify(this.t('The Urdu font could not be loaded, so Urdu names will not print correctly in this PDF.'), 'warning');
+    }
+}
+
+// Draws text in the Urdu font when it contains Arabic script and the font was added
+drawPdfText(pdf, text, x, y) {
+    const urdu = ARABIC_SCRIPT.test(text) && pdf.getFontList()[PDF_URDU_FONT.name];
+    if (!urdu) {
+        pdf.text(text, x, y);
+        return;
+    }
+
+    const { fontName, fontStyle } = pdf.getFont();
+    pdf.setFont(PDF_URDU_FONT.name, 'normal');
+    pdf.text(text, x, y);
+    pdf.setFont(fontName, fontStyle);
+}
+
+// Geospatial Export Methods
+// One point per located household for GIS tools and handheld GPS units. Records
+// without a location are listed in a CSV report downloaded alongside.
+async exportToGeo() {
+    const format = this.getValue('geoExportFormat') || 'geojson';
+
+    try {
+        const surveys = await this.getExportSurveys();
+        if (surveys.length === 0) {
+            this.notify(this.t('No data to export!'), 'warning');
+            return;
+        }
+
+        const located = surveys.filter(s => s.location && isFinite(s.location.latitude) && isFinite(s.location.longitude));
+        const missing = surveys.filter(s => !located.includes(s));
+        const date = new Date().toISOString().split('T')[0];
+
+        if (located.length > 0) {
+            switch (format) {
+                case 'kml':
+                    this.downloadFile(this.buildKml(located), `PSER_Surveys_${date}.kml`, 'application/vnd.google-earth.kml+xml');
+                    break;
+                case 'gpx':
+                    this.downloadFile(this.buildGpx(located), `PSER_Surveys_${date}.gpx`, 'application/gpx+xml');
+                    break;
+                default:
+                    this.downloadFile(JSON.stringify(this.buildGeoJson(located), null, 2), `PSER_Surveys_${date}.geojson`, 'application/geo+json');
+            }
+        }
+
+        if (missing.length > 0) {
+            this.downloadFile(this.buildMissingLocationReport(missing), `PSER_Missing_Locations_${date}.csv`, 'text/csv;charset=utf-8');
+        }
+
+        let message = this.t('Export completed successfully! {count} households exported.', { count: located.length });
+        if (missing.length > 0) {
+            message += '\n\n' + this.t('{count} household(s) have no location and are listed in {file}:', { count: missing.length, file: `PSER_Missing_Locations_${date}.csv` }) + '\n' +
+                missing.slice(0, 10).map(s => `• ${s.houseCode || s.id} (${this.t('block {block}', { block: s.blockCode || '-' })})`).join('\n') +
+                (missing.length > 10 ? '\n' + this.t('…and {count} more', { count: missing.length - 10 }) : '');
+        }
+        this.notify(message, missing.length > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Error exporting locations:', error);
+        this.showError(this.t('Error exporting locations. Please try again.'), error);
+    }
+}
+
+downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Attributes carried by every point: fields marked "geo" in the questionnaire, every
+// grouped count as <group>_<key>, and how the location was captured
+getGeoProperties(survey) {
+    const properties = { id: survey.id, blockCode: survey.blockCode };
+
+    this.getQuestionnaireFields().forEach(field => {
+        const value = this.getRecordValue(survey, field);
+        if (field.group) {
+            properties[`${field.group}_${field.key}`] = value === undefined ? null : value;
+        } else if (field.geo && !this.isWidgetField(field)) {
+            properties[field.key] = field.type === 'number' ? (value === undefined ? null : value) : this.formatFieldValue(field, value);
+        }
+    });
+
+    const location = survey.location;
+    properties.accuracy = location.accuracy === undefined ? null : location.accuracy;
+    properties.fixCount = location.fixCount === undefined ? null : location.fixCount;
+    properties.locationQuality = location.quality || null;
+    properties.capturedAt = location.capturedAt || null;
+    properties.collectedAt = survey.createdAt || null;
+    return properties;
+}
+
+getGeoCoordinates(location) {
+    const coordinates = [location.longitude, location.latitude];
+    if (location.altitude !== null && location.altitude !== undefined) {
+        coordinates.push(location.altitude);
+    }
+    return coordinates;
+}
+
+buildGeoJson(surveys) {
+    return {
+        type: 'FeatureCollection',
+        name: 'PSER Households',
+        features: surveys.map(survey => ({
+            type: 'Feature',
+            id: survey.id,
+            geometry: { type: 'Point', coordinates: this.getGeoCoordinates(survey.location) },
+            properties: this.getGeoProperties(survey)
+        }))
+    };
+}
+
+// Placemarks are grouped into one folder per block
+buildKml(surveys) {
+    const xml = value => this.escapeHtml(value);
+    const blocks = new Map();
+    surveys.forEach(survey => {
+        const blockCode = survey.blockCode || '';
+        if (!blocks.has(blockCode)) blocks.set(blockCode, []);
+        blocks.get(blockCode).push(survey);
+    });
+
+    const folders = Array.from(blocks.keys()).sort().map(blockCode => {
+        const placemarks = blocks.get(blockCode)
+            .sort((a, b) => String(a.houseCode).localeCompare(String(b.houseCode), undefined, { numeric: true }))
+            .map(survey => {
+                const properties = this.getGeoProperties(survey);
+                const data = Object.entries(properties)
+                    .map(([name, value]) => `<Data name="${xml(name)}"><value>${xml(value)}</value></Data>`)
+                    .join('');
+                return `
+      <Placemark>
+        <name>${xml(survey.houseCode || survey.id)}</name>
+        <description>${xml(survey.hohName || '')}</description>
+        <ExtendedData>${data}</ExtendedData>
+        <Point><coordinates>${this.getGeoCoordinates(survey.location).join(',')}</coordinates></Point>
+      </Placemark>`;
+            }).join('');
+
+        return `
+    <Folder>
+      <name>Block ${xml(blockCode || '(none)')}</name>${placemarks}
+    </Folder>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>PSER Households</name>${folders}
+  </Document>
+</kml>
+`;
+}
+
+buildGpx(surveys) {
+    const xml = value => this.escapeHtml(value);
+    const waypoints = surveys.map(survey => {
+        const { latitude, longitude, altitude, capturedAt } = survey.location;
+        return `
+  <wpt lat="${latitude}" lon="${longitude}">${altitude !== null && altitude !== undefined ? `
+    <ele>${altitude}</ele>` : ''}${capturedAt ? `
+    <time>${xml(capturedAt)}</time>` : ''}
+    <name>${xml(survey.houseCode || survey.id)}</name>
+    <desc>${xml(`${survey.hohName || ''} · Block ${survey.blockCode || '-'}`)}</desc>
+  </wpt>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="PSER Survey" xmlns="http://www.topografix.com/GPX/1/1">${waypoints}
+</gpx>
+`;
+}
+
+buildMissingLocationReport(surveys) {
+    const csv = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['Block Code', 'House Code', 'HOH Name', 'Collected On', 'Collected By']];
+    surveys.forEach(survey => {
+        rows.push([survey.blockCode, survey.houseCode, survey.hohName, survey.createdAt, survey.createdBy]);
+    });
+    // Excel only reads a CSV as UTF-8 when it starts with a byte order mark; without one
+    // Urdu names come out garbled
+    return '\uFEFF' + rows.map(row => row.map(csv).join(',')).join('\r\n') + '\r\n';
+}
+    getSettings() {
+        if (!this.settings) {
+            let stored = {};
+            try {
+                stored = JSON.parse(localStorage.getItem('pserSettings') || '{}');
+            } catch (error) {
+                console.error('Error loading settings:', error);
+            }
+
+            this.settings = {};
+            Object.entries(DEFAULT_SETTINGS).forEach(([section, defaults]) => {
+                this.settings[section] = { ...defaults, ...(stored[section] || {}) };
+            });
+        }
+        return this.settings;
+    }
+
+    saveSettings(settings) {
+        this.settings = settings;
+        localStorage.setItem('pserSettings', JSON.stringify(settings));
+    }
+
+    setupSettings() {
+        this.safeAddEventListener('settingsBtn', 'click', () => this.showSettingsModal());
+        this.safeAddEventListener('saveSettings', 'click', () => this.saveSettingsForm());
+        this.safeAddEventListener('closeSettings', 'click', () => this.hideSettingsModal());
+    }
+
+    // Inputs in the settings modal declare the setting they edit with data-setting="section.key".
+    // data-scale converts between stored and displayed values (e.g. 0.7 shown as 70%).
+    showSettingsModal() {
+        const settings = this.getSettings();
+        document.querySelectorAll('#settingsModal [data-setting]').forEach(input => {
+            const [section, key] = input.dataset.setting.split('.');
+            const value = settings[section][key];
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else if (input.dataset.scale) {
+                input.value = Math.round(value * parseFloat(input.dataset.scale));
+            } else {
+                input.value = value === null || value === undefined ? '' : value;
+            }
+        });
+
+        const modal = document.getElementById('settingsModal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+    }
+
+    hideSettingsModal() {
+        const modal = document.getElementById('settingsModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    saveSettingsForm() {
+        const current = this.getSettings();
+        const settings = {};
+        Object.keys(current).forEach(section => {
+            settings[section] = { ...current[section] };
+        });
+
+        const inputs = Array.from(document.querySelectorAll('#settingsModal [data-setting]'));
+        const invalid = inputs.find(input => !input.checkValidity());
+        if (invalid) {
+            this.notify(this.t('Please enter a valid value for {setting}', { setting: invalid.dataset.label || invalid.dataset.setting }), 'warning');
+            invalid.focus();
+            return;
+        }
+
+        inputs.forEach(input => {
+            const [section, key] = input.dataset.setting.split('.');
+            if (input.type === 'checkbox') {
+                settings[section][key] = input.checked;
+            } else if (input.type === 'number') {
+                const number = parseFloat(input.value);
+                if (isNaN(number)) return;
+                settings[section][key] = input.dataset.scale ? number / parseFloat(input.dataset.scale) : number;
+            } else {
+                settings[section][key] = input.value.trim();
+            }
+        });
+
+        this.saveSettings(settings);
+        this.scheduleSync();
+        this.notify(this.t('Settings saved successfully!'));
+        this.hideSettingsModal();
+    }
+
+    // Map Methods
+    // Plots a block's households on a canvas over a plain metre grid, so it needs no
+    // network access or map tiles. Coordinates are projected onto a flat plane around
+    // the block's centre, which is accurate enough at block scale.
+    setupMap() {
+        this.safeAddEventListener('mapBtn', 'click', () => this.showMapModal());
+        this.safeAddEventListener('closeMap', 'click', () => this.hideMapModal());
+        this.safeAddEventListener('mapBlockCode', 'change', () => this.loadMapBlock());
+        this.safeAddEventListener('mapZoomIn', 'click', () => this.zoomMap(1.5));
+        this.safeAddEventListener('mapZoomOut', 'click', () => this.zoomMap(1 / 1.5));
+        this.safeAddEventListener('mapFit', 'click', () => {
+            this.fitMap();
+            this.drawMap();
+        });
+        this.safeAddEventListener('mapLocate', 'click', () => this.centerMapOnPosition());
+
+        const legend = document.getElementById('mapLegend');
+        if (legend) {
+            legend.innerHTML = Object.values(MAP_STATUS_STYLES).map(style =>
+                `<span class="map-legend-item"><i class="map-legend-dot" style="background: ${style.color};"></i>${this.i18nHtml(style.label)}</span>`
+            ).join('');
+        }
+
+        const canvas = document.getElementById('mapCanvas');
+        if (!canvas) return;
+
+        canvas.addEventListener('pointerdown', (e) => this.onMapPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onMapPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onMapPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.map.pointers.delete(e.pointerId));
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomMap(e.deltaY < 0 ? 1.2 : 1 / 1.2, this.getCanvasPoint(e));
+        }, { passive: false });
+        window.addEventListener('resize', () => {
+            if (this.isMapOpen()) this.drawMap();
+        });
+    }
+
+    isMapOpen() {
+        const modal = document.getElementById('mapModal');
+        return !!modal && modal.style.display === 'flex';
+    }
+
+    async showMapModal() {
+        const modal = document.getElementById('mapModal');
+        if (!modal) return;
+
+        modal.style.display = 'flex';
+        this.setValue('mapBlockCode', this.getValue('blockCode') || this.defaultBlockCode);
+        await this.loadMapBlock();
+        this.startMapPositionWatch();
+    }
+
+    hideMapModal() {
+        const modal = document.getElementById('mapModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        if (this.map.watchId !== null && navigator.geolocation) {
+            navigator.geolocation.clearWatch(this.map.watchId);
+        }
+        this.map.watchId = null;
+    }
+
+    getMapStatus(survey) {
+        if (survey.photoId && survey.signatureId) return 'complete';
+        if (!survey.photoId && !survey.signatureId) return 'missingBoth';
+        return survey.photoId ? 'missingSignature' : 'missingPhoto';
+    }
+
+    async loadMapBlock() {
+        const blockCode = this.getValue('mapBlockCode').trim();
+        let surveys = [];
+        this.map.boundary = null;
+        try {
+            surveys = blockCode ? await this.getSurveysInBlock(blockCode) : [];
+            this.map.boundary = blockCode ? await this.getBoundary(blockCode) : null;
+        } catch (error) {
+            console.error('Error loading block for map:', error);
+            this.showError(this.t('Error loading records for the map. Please try again.'), error);
+        }
+
+        const located = surveys.filter(s => s.location && isFinite(s.location.latitude) && isFinite(s.location.longitude));
+        this.map.points = located.map(survey => ({
+            id: survey.id,
+            houseCode: survey.houseCode,
+            latitude: survey.location.latitude,
+            longitude: survey.location.longitude,
+            status: this.getMapStatus(survey)
+        }));
+
+        const summary = document.getElementById('mapSummary');
+        if (summary) {
+            summary.textContent = this.t('{located} of {total} households in block {block} have a location', { located: located.length, total: surveys.length, block: blockCode || '-' }) +
+                (this.map.boundary ? '' : ` · ${this.t('no boundary imported')}`);
+        }
+
+        this.map.origin = null;
+        this.fitMap();
+        this.drawMap();
+    }
+
+    startMapPositionWatch() {
+        if (!navigator.geolocation || this.map.watchId !== null) return;
+
+        this.map.watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                this.map.position = {
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy
+                };
+                if (!this.map.origin) {
+                    this.fitMap();
+                }
+                this.drawMap();
+            },
+            (error) => console.warn('Map position unavailable:', error.message),
+            { enableHighAccuracy: true, maximumAge: 10000 }
+        );
+    }
+
+    centerMapOnPosition() {
+        if (!this.map.position || !this.map.origin) {
+            this.notify(this.t('Current position is not available yet'), 'warning');
+            return;
+        }
+        this.map.center = this.projectToMap(this.map.position.latitude, this.map.position.longitude);
+        this.drawMap();
+    }
+
+    // Metres east/north of the map origin
+    projectToMap(latitude, longitude) {
+        const metresPerDegree = 111320;
+        const origin = this.map.origin;
+        return {
+            x: (longitude - origin.longitude) * metresPerDegree * Math.cos(origin.latitude * Math.PI / 180),
+            y: (latitude - origin.latitude) * metresPerDegree
+        };
+    }
+
+    mapToScreen(point) {
+        const { width, height } = this.map.size;
+        return {
+            x: width / 2 + (point.x - this.map.center.x) * this.map.scale,
+            y: height / 2 - (point.y - this.map.center.y) * this.map.scale
+        };
+    }
+
+    screenToMap(point) {
+        const { width, height } = this.map.size;
+        return {
+            x: this.map.center.x + (point.x - width / 2) / this.map.scale,
+            y: this.map.center.y - (point.y - height / 2) / this.map.scale
+        };
+    }
+
+    // Centres on the block's households and boundary (or the device) at a scale that shows all of them
+    fitMap() {
+        const canvas = document.getElementById('mapCanvas');
+        const points = this.map.points.map(p => ({ latitude: p.latitude, longitude: p.longitude }));
+        if (this.map.boundary) {
+            this.map.boundary.polygons.forEach(([outer]) => {
+                outer.forEach(([longitude, latitude]) => points.push({ latitude, longitude }));
+            });
+        }
+        const anchor = points.length > 0 ? null : this.map.position;
+
+        if (points.length === 0 && !anchor) {
+            this.map.origin = null;
+            return;
+        }
+
+        this.map.origin = anchor
+            ? { latitude: anchor.latitude, longitude: anchor.longitude }
+            : {
+                latitude: points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+                longitude: points.reduce((sum, p) => sum + p.longitude, 0) / points.length
+            };
+
+        const projected = points.map(p => this.projectToMap(p.latitude, p.longitude));
+        const xs = projected.map(p => p.x);
+        const ys = projected.map(p => p.y);
+        const spanX = projected.length > 1 ? Math.max(...xs) - Math.min(...xs) : 0;
+        const spanY = projected.length > 1 ? Math.max(...ys) - Math.min(...ys) : 0;
+        const width = canvas ? canvas.clientWidth || 300 : 300;
+        const height = canvas ? canvas.clientHeight || 300 : 300;
+
+        this.map.center = projected.length > 0
+            ? { x: (Math.max(...xs) + Math.min(...xs)) / 2, y: (Math.max(...ys) + Math.min(...ys)) / 2 }
+            : { x: 0, y: 0 };
+        // A lone point or the device position is shown with about 200 m across the screen
+        this.map.scale = spanX === 0 && spanY === 0
+            ? Math.min(width, height) / 200
+            : Math.min((width - 60) / Math.max(spanX, 1), (height - 60) / Math.max(spanY, 1));
+    }
+
+    zoomMap(factor, screenPoint = null) {
+        if (!this.map.origin) return;
+
+        const point = screenPoint || { x: this.map.size.width / 2, y: this.map.size.height / 2 };
+        const anchor = this.screenToMap(point);
+        this.map.scale = Math.min(50, Math.max(0.001, this.map.scale * factor));
+        // Keep the spot under the finger or cursor in place
+        this.map.center = {
+            x: anchor.x - (point.x - this.map.size.width / 2) / this.map.scale,
+            y: anchor.y + (point.y - this.map.size.height / 2) / this.map.scale
+        };
+        this.drawMap();
+    }
+
+    getCanvasPoint(e) {
+        const rect = e.target.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    onMapPointerDown(e) {
+        e.target.setPointerCapture && e.target.setPointerCapture(e.pointerId);
+        this.map.pointers.set(e.pointerId, this.getCanvasPoint(e));
+        if (this.map.pointers.size === 1) {
+            this.map.dragDistance = 0;
+        }
+    }
+
+    onMapPointerMove(e) {
+        const previous = this.map.pointers.get(e.pointerId);
+        if (!previous || !this.map.origin) return;
+
+        const point = this.getCanvasPoint(e);
+        if (this.map.pointers.size === 1) {
+            this.map.center.x -= (point.x - previous.x) / this.map.scale;
+            this.map.center.y += (point.y - previous.y) / this.map.scale;
+            this.map.dragDistance += Math.hypot(point.x - previous.x, point.y - previous.y);
+            this.map.pointers.set(e.pointerId, point);
+            this.drawMap();
+        } else if (this.map.pointers.size === 2) {
+            // Pinch: zoom by the change in distance between the two fingers
+            const other = Array.from(this.map.pointers.entries()).find(([id]) => id !== e.pointerId)[1];
+            const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const after = Math.hypot(point.x - other.x, point.y - other.y);
+            this.map.pointers.set(e.pointerId, point);
+            this.map.dragDistance = Infinity;
+            if (before > 0) {
+                this.zoomMap(after / before, { x: (point.x + other.x) / 2, y: (point.y + other.y) / 2 });
+            }
+        }
+    }
+
+    onMapPointerUp(e) {
+        const point = this.getCanvasPoint(e);
+        const wasTap = this.map.pointers.size === 1 && this.map.dragDistance < 6;
+        this.map.pointers.delete(e.pointerId);
+        if (!wasTap || !this.map.origin) return;
+
+        // Open the nearest household within reach of a fingertip
+        let nearest = null;
+        let nearestDistance = 20;
+        this.map.points.forEach(p => {
+            const screen = this.mapToScreen(this.projectToMap(p.latitude, p.longitude));
+            const distance = Math.hypot(screen.x - point.x, screen.y - point.y);
+            if (distance < nearestDistance) {
+                nearest = p;
+                nearestDistance = distance;
+            }
+        });
+
+        if (nearest) {
+            this.hideMapModal();
+            this.editSurvey(nearest.id);
+        }
+    }
+
+    // Grid spacing of 1, 2 or 5 x 10^n metres, roughly minPixels apart on screen
+    getGridSpacing(minPixels) {
+        const raw = minPixels / this.map.scale;
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        return [1, 2, 5, 10].map(step => step * power).find(step => step >= raw);
+    }
+
+    formatDistance(metres) {
+        return metres >= 1000 ? `${metres / 1000} km` : `${metres} m`;
+    }
+
+    drawMap() {
+        const canvas = document.getElementById('mapCanvas');
+        if (!canvas || !canvas.getContext) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 300;
+        const height = canvas.clientHeight || 300;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        this.map.size = { width, height };
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = '#f4f6f7';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!this.map.origin) {
+            ctx.fillStyle = '#7f8c8d';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.t('No households with a location in this block'), width / 2, height / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        // Grid
+        const spacing = this.getGridSpacing(80);
+        const topLeft = this.screenToMap({ x: 0, y: 0 });
+        const bottomRight = this.screenToMap({ x: width, y: height });
+        ctx.strokeStyle = '#dde3e6';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = Math.floor(topLeft.x / spacing) * spacing; x <= bottomRight.x; x += spacing) {
+            const screenX = this.mapToScreen({ x, y: 0 }).x;
+            ctx.moveTo(screenX, 0);
+            ctx.lineTo(screenX, height);
+        }
+        for (let y = Math.floor(bottomRight.y / spacing) * spacing; y <= topLeft.y; y += spacing) {
+            const screenY = this.mapToScreen({ x: 0, y }).y;
+            ctx.moveTo(0, screenY);
+            ctx.lineTo(width, screenY);
+        }
+        ctx.stroke();
+
+        // Block boundary
+        if (this.map.boundary) {
+            ctx.strokeStyle = '#2c3e50';
+            ctx.fillStyle = 'rgba(44, 62, 80, 0.05)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            this.map.boundary.polygons.forEach(polygon => polygon.forEach(ring => {
+                ring.forEach(([longitude, latitude], index) => {
+                    const screen = this.mapToScreen(this.projectToMap(latitude, longitude));
+                    if (index === 0) {
+                        ctx.moveTo(screen.x, screen.y);
+                    } else {
+                        ctx.lineTo(screen.x, screen.y);
+                    }
+                });
+                ctx.closePath();
+            }));
+            ctx.fill('evenodd');
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Device position with its accuracy circle
+        if (this.map.position) {
+            const position = this.mapToScreen(this.projectToMap(this.map.position.latitude, this.map.position.longitude));
+            ctx.fillStyle = 'rgba(52, 152, 219, 0.15)';
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, Math.max(this.map.position.accuracy * this.map.scale, 8), 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#3498db';
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, 7, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        // Households
+        ctx.font = '11px sans-serif';
+        this.map.points.forEach(p => {
+            const screen = this.mapToScreen(this.projectToMap(p.latitude, p.longitude));
+            if (screen.x < -50 || screen.y < -20 || screen.x > width + 50 || screen.y > height + 20) return;
+
+            ctx.fillStyle = MAP_STATUS_STYLES[p.status].color;
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, 6, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = '#2c3e50';
+            ctx.fillText(p.houseCode || '', screen.x + 8, screen.y + 4);
+        });
+
+        // Scale bar and north marker
+        const barLength = spacing * this.map.scale;
+        ctx.strokeStyle = '#2c3e50';
+        ctx.fillStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(10, height - 12);
+        ctx.lineTo(10 + barLength, height - 12);
+        ctx.stroke();
+        ctx.fillText(this.formatDistance(spacing), 14, height - 18);
+        ctx.fillText('N ↑', width - 28, 16);
+    }
+
+    // Block Boundary Methods
+    // Boundaries are imported from GeoJSON or KML and stored per block code as a list
+    // of polygons, each a list of rings (outer first, then holes) of [longitude, latitude].
+    setupBoundaries() {
+        this.safeAddEventListener('importBoundaries', 'click', () => {
+            const input = document.getElementById('boundaryFile');
+            if (input) input.click();
+        });
+        this.safeAddEventListener('checkBoundaries', 'click', () => this.showBoundaryReport());
+        this.safeAddEventListener('closeBoundaryReport', 'click', () => this.hideBoundaryReport());
+        this.safeAddEventListener('boundaryReportContent', 'click', (e) => {
+            const item = e.target.closest('[data-survey-id]');
+            if (item) this.openOutOfBlockSurvey(item.dataset.surveyId);
+        });
+
+        const boundaryFileInput = document.getElementById('boundaryFile');
+        if (boundaryFileInput) {
+            boundaryFileInput.addEventListener('change', (e) => this.importBoundaries(e));
+        }
+    }
+
+    importBoundaries(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const isKml = /\.kml$/i.test(file.name) || /^\s*<\?xml|<kml/i.test(e.target.result);
+                const { boundaries, skipped } = isKml
+                    ? this.parseKmlBoundaries(e.target.result)
+                    : this.parseGeoJsonBoundaries(JSON.parse(e.target.result));
+
+                if (boundaries.length === 0) {
+                    throw new Error(this.t('No polygons with a block code were found'));
+                }
+
+                const importedAt = new Date().toISOString();
+                boundaries.forEach(boundary => {
+                    boundary.source = file.name;
+                    boundary.importedAt = importedAt;
+                });
+                await this.putBoundaries(boundaries);
+
+                let message = this.t('Imported boundaries for {count} block(s).', { count: boundaries.length });
+                if (skipped > 0) {
+                    message += '\n' + this.t('{count} shape(s) without a block code or polygon were skipped.', { count: skipped });
+                }
+                this.notify(message, skipped > 0 ? 'warning' : 'success');
+
+                if (this.isMapOpen()) {
+                    await this.loadMapBlock();
+                }
+            } catch (error) {
+                console.error('Error importing boundaries:', error);
+                this.showError(`${this.t('Error importing boundaries. Please check the file format.')}\n\n${error.message}`, error);
+            }
+        };
+
+        reader.onerror = () => {
+            this.showError(this.t('Error reading boundary file'));
+        };
+
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    // The block code is taken from the first of these properties that the shape has
+    getBoundaryBlockCode(properties) {
+        const names = ['blockcode', 'block_code', 'block code', 'block', 'code', 'name'];
+        const entries = Object.entries(properties || {})
+            .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+            .map(([key, value]) => [key.trim().toLowerCase(), String(value).trim()]);
+
+        for (const name of names) {
+            const match = entries.find(([key]) => key === name);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    // Merges shapes that share a block code into one boundary
+    collectBoundaries(shapes) {
+        const byBlock = new Map();
+        let skipped = 0;
+
+        shapes.forEach(({ blockCode, polygons }) => {
+            if (!blockCode || polygons.length === 0) {
+                skipped++;
+                return;
+            }
+            if (!byBlock.has(blockCode)) {
+                byBlock.set(blockCode, { blockCode, polygons: [] });
+            }
+            byBlock.get(blockCode).polygons.push(...polygons);
+        });
+
+        return { boundaries: Array.from(byBlock.values()), skipped };
+    }
+
+    parseGeoJsonBoundaries(geojson) {
+        const features = geojson.type === 'FeatureCollection' ? geojson.features || []
+            : geojson.type === 'Feature' ? [geojson]
+            : [];
+        if (features.length === 0 && !['FeatureCollection', 'Feature'].includes(geojson.type)) {
+            throw new Error(this.t('Expected a GeoJSON FeatureCollection or Feature'));
+        }
+
+        const toRing = ring => ring.map(([longitude, latitude]) => [longitude, latitude]);
+        return this.collectBoundaries(features.map(feature => {
+            const geometry = feature.geometry || {};
+            let polygons = [];
+            if (geometry.type === 'Polygon') {
+                polygons = [geometry.coordinates.map(toRing)];
+            } else if (geometry.type === 'MultiPolygon') {
+                polygons = geometry.coordinates.map(polygon => polygon.map(toRing));
+            }
+            return { blockCode: this.getBoundaryBlockCode(feature.properties), polygons };
+        }));
+    }
+
+    parseKmlBoundaries(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(this.t('The KML file is not valid XML'));
+        }
+
+        const parseRing = element => {
+            const coordinates = element ? element.getElementsByTagName('coordinates')[0] : null;
+            if (!coordinates) return null;
+            return coordinates.textContent.trim().split(/\s+/)
+                .map(tuple => tuple.split(',').map(Number))
+                .filter(([longitude, latitude]) => isFinite(longitude) && isFinite(latitude))
+                .map(([longitude, latitude]) => [longitude, latitude]);
+        };
+
+        const placemarks = Array.from(doc.getElementsByTagName('Placemark'));
+        return this.collectBoundaries(placemarks.map(placemark => {
+            // ExtendedData fields take precedence over the placemark's name
+            const properties = {};
+            Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+                const value = data.getElementsByTagName('value')[0];
+                properties[data.getAttribute('name')] = value ? value.textContent : '';
+            });
+            Array.from(placemark.getElementsByTagName('SimpleData')).forEach(data => {
+                properties[data.getAttribute('name')] = data.textContent;
+            });
+            const name = placemark.getElementsByTagName('name')[0];
+            if (name && !this.getBoundaryBlockCode(properties)) {
+                properties.name = name.textContent;
+            }
+
+            const polygons = Array.from(placemark.getElementsByTagName('Polygon')).map(polygon => {
+                const outer = parseRing(polygon.getElementsByTagName('outerBoundaryIs')[0]);
+                const holes = Array.from(polygon.getElementsByTagName('innerBoundaryIs')).map(parseRing);
+                return [outer, ...holes].filter(ring => ring && ring.length >= 3);
+            }).filter(rings => rings.length > 0);
+
+            return { blockCode: this.getBoundaryBlockCode(properties), polygons };
+        }));
+    }
+
+    // How far (in metres) a location lies outside a boundary; 0 when it is inside.
+    // Vertices are projected to metres around the location, which then sits at the origin.
+    getDistanceOutsideBoundary(location, boundary) {
+        const metresPerDegree = 111320;
+        const cosLatitude = Math.cos(location.latitude * Math.PI / 180);
+        const project = ([longitude, latitude]) => ({
+            x: (longitude - location.longitude) * metresPerDegree * cosLatitude,
+            y: (latitude - location.latitude) * metresPerDegree
+        });
+
+        let nearest = Infinity;
+        for (const polygon of boundary.polygons) {
+            let inside = false;
+            polygon.forEach(ring => {
+                const points = ring.map(project);
+                for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                    const a = points[i];
+                    const b = points[j];
+                    // Even-odd rule, so holes count as outside
+                    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+                        inside = !inside;
+                    }
+                    nearest = Math.min(nearest, this.distanceToSegment(a, b));
+                }
+            });
+            if (inside) return 0;
+        }
+        return nearest;
+    }
+
+    // Distance from the origin to the segment a-b
+    distanceToSegment(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+        return Math.hypot(a.x + t * dx, a.y + t * dy);
+    }
+
+    // Called after every capture; does nothing for blocks without an imported boundary
+    async warnIfOutsideBlock(location) {
+        const blockCode = this.getValue('blockCode').trim();
+        if (!location || !blockCode) return;
+
+        try {
+            const boundary = await this.getBoundary(blockCode);
+            if (!boundary) return;
+
+            const distance = this.getDistanceOutsideBoundary(location, boundary);
+            if (distance > this.getSettings().location.boundaryBuffer) {
+                this.notify(this.t('This location is about {distance} m outside the boundary of block {block}.', { distance: Math.round(distance), block: blockCode }) + '\n\n' +
+                    this.t('Check that you are at the right house and that the block code is correct.'), 'warning');
+            }
+        } catch (error) {
+            console.error('Error checking block boundary:', error);
+        }
+    }
+
+    // Lists every household whose location falls outside the boundary of its block
+    async findOutOfBlockSurveys() {
+        const boundaries = new Map((await this.getAllBoundaries()).map(boundary => [boundary.blockCode, boundary]));
+        const { boundaryBuffer } = this.getSettings().location;
+        const outside = [];
+        const unchecked = new Set();
+        let checked = 0;
+
+        const check = (survey) => {
+            if (!survey.location) return;
+
+            const boundary = boundaries.get(survey.blockCode);
+            if (!boundary) {
+                unchecked.add(survey.blockCode || '(none)');
+                return;
+            }
+
+            checked++;
+            const distance = this.getDistanceOutsideBoundary(survey.location, boundary);
+            if (distance > boundaryBuffer) {
+                outside.push({ survey, distance });
+            }
+        };
+
+        if (this.database) {
+            await this.forEachSurvey(check);
+        } else {
+            this.loadFromLocalStorage().forEach(check);
+        }
+
+        outside.sort((a, b) => b.distance - a.distance);
+        return { outside, checked, unchecked: Array.from(unchecked).sort() };
+    }
+
+    async showBoundaryReport() {
+        const modal = document.getElementById('boundaryReportModal');
+        const content = document.getElementById('boundaryReportContent');
+        if (!modal || !content) return;
+
+        let report;
+        try {
+            report = await this.findOutOfBlockSurveys();
+        } catch (error) {
+            console.error('Error checking block boundaries:', error);
+            this.showError(this.t('Error checking block boundaries. Please try again.'), error);
+            return;
+        }
+
+        const { outside, checked, unchecked } = report;
+        let html = `<p>${this.escapeHtml(this.t('{checked} located household(s) checked against their block boundary; {outside} lie outside it.', { checked, outside: outside.length }))}</p>`;
+        if (unchecked.length > 0) {
+            html += `<p class="duplicate-meta">${this.escapeHtml(this.t('No boundary imported for block(s): {blocks}', { blocks: unchecked.join(', ') }))}</p>`;
+        }
+        html += outside.map(({ survey, distance }) => `
+            <div class="duplicate-item boundary-item" data-survey-id="${this.escapeHtml(survey.id)}">
+                <strong>${this.escapeHtml(survey.houseCode || '')}</strong> · ${this.escapeHtml(survey.hohName || '')}
+                <div class="duplicate-meta">${this.escapeHtml(this.t('Block {block} · {distance} m outside', { block: survey.blockCode || '', distance: Math.round(distance) }))}</div>
+            </div>
+        `).join('');
+
+        content.innerHTML = html;
+        modal.style.display = 'flex';
+    }
+
+    hideBoundaryReport() {
+        const modal = document.getElementById('boundaryReportModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    openOutOfBlockSurvey(id) {
+        this.hideBoundaryReport();
+        this.hideMapModal();
+        this.editSurvey(id);
+    }
+
+    // Encryption Methods
+    // AES-GCM with a key derived from a passphrase by PBKDF2. Each encryption uses a fresh
+    // random IV; salts are stored next to the ciphertext so the key can be derived again.
+    async deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+        if (!window.crypto || !crypto.subtle) {
+            throw new Error(this.t('Encryption is not available in this browser'));
+        }
+
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptBytes(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv, ciphertext: new Uint8Array(ciphertext) };
+    }
+
+    // Rejects when the key is wrong or the ciphertext was altered
+    async decryptBytes(key, iv, ciphertext) {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext));
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // The header carries everything except the passphrase needed to decrypt the file
+    async encryptBackup(text, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt);
+        const { iv, ciphertext } = await this.encryptBytes(key, new TextEncoder().encode(text));
+
+        return {
+            format: ENCRYPTED_BACKUP_FORMAT,
+            version: ENCRYPTED_BACKUP_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: this.bytesToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.bytesToBase64(iv) },
+            createdAt: new Date().toISOString(),
+            data: this.bytesToBase64(ciphertext)
+        };
+    }
+
+    isEncryptedBackup(data) {
+        return !!data && data.format === ENCRYPTED_BACKUP_FORMAT;
+    }
+
+    async decryptBackup(file, passphrase) {
+        if (file.version > ENCRYPTED_BACKUP_VERSION) {
+            throw new Error(this.t('This backup was written by a newer version of the app (format {version})', { version: file.version }));
+        }
+        if (!file.kdf || file.kdf.name !== 'PBKDF2' || !file.cipher || file.cipher.name !== 'AES-GCM') {
+            throw new Error(this.t('Unsupported encryption settings in backup file'));
+        }
+        const iterations = file.kdf.iterations;
+        if (!Number.isInteger(iterations) || iterations < BACKUP_KDF_ITERATION_RANGE.min || iterations > BACKUP_KDF_ITERATION_RANGE.max) {
+            throw new Error(this.t('Unsupported encryption settings in backup file'));
+        }
+
+        const key = await this.deriveKey(passphrase, this.base64ToBytes(file.kdf.salt), iterations);
+        let bytes;
+        try {
+            bytes = await this.decryptBytes(key, this.base64ToBytes(file.cipher.iv), this.base64ToBytes(file.data));
+        } catch (error) {
+            throw new Error(this.t('Incorrect passphrase, or the file is damaged'));
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    readKeyring() {
+        try {
+            return JSON.parse(localStorage.getItem(KEYRING_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.error('Error reading keyring:', error);
+            return null;
+        }
+    }
+
+    writeKeyring(keyring) {
+        localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify(keyring));
+    }
+
+    // Keyrings from before accounts wrapped the data keys and the index key directly under
+    // the shared PIN. Resolves to { raws: [{ id, raw }], indexKey: { id, raw } }, with
+    // indexKey null for keyrings written before there was one; rejects with "Incorrect PIN"
+    // when the PIN does not fit.
+    async unwrapLegacyKeyring(keyring, pin) {
+        const wrappingKey = await this.deriveKey(pin, this.base64ToBytes(keyring.kdf.salt), keyring.kdf.iterations);
+        const unwrap = async (entry) => ({
+            id: entry.id,
+            raw: await this.decryptBytes(wrappingKey, this.base64ToBytes(entry.iv), this.base64ToBytes(entry.wrapped))
+        });
+        try {
+            return {
+                raws: await Promise.all(keyring.keys.map(unwrap)),
+                indexKey: keyring.indexKey ? await unwrap(keyring.indexKey) : null
+            };
+        } catch (error) {
+            throw new Error(this.t('Incorrect PIN'));
+        }
+    }
+
+    // One PBKDF2 run gives both the salted PIN hash that sign-ins are checked against and
+    // the key that wraps the account's copy of the device key
+    async derivePinSecrets(pin, salt, iterations = PBKDF2_ITERATIONS) {
+        if (!window.crypto || !crypto.subtle) {
+            throw new Error(this.t('Encryption is not available in this browser'));
+        }
+
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+        return {
+            hash: this.bytesToBase64(bits.subarray(0, 32)),
+            wrappingKey: await crypto.subtle.importKey('raw', bits.subarray(32), 'AES-GCM', false, ['encrypt', 'decrypt'])
+        };
+    }
+
+    // Gives the account a fresh salt, PIN hash, key pair and copy of the device key, and
+    // clears any lockout. The old key pair is dropped, so the old PIN opens nothing new.
+    async setAccountPin(account, pin, deviceKey) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const { hash, wrappingKey } = await this.derivePinSecrets(pin, salt);
+        const keyPair = await crypto.subtle.generateKey(
+            { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        const privateKey = new Uint8Array(await crypto.subtle.exportKey('pkcs8', keyPair.privateKey));
+        const { iv, ciphertext } = await this.encryptBytes(wrappingKey, privateKey);
+
+        account.pin = { salt: this.bytesToBase64(salt), iterations: PBKDF2_ITERATIONS, hash };
+        account.publicKey = this.bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey)));
+        account.privateKey = { iv: this.bytesToBase64(iv), wrapped: this.bytesToBase64(ciphertext) };
+        account.deviceKey = await this.encryptDeviceKey(account.publicKey, deviceKey);
+        account.failedAttempts = 0;
+        account.lockedUntil = null;
+        return account;
+    }
+
+    async createAccount(name, role, pin, deviceKey) {
+        const account = {
+            id: `u${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            role,
+            createdAt: new Date().toISOString(),
+            createdBy: this.currentUser ? this.currentUser.name : null
+        };
+        return this.setAccountPin(account, pin, deviceKey);
+    }
+
+    // Resolves to the raw device key. Wrong PINs are counted on the stored account, so
+    // reloading the app does not reset the lockout.
+    async verifyAccountPin(accountId, pin) {
+        const keyring = this.readKeyring();
+        const account = keyring && (keyring.accounts || []).find(entry => entry.id === accountId);
+        if (!account) {
+            throw new Error(this.t('This account no longer exists'));
+        }
+        if (account.lockedUntil && account.lockedUntil > Date.now()) {
+            const minutes = Math.ceil((account.lockedUntil - Date.now()) / 60000);
+            throw new Error(this.t('Too many wrong PINs. Try again in {minutes} minute(s).', { minutes }));
+        }
+
+        const { hash, wrappingKey } = await this.derivePinSecrets(pin, this.base64ToBytes(account.pin.salt), account.pin.iterations);
+        if (hash !== account.pin.hash) {
+            account.failedAttempts = (account.failedAttempts || 0) + 1;
+            const remaining = MAX_PIN_ATTEMPTS - account.failedAttempts;
+            if (remaining <= 0) {
+                account.failedAttempts = 0;
+                account.lockedUntil = Date.now() + PIN_LOCKOUT_MINUTES * 60000;
+            }
+            this.writeKeyring(keyring);
+            throw new Error(remaining > 0
+                ? this.t('Incorrect PIN. {count} attempt(s) left.', { count: remaining })
+                : this.t('Incorrect PIN. This account is locked for {minutes} minutes.', { minutes: PIN_LOCKOUT_MINUTES }));
+        }
+
+        if (account.failedAttempts) {
+            account.failedAttempts = 0;
+            this.writeKeyring(keyring);
+        }
+        if (!account.deviceKey) {
+            throw new Error(this.t('A supervisor has to reset the PIN for this account before it can sign in again.'));
+        }
+
+        if (!account.privateKey) {
+            const deviceKey = await this.decryptBytes(wrappingKey, this.base64ToBytes(account.deviceKey.iv), this.base64ToBytes(account.deviceKey.wrapped));
+            await this.setAccountPin(account, pin, deviceKey);
+            this.writeKeyring(keyring);
+            return deviceKey;
+        }
+        const privateKey = await crypto.subtle.importKey('pkcs8',
+            await this.decryptBytes(wrappingKey, this.base64ToBytes(account.privateKey.iv), this.base64ToBytes(account.privateKey.wrapped)),
+            { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['decrypt']);
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, this.base64ToBytes(account.deviceKey.wrapped)));
+    }
+
+    async encryptDeviceKey(publicKey, deviceKey) {
+        const key = await crypto.subtle.importKey('spki', this.base64ToBytes(publicKey), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt']);
+        return { wrapped: this.bytesToBase64(new Uint8Array(await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, key, deviceKey))) };
+    }
+
+    importDeviceKey(deviceKey) {
+        return crypto.subtle.importKey('raw', deviceKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    async wrapDataKeys(raws, deviceKey) {
+        const key = await this.importDeviceKey(deviceKey);
+        return Promise.all(raws.map(async ({ id, raw }) => {
+            const { iv, ciphertext } = await this.encryptBytes(key, raw);
+            return { id, iv: this.bytesToBase64(iv), wrapped: this.bytesToBase64(ciphertext) };
+        }));
+    }
+
+    async unwrapDataKeys(keyring, deviceKey) {
+        const key = await this.importDeviceKey(deviceKey);
+        return Promise.all(keyring.keys.map(async (entry) => ({
+            id: entry.id,
+            raw: await this.decryptBytes(key, this.base64ToBytes(entry.iv), this.base64ToBytes(entry.wrapped))
+        })));
+    }
+
+    createDataKey() {
+        return {
+            id: `k${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            raw: crypto.getRandomValues(new Uint8Array(32))
+        };
+    }
+
+    // Resolves to the raw index key. Keyrings written before there was one get one here.
+    async unwrapIndexKey(deviceKey) {
+        const keyring = this.readKeyring();
+        if (keyring.indexKey) {
+            const [{ raw }] = await this.unwrapDataKeys({ keys: [keyring.indexKey] }, deviceKey);
+            return raw;
+        }
+
+        const indexKey = { id: 'index', raw: crypto.getRandomValues(new Uint8Array(32)) };
+        [keyring.indexKey] = await this.wrapDataKeys([indexKey], deviceKey);
+        this.writeKeyring(keyring);
+        return indexKey.raw;
+    }
+
+    // Imported data keys cannot be exported again. The device key is kept as raw bytes
+    // while unlocked, because adding an account or setting a PIN wraps it again.
+    async importDataKeys(raws, currentKeyId, deviceKey, indexKey) {
+        const keys = new Map();
+        for (const { id, raw } of raws) {
+            keys.set(id, await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']));
+        }
+        this.dataKeys = {
+            currentKeyId,
+            keys,
+            deviceKey,
+            indexKey: await crypto.subtle.importKey('raw', indexKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        };
+    }
+
+    getDataKey(id) {
+        const key = this.dataKeys && this.dataKeys.keys.get(id || this.dataKeys.currentKeyId);
+        if (!key) {
+            throw new Error(this.dataKeys ? `Missing data key ${id}` : 'The app is locked');
+        }
+        return key;
+    }
+
+    // Sealed values are { keyId, iv, data } with the JSON of the value encrypted in data
+    async sealValue(value) {
+        const key = this.getDataKey();
+        const { iv, ciphertext } = await this.encryptBytes(key, new TextEncoder().encode(JSON.stringify(value)));
+        return { keyId: this.dataKeys.currentKeyId, iv: this.bytesToBase64(iv), data: this.bytesToBase64(ciphertext) };
+    }
+
+    async openValue(sealed) {
+        const bytes = await this.decryptBytes(this.getDataKey(sealed.keyId), this.base64ToBytes(sealed.iv), this.base64ToBytes(sealed.data));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    // The blind index of a CNIC (see CNIC_DIGITS), or null when it is not a full CNIC
+    async getCnicIndex(cnic) {
+        const digits = String(cnic || '').replace(/\D/g, '');
+        if (digits.length !== CNIC_DIGITS) return null;
+
+        if (!this.dataKeys) {
+            throw new Error('The app is locked');
+        }
+        const mac = await crypto.subtle.sign('HMAC', this.dataKeys.indexKey, new TextEncoder().encode(digits));
+        return this.bytesToBase64(new Uint8Array(mac));
+    }
+
+    getSensitiveKeys() {
+        const keys = new Set(SENSITIVE_RECORD_FIELDS);
+        this.getQuestionnaireFields()
+            .filter(field => field.sensitive)
+            .forEach(field => keys.add(field.group || field.key));
+        return Array.from(keys);
+    }
+
+    // Moves the personal fields of a record into record.sealed. A conflicting server copy
+    // kept on the record is sealed the same way.
+    async sealRecord(record) {
+        if (!record || record.sealed) return record;
+
+        const stored = { ...record };
+        const values = {};
+        this.getSensitiveKeys().forEach(key => {
+            if (key in stored) {
+                values[key] = stored[key];
+                delete stored[key];
+            }
+        });
+        stored.sealed = await this.sealValue(values);
+        stored.cnicIndex = await this.getCnicIndex(values.hohCnic);
+        stored.sync = await this.sealSyncState(stored.sync);
+        return stored;
+    }
+
+    // Records stored before encryption was turned on are returned as they are
+    async openRecord(record) {
+        if (!record) return record;
+
+        let opened = record;
+        if (record.sealed) {
+            const { sealed, cnicIndex, ...rest } = record;
+            opened = { ...rest, ...(await this.openValue(sealed)) };
+        }
+        if (opened.sync && opened.sync.serverRecord && opened.sync.serverRecord.sealed) {
+            opened = { ...opened, sync: { ...opened.sync, serverRecord: await this.openRecord(opened.sync.serverRecord) } };
+        }
+        return opened;
+    }
+
+    openRecords(records) {
+        return Promise.all(records.map(record => this.openRecord(record)));
+    }
+
+    async sealSyncState(sync) {
+        if (!sync || !sync.serverRecord || sync.serverRecord.sealed) return sync;
+        return { ...sync, serverRecord: await this.sealRecord(sync.serverRecord) };
+    }
+
+    isSealedBlob(value) {
+        return !!value && value.keyId !== undefined && value.iv !== undefined;
+    }
+
+    async sealBlob(blob) {
+        const key = this.getDataKey();
+        const { iv, ciphertext } = await this.encryptBytes(key, new Uint8Array(await blob.arrayBuffer()));
+        return { keyId: this.dataKeys.currentKeyId, iv: this.bytesToBase64(iv), type: blob.type, data: ciphertext };
+    }
+
+    async openBlob(sealed) {
+        const bytes = await this.decryptBytes(this.getDataKey(sealed.keyId), this.base64ToBytes(sealed.iv), sealed.data);
+        return new Blob([bytes], { type: sealed.type });
+    }
+
+    async sealMedia(entry) {
+        if (this.isSealedBlob(entry.blob)) return entry;
+        return {
+            ...entry,
+            blob: await this.sealBlob(entry.blob),
+            thumbnail: entry.thumbnail ? await this.sealBlob(entry.thumbnail) : null
+        };
+    }
+
+    async openMedia(entry) {
+        if (!this.isSealedBlob(entry.blob)) return entry;
+        return {
+            ...entry,
+            blob: await this.openBlob(entry.blob),
+            thumbnail: this.isSealedBlob(entry.thumbnail) ? await this.openBlob(entry.thumbnail) : entry.thumbnail
+        };
+    }
+
+    async sealChangeLogEntry(entry) {
+        if (!entry) return null;
+        const { changes, ...rest } = entry;
+        return { ...rest, sealed: await this.sealValue(changes) };
+    }
+
+    async openChangeLogEntry(entry) {
+        if (!entry.sealed) return entry;
+        const { sealed, ...rest } = entry;
+        return { ...rest, changes: await this.openValue(sealed) };
+    }
+
+    async sealDraft({ record, ...draft }) {
+        return {
+            ...draft,
+            mediaIds: [record.photoId, record.signatureId].filter(Boolean),
+            sealed: await this.sealValue(record)
+        };
+    }
+
+    async openDraft({ sealed, ...draft }) {
+        return { ...draft, record: await this.openValue(sealed) };
+    }
+
+    // Recycle bin entries keep the record and its media as they were stored
+    async sealRecycleBinEntry(entry) {
+        return {
+            ...entry,
+            record: await this.sealRecord(entry.record),
+            media: await Promise.all(entry.media.map(media => this.sealMedia(media)))
+        };
+    }
+
+    async openRecycleBinEntry(entry) {
+        return {
+            ...entry,
+            record: await this.openRecord(entry.record),
+            media: await Promise.all(entry.media.map(media => this.openMedia(media)))
+        };
+    }
+
+    // Returns the key a stored item was sealed with, or null if it is not sealed
+    getSealedKeyId(storeName, value) {
+        if (storeName === 'media') {
+            return this.isSealedBlob(value.blob) ? value.blob.keyId : null;
+        }
+        return value.sealed ? value.sealed.keyId : null;
+    }
+
+    // Whether a stored item holds anything in plain text, sealed with a key other than the
+    // current one, or a record sealed before records carried cnicIndex
+    needsResealing(storeName, value) {
+        if (storeName === 'recycleBin') {
+            return this.needsResealing('surveys', value.record) || value.media.some(media => this.needsResealing('media', media));
+        }
+        if (storeName === 'snapshotItems') {
+            return this.needsResealing(value.store, value.value);
+        }
+        if (storeName === 'surveys' && !('cnicIndex' in value)) {
+            return true;
+        }
+        return this.getSealedKeyId(storeName, value) !== this.dataKeys.currentKeyId;
+    }
+
+    async openStoredItem(storeName, value) {
+        if (storeName === 'media') return this.openMedia(value);
+        if (storeName === 'changeLog') return this.openChangeLogEntry(value);
+        if (storeName === 'drafts') return this.openDraft(value);
+        if (storeName === 'recycleBin') return this.openRecycleBinEntry(value);
+        if (storeName === 'snapshotItems') return { ...value, value: await this.openStoredItem(value.store, value.value) };
+        return this.openRecord(value);
+    }
+
+    async sealStoredItem(storeName, value) {
+        if (storeName === 'media') return this.sealMedia(value);
+        if (storeName === 'changeLog') return this.sealChangeLogEntry(value);
+        if (storeName === 'drafts') return this.sealDraft(value);
+        if (storeName === 'recycleBin') return this.sealRecycleBinEntry(value);
+        if (storeName === 'snapshotItems') return { ...value, value: await this.sealStoredItem(value.store, value.value) };
+        return this.sealRecord(value);
+    }
+
+    // Encrypts everything stored in plain text and re-encrypts anything sealed with a key
+    // other than the current one, or sealed before records carried cnicIndex. Items are
+    // handled in small batches, each written back only if it did not change while it was
+    // being re-encrypted; a later run picks up the rest. Once everything is sealed under
+    // the current key the older keys are dropped, and it resolves to true.
+    async resealStoredData() {
+        if (!this.database) {
+            return (await this.persistLocalCache()) && this.dropOldDataKeys();
+        }
+
+        let complete = true;
+        this.resealing = true;
+
+        try {
+            for (const storeName of RESEALED_STORES) {
+                const keys = await this.findItemsToReseal(storeName);
+                for (let i = 0; i < keys.length; i += 25) {
+                    const batch = keys.slice(i, i + 25);
+                    const stored = await this.runTransaction([storeName], 'readonly', (tx) => {
+                        const store = tx.objectStore(storeName);
+                        return Promise.all(batch.map(key => this.requestToPromise(store.get(key))));
+                    });
+                    const resealed = await Promise.all(stored.map(async (value) => {
+                        return value ? this.sealStoredItem(storeName, await this.openStoredItem(storeName, value)) : null;
+                    }));
+
+                    const written = await this.runTransaction([storeName], 'readwrite', async (tx) => {
+                        const store = tx.objectStore(storeName);
+                        let count = 0;
+                        for (let j = 0; j < batch.length; j++) {
+                            const current = await this.requestToPromise(store.get(batch[j]));
+                            if (current && resealed[j] && this.isSameStoredItem(storeName, current, stored[j])) {
+                                store.put(resealed[j]);
+                                count++;
+                            }
+                        }
+                        return count;
+                    });
+                    if (written < stored.filter(Boolean).length) {
+                        complete = false;
+                    }
+                }
+            }
+            if (complete) {
+                complete = await this.dropOldDataKeys();
+            }
+        } finally {
+            this.resealing = false;
+        }
+
+        return complete;
+    }
+
+    // Resolves to the keys of the items in a store that needsResealing() picks out
+    findItemsToReseal(storeName) {
+        return this.runTransaction([storeName], 'readonly', (tx) => {
+            return new Promise((resolve, reject) => {
+                const stale = [];
+                const request = tx.objectStore(storeName).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve(stale);
+                        return;
+                    }
+                    if (this.needsResealing(storeName, cursor.value)) {
+                        stale.push(cursor.primaryKey);
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    // Removes every key but the current one from the keyring. Stores are checked again
+    // first, since copies made while resealing ran (a snapshot, a record moved to the
+    // recycle bin) can still hold an old key; if so the next run drops it.
+    async dropOldDataKeys() {
+        if (this.readKeyring().keys.length <= 1) return true;
+        if (this.database) {
+            if (this.snapshotsInProgress.size > 0) return false;
+            for (const storeName of RESEALED_STORES) {
+                if ((await this.findItemsToReseal(storeName)).length > 0) return false;
+            }
+        }
+
+        const keyring = this.readKeyring();
+        keyring.keys = keyring.keys.filter(entry => entry.id === this.dataKeys.currentKeyId);
+        this.writeKeyring(keyring);
+        this.dataKeys.keys = new Map([[this.dataKeys.currentKeyId, this.getDataKey()]]);
+        return true;
+    }
+
+    // Moves to a new device key, data key and index key, and seals everything again. The
+    // new device key is encrypted to the public key of every account that has one; older
+    // accounts lose their copy until a supervisor resets their PIN. A copy of the keyring
+    // taken before then opens nothing that is stored once resealing finishes.
+    // Resolves to { complete, revoked }: complete as resealStoredData() resolves, and the
+    // names of the accounts that lost their copy.
+    async rotateKeys() {
+        const keyring = this.readKeyring();
+        const raws = await this.unwrapDataKeys(keyring, this.dataKeys.deviceKey);
+        const deviceKey = crypto.getRandomValues(new Uint8Array(32));
+        const dataKey = this.createDataKey();
+        const indexKey = { id: 'index', raw: crypto.getRandomValues(new Uint8Array(32)) };
+
+        keyring.keys = await this.wrapDataKeys([...raws, dataKey], deviceKey);
+        [keyring.indexKey] = await this.wrapDataKeys([indexKey], deviceKey);
+        keyring.currentKeyId = dataKey.id;
+        const revoked = [];
+        for (const account of keyring.accounts) {
+            if (account.publicKey) {
+                account.deviceKey = await this.encryptDeviceKey(account.publicKey, deviceKey);
+            } else {
+                account.deviceKey = null;
+                revoked.push(account.name);
+            }
+        }
+        this.writeKeyring(keyring);
+
+        // Records sealed under the current data key carry the new cnicIndex, so resealing
+        // moves the index over together with the data
+        await this.importDataKeys([...raws, dataKey], dataKey.id, deviceKey, indexKey.raw);
+        return { complete: await this.resealStoredData(), revoked };
+    }
+
+    notifyRevokedAccounts(revoked) {
+        if (revoked.length === 0) return;
+        this.notify(this.t('These accounts can sign in again once a supervisor resets their PIN: {names}', { names: revoked.join(', ') }), 'warning');
+    }
+
+    // Media blobs cannot be compared as JSON, so media entries are compared on their
+    // metadata and the key they are sealed with
+    isSameStoredItem(storeName, a, b) {
+        if (!a || !b) return false;
+        if (storeName === 'media') {
+            const describe = ({ blob, thumbnail, ...rest }) => JSON.stringify({ ...rest, keyId: this.getSealedKeyId('media', { blob }) });
+            return describe(a) === describe(b);
+        }
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // App Lock Methods
+    // The sign-in screen is shown at start-up, from the Sign Out button and after the idle
+    // time set in Settings. While it is up the data keys and decrypted copies are dropped.
+    setupAppLock() {
+        ['pointerdown', 'keydown', 'input'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, true);
+        });
+        setInterval(() => this.checkAutoLock(), 15000);
+        document.addEventListener('visibilitychange', () => this.checkAutoLock());
+
+        this.safeAddEventListener('lockBtn', 'click', () => this.lockApp());
+        this.safeAddEventListener('unlockBtn', 'click', () => this.submitLockScreen());
+        ['lockPin', 'lockPinConfirm'].forEach(id => {
+            this.safeAddEventListener(id, 'keydown', (e) => {
+                if (e.key === 'Enter') this.submitLockScreen();
+            });
+        });
+        this.safeAddEventListener('changePinBtn', 'click', () => this.showPinChangeModal());
+        this.safeAddEventListener('savePinChange', 'click', () => this.changePin());
+        this.safeAddEventListener('cancelPinChange', 'click', () => this.hidePinChangeModal());
+    }
+
+    // Resolves once someone has signed in, or set up the first account
+    unlockApp() {
+        if (!window.crypto || !crypto.subtle) {
+            this.showLockScreen('This browser cannot encrypt the survey data, so the app cannot open. Open it over HTTPS in an up-to-date browser.');
+            return new Promise(() => {});
+        }
+
+        return new Promise(resolve => {
+            this.resolveUnlock = resolve;
+            this.showLockScreen();
+        });
+    }
+
+    // Without a keyring the first supervisor account is created. A version 1 keyring is
+    // turned into one: the shared PIN used so far becomes that account's PIN.
+    getLockScreenMode() {
+        const keyring = this.readKeyring();
+        if (!keyring) return 'setup';
+        return keyring.version < KEYRING_VERSION ? 'upgrade' : 'signin';
+    }
+
+    showLockScreen(blockedMessage) {
+        const screen = document.getElementById('lockScreen');
+        if (!screen) return;
+
+        const mode = this.getLockScreenMode();
+        const accountSelect = document.getElementById('lockAccount');
+        const nameInput = document.getElementById('lockName');
+        const pinInput = document.getElementById('lockPin');
+        const confirmInput = document.getElementById('lockPinConfirm');
+
+        document.getElementById('lockTitle').textContent = this.t(mode === 'signin' ? 'Sign In' : 'Create Supervisor Account');
+        document.getElementById('lockMessage').textContent = blockedMessage || this.getLockScreenMessage(mode);
+        document.getElementById('lockError').textContent = '';
+
+        if (mode === 'signin') {
+            const keyring = this.readKeyring();
+            const lastAccount = localStorage.getItem('pserLastAccount');
+            accountSelect.innerHTML = keyring.accounts.map(account => `
+                <option value="${this.escapeHtml(account.id)}" ${account.id === lastAccount ? 'selected' : ''}>${this.escapeHtml(account.name)} (${this.escapeHtml(this.t(ROLE_LABELS[account.role]))})</option>
+            `).join('');
+        } else {
+            nameInput.value = this.getLegacyEnumeratorName();
+        }
+
+        pinInput.value = '';
+        confirmInput.value = '';
+        accountSelect.style.display = mode === 'signin' && !blockedMessage ? '' : 'none';
+        nameInput.style.display = mode !== 'signin' && !blockedMessage ? '' : 'none';
+        pinInput.style.display = blockedMessage ? 'none' : '';
+        confirmInput.style.display = mode === 'setup' && !blockedMessage ? '' : 'none';
+        document.getElementById('unlockBtn').style.display = blockedMessage ? 'none' : '';
+        document.getElementById('unlockBtn').textContent = this.t(mode === 'signin' ? 'Sign In' : 'Create Account');
+
+        screen.style.display = 'flex';
+        (mode === 'signin' ? pinInput : nameInput).focus();
+    }
+
+    getLockScreenMessage(mode) {
+        const messages = {
+            setup: 'Create the supervisor account for this device. Choose a PIN of at least {length} characters; survey data is encrypted with it and cannot be recovered without it.',
+            upgrade: 'The shared app PIN is being replaced by personal accounts. Enter your name and the PIN used so far to create the supervisor account.',
+            signin: 'Choose your account and enter your PIN.'
+        };
+        return this.t(messages[mode], { length: MIN_PIN_LENGTH });
+    }
+
+    // The name entered in Settings before there were accounts, offered for the first account
+    getLegacyEnumeratorName() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('pserSettings') || '{}');
+            return (stored.profile && stored.profile.enumeratorName) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    async submitLockScreen() {
+        if (this.unlocking) return;
+
+        const mode = this.getLockScreenMode();
+        const pin = document.getElementById('lockPin').value;
+        const name = document.getElementById('lockName').value.trim();
+        const error = document.getElementById('lockError');
+        const button = document.getElementById('unlockBtn');
+
+        if (mode !== 'signin' && !name) {
+            error.textContent = this.t('Please enter your name.');
+            return;
+        }
+        if (mode === 'setup') {
+            if (pin.length < MIN_PIN_LENGTH) {
+                error.textContent = this.t('The PIN must be at least {length} characters.', { length: MIN_PIN_LENGTH });
+                return;
+            }
+            if (pin !== document.getElementById('lockPinConfirm').value) {
+                error.textContent = this.t('The two PINs do not match.');
+                return;
+            }
+        }
+
+        this.unlocking = true;
+        button.disabled = true;
+        error.textContent = '';
+        document.getElementById('lockMessage').textContent = this.t(mode === 'signin' ? 'Signing in...' : 'Setting up encryption...');
+
+        try {
+            let account;
+            if (mode === 'signin') {
+                const keyring = this.readKeyring();
+                account = keyring.accounts.find(entry => entry.id === document.getElementById('lockAccount').value);
+                const deviceKey = await this.verifyAccountPin(account.id, pin);
+                await this.importDataKeys(await this.unwrapDataKeys(keyring, deviceKey), keyring.currentKeyId, deviceKey, await this.unwrapIndexKey(deviceKey));
+            } else {
+                const legacy = this.readKeyring();
+                const { raws, indexKey } = legacy ? await this.unwrapLegacyKeyring(legacy, pin) : { raws: [this.createDataKey()], indexKey: null };
+                const currentKeyId = legacy ? legacy.currentKeyId : raws[0].id;
+                const deviceKey = crypto.getRandomValues(new Uint8Array(32));
+
+                // The index key moves across with the data keys, or CNICs indexed so far
+                // would no longer be found
+                account = await this.createAccount(name, 'supervisor', pin, deviceKey);
+                this.writeKeyring({
+                    version: KEYRING_VERSION,
+                    currentKeyId,
+                    keys: await this.wrapDataKeys(raws, deviceKey),
+                    indexKey: indexKey ? (await this.wrapDataKeys([indexKey], deviceKey))[0] : undefined,
+                    accounts: [account]
+                });
+                await this.importDataKeys(raws, currentKeyId, deviceKey, await this.unwrapIndexKey(deviceKey));
+            }
+
+            this.currentUser = { id: account.id, name: account.name, role: account.role };
+            await this.loadLocalCache();
+            if (this.database) {
+                await this.importLegacyLocalStorage();
+                this.localCache = null;
+            }
+        } catch (unlockError) {
+            console.error('Sign-in failed:', unlockError);
+            this.dataKeys = null;
+            this.currentUser = null;
+            this.localCache = null;
+            document.getElementById('lockMessage').textContent = this.getLockScreenMessage(mode);
+            error.textContent = unlockError.message;
+            document.getElementById('lockPin').select();
+            return;
+        } finally {
+            this.unlocking = false;
+            button.disabled = false;
+        }
+
+        localStorage.setItem('pserLastAccount', this.currentUser.id);
+        document.getElementById('lockScreen').style.display = 'none';
+        document.getElementById('lockPin').value = '';
+        document.getElementById('lockPinConfirm').value = '';
+        this.lastActivity = Date.now();
+        this.updateCurrentUser();
+
+        if (this.resolveUnlock) {
+            this.resolveUnlock();
+            this.resolveUnlock = null;
+        } else {
+            this.refreshResults();
+        }
+        this.finishResealing();
+    }
+
+    // Encrypts anything still stored in plain text (all existing data on first use)
+    // without holding up the user
+    async finishResealing() {
+        try {
+            await this.resealStoredData();
+        } catch (error) {
+            console.error('Error encrypting stored data:', error);
+        }
+    }
+
+    checkAutoLock() {
+        if (!this.dataKeys) return;
+
+        const idleMinutes = (Date.now() - this.lastActivity) / 60000;
+        if (idleMinutes >= this.getSettings().security.autoLockMinutes) {
+            this.lockApp();
+        }
+    }
+
+    // Waits for pending local writes and any re-encryption, which need the keys
+    async lockApp() {
+        if (!this.dataKeys || this.resealing) return;
+
+        await this.localWrite;
+        await this.flushDraft();
+        // The interview is safe in its draft; the next user starts from an empty form
+        // and sees nothing that was open on screen
+        this.clearForm();
+        if (this.cancelDuplicateCheck) this.cancelDuplicateCheck();
+        this.dataKeys = null;
+        this.currentUser = null;
+        this.localCache = null;
+        this.lastResults = null;
+        ['searchResults', 'resultsSummary'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = '';
+        });
+        this.hidePinChangeModal();
+        this.hideHistoryModal();
+        this.hideMemberModal();
+        this.hideLocationModal();
+        this.hideSignatureModal();
+        this.hideMapModal();
+        this.hideBoundaryReport();
+        this.hideAccountsModal();
+        this.hideMergeModal();
+        this.hideBackupReport();
+        this.hideRecycleBin();
+        this.hideDraftsModal();
+        this.hideUndo();
+        this.cancelDialogs();
+        this.updateCurrentUser();
+        this.showLockScreen();
+    }
+
+    showPinChangeModal() {
+        ['currentPin', 'newPin', 'newPinConfirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('pinChangeStatus').textContent = '';
+
+        const modal = document.getElementById('pinChangeModal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+    }
+
+    hidePinChangeModal() {
+        const modal = document.getElementById('pinChangeModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        ['currentPin', 'newPin', 'newPinConfirm'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    }
+
+    // The account gets a new key pair under the new PIN, and everything moves to new keys
+    // (see rotateKeys()), so the old PIN with an old copy of the keyring opens nothing.
+    async changePin() {
+        const currentPin = document.getElementById('currentPin').value;
+        const newPin = document.getElementById('newPin').value;
+        const status = document.getElementById('pinChangeStatus');
+        const button = document.getElementById('savePinChange');
+
+        if (newPin.length < MIN_PIN_LENGTH) {
+            status.textContent = this.t('The new PIN must be at least {length} characters.', { length: MIN_PIN_LENGTH });
+            return;
+        }
+        if (newPin !== document.getElementById('newPinConfirm').value) {
+            status.textContent = this.t('The two new PINs do not match.');
+            return;
+        }
+        if (this.resealing) {
+            status.textContent = this.t('Stored data is still being encrypted. Try again in a moment.');
+            return;
+        }
+
+        button.disabled = true;
+        status.textContent = this.t('Checking PIN...');
+        try {
+            const deviceKey = await this.verifyAccountPin(this.currentUser.id, currentPin);
+            const keyring = this.readKeyring();
+            const account = keyring.accounts.find(entry => entry.id === this.currentUser.id);
+            await this.setAccountPin(account, newPin, deviceKey);
+            this.writeKeyring(keyring);
+
+            status.textContent = this.t('Re-encrypting stored data...');
+            const { complete, revoked } = await this.rotateKeys();
+
+            this.hidePinChangeModal();
+            this.notify(complete
+                ? this.t('PIN changed. All stored data has been re-encrypted.')
+                : this.t('PIN changed. Some records were edited while they were being re-encrypted; they will be finished the next time the app is unlocked.'));
+            this.notifyRevokedAccounts(revoked);
+        } catch (error) {
+            console.error('PIN change failed:', error);
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Account Methods
+    // Accounts live in the keyring (see KEYRING_VERSION). Supervisors manage them; the
+    // last supervisor cannot be removed, and nobody can remove their own account.
+    setupAccounts() {
+        this.safeAddEventListener('manageAccountsBtn', 'click', () => this.showAccountsModal());
+        this.safeAddEventListener('addAccount', 'click', () => this.addAccount());
+        this.safeAddEventListener('closeAccounts', 'click', () => this.hideAccountsModal());
+
+        const list = document.getElementById('accountList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-account-action]');
+                if (!button) return;
+                if (button.dataset.accountAction === 'reset') {
+                    this.resetAccountPin(button.dataset.accountId);
+                } else {
+                    this.removeAccount(button.dataset.accountId);
+                }
+            });
+        }
+        this.updateCurrentUser();
+    }
+
+    hasPermission(permission) {
+        return !!this.currentUser && (ROLE_PERMISSIONS[this.currentUser.role] || []).includes(permission);
+    }
+
+    // Warns and returns false when the signed-in user may not do this
+    requirePermission(permission, action) {
+        if (this.hasPermission(permission)) return true;
+        this.notify(this.t('Only a supervisor can {action}. Ask a supervisor to sign in on this device.', { action: this.t(action) }), 'warning');
+        return false;
+    }
+
+    updateCurrentUser() {
+        const label = document.getElementById('currentUser');
+        if (label) {
+            label.textContent = this.currentUser ? `${this.currentUser.name} · ${this.t(ROLE_LABELS[this.currentUser.role])}` : '';
+        }
+        const manageButton = document.getElementById('manageAccountsBtn');
+        if (manageButton) {
+            manageButton.style.display = this.hasPermission('manageAccounts') ? '' : 'none';
+        }
+    }
+
+    showAccountsModal() {
+        if (!this.requirePermission('manageAccounts', 'manage accounts')) return;
+
+        ['newAccountName', 'newAccountPin', 'newAccountPinConfirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('newAccountRole').value = 'enumerator';
+        document.getElementById('accountStatus').textContent = '';
+        this.renderAccountList();
+
+        const modal = document.getElementById('accountsModal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+    }
+
+    hideAccountsModal() {
+        const modal = document.getElementById('accountsModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        ['newAccountPin', 'newAccountPinConfirm'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    }
+
+    renderAccountList() {
+        const list = document.getElementById('accountList');
+        if (!list) return;
+
+        const keyring = this.readKeyring();
+        list.innerHTML = keyring.accounts.map(account => {
+            const locked = account.lockedUntil && account.lockedUntil > Date.now();
+            const revoked = !account.deviceKey;
+            return `
+                <div class="account-item">
+                    <div>
+                        <strong>${this.escapeHtml(account.name)}</strong> · ${this.escapeHtml(this.t(ROLE_LABELS[account.role]))}
+                        ${account.id === this.currentUser.id ? ` ${this.escapeHtml(this.t('(you)'))}` : ''}
+                        ${locked ? `<span class="account-locked">${this.escapeHtml(this.t('Locked until {time}', { time: new Date(account.lockedUntil).toLocaleTimeString() }))}</span>` : ''}
+                        ${revoked ? `<span class="account-locked">${this.escapeHtml(this.t('Needs a PIN reset'))}</span>` : ''}
+                    </div>
+                    <div>
+                        <button type="button" class="btn btn-secondary btn-small" data-account-action="reset" data-account-id="${this.escapeHtml(account.id)}">${this.escapeHtml(this.t('Reset PIN'))}</button>
+                        ${account.id === this.currentUser.id ? '' : `<button type="button" class="btn btn-reset btn-small" data-account-action="remove" data-account-id="${this.escapeHtml(account.id)}">${this.escapeHtml(this.t('Remove'))}</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async addAccount() {
+        if (!this.requirePermission('manageAccounts', 'manage accounts')) return;
+
+        const name = document.getElementById('newAccountName').value.trim();
+        const role = document.getElementById('newAccountRole').value;
+        const pin = document.getElementById('newAccountPin').value;
+        const status = document.getElementById('accountStatus');
+        const keyring = this.readKeyring();
+
+        if (!name) {
+            status.textContent = this.t('Please enter a name.');
+            return;
+        }
+        // Names are what records and the change log are signed with, so they must be unique
+        if (keyring.accounts.some(account => account.name.toLowerCase() === name.toLowerCase())) {
+            status.textContent = this.t('There is already an account named {name}.', { name });
+            return;
+        }
+        if (!ROLE_PERMISSIONS[role]) {
+            status.textContent = this.t('Please choose a role.');
+            return;
+        }
+        if (pin.length < MIN_PIN_LENGTH) {
+            status.textContent = this.t('The PIN must be at least {length} characters.', { length: MIN_PIN_LENGTH });
+            return;
+        }
+        if (pin !== document.getElementById('newAccountPinConfirm').value) {
+            status.textContent = this.t('The two PINs do not match.');
+            return;
+        }
+
+        status.textContent = this.t('Creating account...');
+        const account = await this.createAccount(name, role, pin, this.dataKeys.deviceKey);
+        const latest = this.readKeyring();
+        latest.accounts.push(account);
+        this.writeKeyring(latest);
+
+        ['newAccountName', 'newAccountPin', 'newAccountPinConfirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        status.textContent = this.t('Account created for {name}.', { name });
+        this.renderAccountList();
+    }
+
+    // Also the way to let someone back in after a lockout or a forgotten PIN
+    async resetAccountPin(id) {
+        if (!this.requirePermission('manageAccounts', 'manage accounts')) return;
+
+        const keyring = this.readKeyring();
+        const account = keyring.accounts.find(entry => entry.id === id);
+        if (!account) return;
+
+        const pin = await this.promptDialog(this.t('Enter a new PIN for {name} (at least {length} characters):', { name: account.name, length: MIN_PIN_LENGTH }), { type: 'password' });
+        if (pin === null) return;
+        if (pin.length < MIN_PIN_LENGTH) {
+            this.notify(this.t('The PIN must be at least {length} characters.', { length: MIN_PIN_LENGTH }), 'warning');
+            return;
+        }
+        if (await this.promptDialog(this.t('Repeat the new PIN for {name}:', { name: account.name }), { type: 'password' }) !== pin) {
+            this.notify(this.t('The two PINs do not match. The PIN was not changed.'), 'warning');
+            return;
+        }
+
+        await this.setAccountPin(account, pin, this.dataKeys.deviceKey);
+        this.writeKeyring(keyring);
+        this.renderAccountList();
+        this.notify(this.t('The PIN for {name} has been reset.', { name: account.name }));
+    }
+
+    async removeAccount(id) {
+        if (!this.requirePermission('manageAccounts', 'manage accounts')) return;
+
+        const keyring = this.readKeyring();
+        const account = keyring.accounts.find(entry => entry.id === id);
+        if (!account || account.id === this.currentUser.id) return;
+
+        if (account.role === 'supervisor' && keyring.accounts.filter(entry => entry.role === 'supervisor').length <= 1) {
+            this.notify(this.t('The last supervisor account cannot be removed.'), 'warning');
+            return;
+        }
+        if (this.resealing) {
+            this.notify(this.t('Stored data is still being encrypted. Try again in a moment.'), 'warning');
+            return;
+        }
+        if (!(await this.confirmDialog(this.t('Remove the account for {name}? Records they collected are kept.', { name: account.name }), { confirmLabel: this.t('Remove') }))) return;
+
+        keyring.accounts = keyring.accounts.filter(entry => entry.id !== id);
+        this.writeKeyring(keyring);
+        this.renderAccountList();
+
+        // A copy of the keyring taken while the account existed still opens the current
+        // keys with the removed PIN
+        try {
+            const { complete, revoked } = await this.rotateKeys();
+            this.notify(complete
+                ? this.t('The account for {name} has been removed and all stored data re-encrypted.', { name: account.name })
+                : this.t('The account for {name} has been removed. Some records were edited while they were being re-encrypted; they will be finished the next time the app is unlocked.', { name: account.name }));
+            this.notifyRevokedAccounts(revoked);
+        } catch (error) {
+            this.showError(this.t('Stored data could not be re-encrypted.'), error);
+        }
+    }
+
+    // Backup & Restore Methods
+    setupBackupRestore() {
+        this.safeAddEventListener('downloadBackup', 'click', () => this.downloadBackup());
+        this.safeAddEventListener('uploadBackup', 'click', () => this.uploadBackup());
+        this.safeAddEventListener('closeBackup', 'click', () => this.hideBackupModal());
+        this.safeAddEventListener('mergeNewestWins', 'click', () => this.chooseNewestMergeVersions());
+        this.safeAddEventListener('applyMerge', 'click', () => this.applyMerge());
+        this.safeAddEventListener('cancelMerge', 'click', () => this.hideMergeModal());
+        this.safeAddEventListener('importValidRecords', 'click', () => this.importValidRecords());
+        this.safeAddEventListener('cancelBackupReport', 'click', () => this.hideBackupReport());
+        
+        const backupFileInput = document.getElementById('backupFile');
+        if (backupFileInput) {
+            backupFileInput.addEventListener('change', (e) => this.restoreBackup(e));
+        }
+    }
+
+    showBackupModal() {
+        const modal = document.getElementById('backupModal');
+        if (modal) {
+            modal.style.display = 'flex';
+        }
+        this.renderSnapshotList();
+    }
+
+    hideBackupModal() {
+        const modal = document.getElementById('backupModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.setValue('backupPassphrase', '');
+        this.setValue('backupPassphraseConfirm', '');
+        const plain = document.getElementById('backupPlain');
+        if (plain) {
+            plain.checked = false;
+        }
+    }
+
+    // Backups are encrypted with the passphrase typed in the backup modal unless the
+    // user explicitly ticks the plain JSON option
+    getBackupPassphrase() {
+        const plain = document.getElementById('backupPlain');
+        if (plain && plain.checked) return null;
+
+        const passphrase = this.getValue('backupPassphrase');
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(this.t('Please enter a backup passphrase of at least {length} characters', { length: MIN_PASSPHRASE_LENGTH }));
+        }
+        if (passphrase !== this.getValue('backupPassphraseConfirm')) {
+            throw new Error(this.t('The two passphrases do not match'));
+        }
+        return passphrase;
+    }
+
+    async downloadBackup() {
+        let passphrase;
+        try {
+            passphrase = this.getBackupPassphrase();
+        } catch (error) {
+            this.notify(error.message, 'warning');
+            return;
+        }
+
+        let surveys;
+        let media;
+        try {
+            surveys = await this.getAllSurveys();
+            media = await this.getBackupMedia(surveys);
+        } catch (error) {
+            console.error('Error reading records for backup:', error);
+            this.showError(this.t('Error creating backup. Please try again.'), error);
+            return;
+        }
+
+        if (surveys.length === 0) {
+            this.notify(this.t('No data to backup!'), 'warning');
+            return;
+        }
+
+        try {
+            await this.saveBackupFile(surveys, media, passphrase, 'PSER_Survey_Backup', new Date());
+        } catch (error) {
+            console.error('Error writing backup file:', error);
+            this.showError(`${this.t('Error creating backup.')} ${error.message}`, error);
+            return;
+        }
+        
+        this.notify(passphrase !== null
+            ? this.t('Encrypted backup created successfully! {count} records saved.\n\nKeep the passphrase safe: the backup cannot be restored without it.', { count: surveys.length })
+            : this.t('Backup created successfully! {count} records saved.\n\nThis file is NOT encrypted. Anyone who gets it can read every record.', { count: surveys.length }));
+        this.hideBackupModal();
+    }
+
+    // Writes records and data URL media as a backup file, encrypted unless passphrase is null.
+    // Sync state belongs to this device and stays out of the file.
+    async saveBackupFile(surveys, media, passphrase, name, date) {
+        surveys = surveys.map(({ sync, ...survey }) => survey);
+        const backupData = {
+            version: BACKUP_FORMAT_VERSION,
+            schemaVersion: RECORD_SCHEMA_VERSION,
+            timestamp: date.toISOString(),
+            totalRecords: surveys.length,
+            checksum: {
+                algorithm: BACKUP_CHECKSUM_ALGORITHM,
+                value: await this.computeBackupChecksum(surveys, media)
+            },
+            surveys: surveys,
+            media: media
+        };
+
+        let dataStr = JSON.stringify(backupData, null, 2);
+        if (passphrase !== null) {
+            dataStr = JSON.stringify(await this.encryptBackup(dataStr, passphrase), null, 2);
+        }
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}_${date.toISOString().split('T')[0]}${passphrase !== null ? '_encrypted' : ''}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Hashes the JSON of the records and media exactly as they appear in the file, so a
+    // restore can tell whether anything was edited or cut off since the backup was made
+    async computeBackupChecksum(surveys, media) {
+        const data = new TextEncoder().encode(JSON.stringify({ surveys, media }));
+        const digest = new Uint8Array(await crypto.subtle.digest(BACKUP_CHECKSUM_ALGORITHM, data));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Photos and signatures are embedded as data URLs so a backup file is self-contained
+    async getBackupMedia(surveys) {
+        const ids = [];
+        surveys.forEach(survey => ids.push(survey.photoId, survey.signatureId));
+        const entries = await this.getMediaList(ids);
+        return Promise.all(entries.map(entry => this.mediaToDataUrl(entry)));
+    }
+
+    getRestoreMode() {
+        const selected = document.querySelector('input[name="restoreMode"]:checked');
+        return selected ? selected.value : 'merge';
+    }
+
+    // Replacing every record on the device is kept for supervisors; anyone can merge
+    uploadBackup() {
+        if (this.getRestoreMode() === 'replace' &&
+            !this.requirePermission('restoreReplace', 'restore a backup over the data on this device')) return;
+
+        const backupFileInput = document.getElementById('backupFile');
+        if (backupFileInput) {
+            backupFileInput.click();
+        }
+    }
+
+    restoreBackup(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                let backupData = JSON.parse(e.target.result);
+
+                if (this.isEncryptedBackup(backupData)) {
+                    const passphrase = await this.promptDialog(this.t('This backup is encrypted. Enter its passphrase:'), { type: 'password' });
+                    if (!passphrase) return;
+                    backupData = await this.decryptBackup(backupData, passphrase);
+                }
+                
+                if (!backupData.surveys || !Array.isArray(backupData.surveys)) {
+                    throw new Error(this.t('Invalid backup file format'));
+                }
+
+                const report = await this.checkBackup(backupData);
+                if (report.checksum === 'ok' && report.repaired.length === 0 && report.rejected.length === 0 && report.skippedMedia === 0) {
+                    await this.continueRestore(report.valid.map(item => item.record), this.getRestoreMedia(report, report.valid));
+                } else {
+                    this.showBackupReport(report);
+                }
+                
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                this.showError(`${this.t('Error restoring backup. Please check the file format.')}\n\n${error.message}`, error);
+            }
+        };
+        
+        reader.onerror = () => {
+            this.showError(this.t('Error reading backup file'));
+        };
+        
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    // Hands checked records to the restore mode chosen in the backup modal
+    async continueRestore(surveys, media) {
+        if (this.getRestoreMode() === 'merge') {
+            await this.showMergePreview(surveys, media);
+            return;
+        }
+
+        if (!this.requirePermission('restoreReplace', 'restore a backup over the data on this device')) return;
+        if (await this.confirmDialog(this.t('This will replace all current data with {count} records from backup. Continue?', { count: surveys.length }), { confirmLabel: this.t('Replace') })) {
+            if (!await this.takeSafetySnapshot('before-replace')) return;
+            await this.replaceAllSurveys(surveys, media);
+            this.requestSync();
+            this.notify(this.t('Backup restored successfully! {count} records loaded.', { count: surveys.length }));
+            this.hideBackupModal();
+            this.refreshResults();
+        }
+    }
+
+    // Verifies the checksum, brings every record up to the current schema and sorts them
+    // into valid, repaired and rejected. Nothing is written until the user has seen this.
+    async checkBackup(backupData) {
+        const report = { checksum: 'missing', valid: [], repaired: [], rejected: [], media: [], skippedMedia: 0 };
+
+        if (backupData.checksum && backupData.checksum.value) {
+            const actual = await this.computeBackupChecksum(backupData.surveys, backupData.media);
+            report.checksum = actual === backupData.checksum.value ? 'ok' : 'mismatch';
+        }
+
+        const media = Array.isArray(backupData.media) ? backupData.media : [];
+        report.media = media.filter(entry =>
+            entry && typeof entry.id === 'string' && typeof entry.dataUrl === 'string' && entry.dataUrl.startsWith('data:'));
+        report.skippedMedia = media.length - report.media.length;
+
+        const schemaVersion = this.getBackupSchemaVersion(backupData);
+        const mediaIds = new Set(report.media.map(entry => entry.id));
+        const seen = new Set();
+
+        backupData.surveys.forEach((survey, index) => {
+            const label = `#${index + 1}${survey && survey.houseCode ? ` (House ${survey.houseCode})` : ''}`;
+            if (!survey || typeof survey !== 'object' || Array.isArray(survey) || survey.id === undefined || survey.id === null || survey.id === '') {
+                report.rejected.push({ label, problems: ['The record has no id'] });
+                return;
+            }
+
+            // Photos split out of older records only count once the record is accepted
+            const recordMedia = [];
+            let migrated;
+            try {
+                migrated = this.migrateRecord(survey, schemaVersion, recordMedia);
+            } catch (error) {
+                report.rejected.push({ label, problems: [error.message] });
+                return;
+            }
+
+            recordMedia.forEach(entry => mediaIds.add(entry.id));
+            const { record, repairs, errors } = this.validateBackupRecord(migrated, mediaIds);
+            if (seen.has(record.id)) {
+                errors.push(this.t('Another record in the file has the same id'));
+            }
+
+            if (errors.length > 0) {
+                report.rejected.push({ label, problems: errors });
+                return;
+            }
+            seen.add(record.id);
+            const item = { label, record, media: recordMedia, problems: repairs };
+            (repairs.length > 0 ? report.repaired : report.valid).push(item);
+        });
+
+        return report;
+    }
+
+    // Checks a migrated record against the questionnaire. Values that are merely stored in
+    // the wrong type are converted and missing ones get their default; a key field that is
+    // missing or unreadable, or a member roster that is not a list of members, is an error.
+    validateBackupRecord(migrated, mediaIds) {
+        // Sync state from another device, or from older backups that carried it, is dropped
+        const { sync, ...fields } = migrated;
+        const record = { ...fields, id: String(migrated.id) };
+        const repairs = [];
+        const errors = [];
+        if (typeof migrated.id !== 'string') {
+            repairs.push(this.t('Record id was stored as a number'));
+        }
+        if (!RECORD_ID_PATTERN.test(record.id)) {
+            errors.push(this.t('Record id {id} is not a valid record id', { id: JSON.stringify(record.id) }));
+        }
+
+        const missingGroups = new Set();
+        this.getGroupSections().forEach(section => {
+            const value = record[section.group];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                record[section.group] = { ...value };
+            } else {
+                record[section.group] = {};
+                missingGroups.add(section.group);
+                repairs.push(this.t('{section} answers were missing; set to their defaults', { section: this.t(section.title) }));
+            }
+        });
+
+        this.getQuestionnaireFields().forEach(field => {
+            const value = this.getRecordValue(record, field);
+            const label = this.t(field.label);
+            const isKey = BACKUP_KEY_FIELDS.includes(field.key);
+            const fallback = field.default !== undefined ? field.default : null;
+            const reset = (problem) => {
+                if (isKey) {
+                    errors.push(problem);
+                    return;
+                }
+                this.setRecordValue(record, field, fallback);
+                repairs.push(this.t('{problem}; set to {value}', { problem, value: fallback === null ? this.t('blank') : fallback }));
+            };
+
+            switch (field.type) {
+                case 'number':
+                    if (value === null || value === '') {
+                        if (isKey) {
+                            errors.push(this.t('{label} is missing', { label }));
+                        } else if (missingGroups.has(field.group)) {
+                            this.setRecordValue(record, field, fallback);
+                        } else if (fallback !== null) {
+                            reset(this.t('{label} was missing', { label }));
+                        }
+                    } else if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+                        this.setRecordValue(record, field, Number(value));
+                        repairs.push(this.t('{label} was stored as text', { label }));
+                    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                        reset(this.t('{label} is not a number ({value})', { label, value: JSON.stringify(value) }));
+                    }
+                    break;
+                case 'roster':
+                    if (value === null) {
+                        this.setRecordValue(record, field, []);
+                        repairs.push(this.t('{label} was missing', { label }));
+                    } else if (!Array.isArray(value) || value.some(member => !member || typeof member !== 'object' || Array.isArray(member))) {
+                        errors.push(this.t('{label} is not a list of members', { label }));
+                    } else if (value.some(member => !member.id)) {
+                        this.setRecordValue(record, field, value.map(member => member.id
+                            ? member
+                            : { ...member, id: `member-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }));
+                        repairs.push(this.t('{label} had members without an id', { label }));
+                    }
+                    break;
+                case 'location':
+                    if (value !== null && !(typeof value === 'object' && Number.isFinite(value.latitude) && Number.isFinite(value.longitude))) {
+                        reset(this.t('{label} is unreadable', { label }));
+                    }
+                    break;
+                case 'photo':
+                case 'signature':
+                    if (value !== null && !mediaIds.has(value)) {
+                        reset(this.t('{label} is not in the backup file', { label }));
+                    }
+                    break;
+                default:
+                    if (value === null || value === '') {
+                        if (isKey) errors.push(this.t('{label} is missing', { label }));
+                    } else if (typeof value === 'number' || typeof value === 'boolean') {
+                        this.setRecordValue(record, field, String(value));
+                        repairs.push(this.t('{label} was not stored as text', { label }));
+                    } else if (typeof value !== 'string') {
+                        reset(this.t('{label} is unreadable', { label }));
+                    }
+            }
+        });
+
+        return { record, repairs, errors };
+    }
+
+    // Media the chosen records refer to, including photos split out of older records
+    getRestoreMedia(report, items) {
+        const ids = new Set();
+        items.forEach(({ record }) => [record.photoId, record.signatureId].filter(Boolean).forEach(id => ids.add(id)));
+        return report.media
+            .concat(...items.map(item => item.media))
+            .filter(entry => ids.has(entry.id));
+    }
+
+    showBackupReport(report) {
+        this.pendingRestore = report;
+
+        const summary = document.getElementById('backupReportSummary');
+        const list = document.getElementById('backupReportList');
+        const modal = document.getElementById('backupReportModal');
+        if (!summary || !list || !modal) return;
+
+        const checksumMessages = {
+            ok: 'The file matches its checksum.',
+            missing: 'This backup was made before checksums were added, so it cannot be checked for changes.',
+            mismatch: 'The file does not match its checksum: it was edited or cut short after the backup was made.'
+        };
+        const count = (text, value) => this.escapeHtml(this.t(text, { count: value }));
+
+        summary.innerHTML = `
+            <div class="backup-checksum ${report.checksum}">${this.escapeHtml(this.t(checksumMessages[report.checksum]))}</div>
+            <div>${count('{count} valid record(s).', report.valid.length)}</div>
+            <div>${count('{count} record(s) can be repaired.', report.repaired.length)}</div>
+            <div>${count('{count} record(s) are rejected and will not be imported.', report.rejected.length)}</div>
+            ${report.skippedMedia > 0 ? `<div>${count('{count} unreadable photo(s) or signature(s) will be skipped.', report.skippedMedia)}</div>` : ''}
+        `;
+
+        const describe = (items, heading) => items.map(item => `
+            <div class="history-entry">
+                <div class="history-header"><strong>${this.escapeHtml(this.t(heading))}</strong> ${this.escapeHtml(this.t('record {label}', { label: item.label }))}</div>
+                <ul>${item.problems.map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('')}</ul>
+            </div>
+        `).join('');
+        list.innerHTML = describe(report.rejected, 'Rejected') + describe(report.repaired, 'Repaired');
+
+        const includeRepaired = document.getElementById('backupIncludeRepaired');
+        if (includeRepaired) {
+            includeRepaired.checked = true;
+        }
+        modal.style.display = 'flex';
+    }
+
+    hideBackupReport() {
+        const modal = document.getElementById('backupReportModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.pendingRestore = null;
+        ['backupReportSummary', 'backupReportList'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = '';
+        });
+    }
+
+    async importValidRecords() {
+        const report = this.pendingRestore;
+        if (!report) return;
+
+        const includeRepaired = document.getElementById('backupIncludeRepaired');
+        const items = report.valid.concat(includeRepaired && includeRepaired.checked ? report.repaired : []);
+        if (items.length === 0) {
+            this.notify(this.t('There are no records to import.'), 'warning');
+            return;
+        }
+
+        this.hideBackupReport();
+        try {
+            await this.continueRestore(items.map(item => item.record), this.getRestoreMedia(report, items));
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showError(`${this.t('Error restoring backup.')}\n\n${error.message}`, error);
+        }
+    }
+
+    // Backup records match a device record by id, or failing that by block and house
+    // code, so a household collected separately on two devices is still paired up. Each
+    // device record is paired at most once, id matches first; a second backup record for a
+    // household that is already paired is added as a record of its own.
+    async buildMergePlan(surveys) {
+        const paired = new Map();
+        const claimed = new Set();
+        for (const incoming of surveys) {
+            const existing = await this.getSurvey(incoming.id);
+            if (existing) {
+                paired.set(incoming, existing);
+                claimed.add(existing.id);
+            }
+        }
+        for (const incoming of surveys) {
+            if (paired.has(incoming) || !incoming.blockCode || !incoming.houseCode) continue;
+
+            const households = await this.getSurveysByBlockHouse(incoming.blockCode, incoming.houseCode);
+            const existing = households.find(survey => !claimed.has(survey.id));
+            if (existing) {
+                paired.set(incoming, existing);
+                claimed.add(existing.id);
+            }
+        }
+
+        const plan = { added: [], identical: [], conflicts: [] };
+        surveys.forEach(incoming => {
+            const existing = paired.get(incoming);
+
+            if (!existing) {
+                plan.added.push(incoming);
+                return;
+            }
+
+            const changes = this.diffRecords(existing, { ...incoming, id: existing.id });
+            if (changes.length === 0) {
+                plan.identical.push(incoming);
+                return;
+            }
+
+            plan.conflicts.push({
+                existing,
+                incoming,
+                changes,
+                newest: (incoming.updatedAt || '') > (existing.updatedAt || '') ? 'backup' : 'device',
+                // Taking the backup side edits the record, which finalization forbids
+                locked: Boolean(existing.finalized) && !this.hasPermission('reopenRecord')
+            });
+        });
+        return plan;
+    }
+
+    async showMergePreview(surveys, media) {
+        const plan = await this.buildMergePlan(surveys);
+        this.pendingMerge = { plan, media };
+
+        const summary = document.getElementById('mergeSummary');
+        const list = document.getElementById('mergeConflicts');
+        const modal = document.getElementById('mergeModal');
+        if (!summary || !list || !modal) return;
+
+        summary.innerHTML = `
+            <div>${this.escapeHtml(this.t('{count} new record(s) will be added.', { count: plan.added.length }))}</div>
+            <div>${this.escapeHtml(this.t('{count} record(s) are already identical on this device and will be skipped.', { count: plan.identical.length }))}</div>
+            <div>${this.escapeHtml(this.t('{count} record(s) differ. Choose which version to keep for each.', { count: plan.conflicts.length }))}</div>
+        `;
+
+        list.innerHTML = plan.conflicts.map((conflict, index) => {
+            const { existing, incoming } = conflict;
+            const updated = (record) => record.updatedAt
+                ? `${new Date(record.updatedAt).toLocaleString()} ${this.escapeHtml(this.t('by {name}', { name: record.updatedBy || this.t('Unknown') }))}`
+                : this.escapeHtml(this.t('unknown'));
+            return `
+                <div class="merge-conflict">
+                    <div class="history-header">
+                        <strong>${this.escapeHtml(existing.houseCode || incoming.houseCode || '')} · ${this.escapeHtml(existing.hohName || incoming.hohName || '')}</strong>
+                        ${existing.finalized ? `<span class="final-badge">${this.escapeHtml(this.t('Final'))}</span>` : ''}
+                    </div>
+                    <table class="history-table">
+                        <tr><th>${this.escapeHtml(this.t('Field'))}</th><th>${this.escapeHtml(this.t('This Device'))}</th><th>${this.escapeHtml(this.t('Backup'))}</th></tr>
+                        ${conflict.changes.map(change => `
+                        <tr>
+                            <td>${this.escapeHtml(this.getHistoryFieldLabel(change.field))}</td>
+                            <td>${this.escapeHtml(this.formatHistoryValue(change.field, change.before))}</td>
+                            <td>${this.escapeHtml(this.formatHistoryValue(change.field, change.after))}</td>
+                        </tr>`).join('')}
+                    </table>
+                    <div class="merge-choice">
+                        <label class="radio-label">
+                            <input type="radio" name="mergeChoice${index}" value="device" checked> ${this.escapeHtml(this.t('Keep device'))} (${updated(existing)})
+                        </label>
+                        <label class="radio-label">
+                            <input type="radio" name="mergeChoice${index}" value="backup" ${conflict.locked ? 'disabled' : ''}> ${this.escapeHtml(this.t('Use backup'))} (${updated(incoming)})
+                        </label>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        modal.style.display = 'flex';
+    }
+
+    hideMergeModal() {
+        const modal = document.getElementById('mergeModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        // The preview holds decrypted records from both sides
+        this.pendingMerge = null;
+        ['mergeSummary', 'mergeConflicts'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = '';
+        });
+    }
+
+    chooseNewestMergeVersions() {
+        if (!this.pendingMerge) return;
+
+        this.pendingMerge.plan.conflicts.forEach((conflict, index) => {
+            const side = conflict.locked ? 'device' : conflict.newest;
+            const input = document.querySelector(`input[name="mergeChoice${index}"][value="${side}"]`);
+            if (input) {
+                input.checked = true;
+            }
+        });
+    }
+
+    async applyMerge() {
+        if (!this.pendingMerge) return;
+
+        const { plan, media } = this.pendingMerge;
+        const writes = plan.added.map(survey => ({ survey, existing: null }));
+        let kept = 0;
+        plan.conflicts.forEach((conflict, index) => {
+            const selected = document.querySelector(`input[name="mergeChoice${index}"]:checked`);
+            if (!selected || selected.value !== 'backup' || conflict.locked) {
+                kept++;
+                return;
+            }
+            // A record paired by house code takes over the device record's id so the
+            // server sees a change to the household rather than a second copy of it
+            writes.push({ survey: { ...conflict.incoming, id: conflict.existing.id }, existing: conflict.existing });
+        });
+
+        if (writes.length > 0 && !await this.takeSafetySnapshot('before-merge')) return;
+
+        const referenced = new Set();
+        writes.forEach(({ survey }) => {
+            [survey.photoId, survey.signatureId].filter(Boolean).forEach(id => referenced.add(id));
+        });
+
+        try {
+            await this.mergeSurveys(writes, media.filter(entry => referenced.has(entry.id)), this.getCurrentUserName());
+        } catch (error) {
+            console.error('Error merging backup:', error);
+            this.showError(`${this.t('Error merging backup. No records were changed.')}\n\n${error.message}`, error);
+            return;
+        }
+
+        this.hideMergeModal();
+        this.hideBackupModal();
+        this.requestSync();
+        this.refreshResults();
+        this.notify(this.t('Backup merged successfully!\n\nAdded: {added}\nReplaced with backup version: {replaced}\nKept device version: {kept}\nIdentical (skipped): {identical}', {
+            added: plan.added.length,
+            replaced: writes.length - plan.added.length,
+            kept,
+            identical: plan.identical.length
+        }));
+    }
+
+    // Snapshot Methods
+    // Copies of the survey and media stores are taken on a schedule and before anything
+    // that replaces or removes records; see listSnapshot() for rotation.
+    setupSnapshots() {
+        this.safeAddEventListener('takeSnapshot', 'click', () => this.takeManualSnapshot());
+
+        const list = document.getElementById('snapshotList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-snapshot-action]');
+                if (!button) return;
+                const id = button.dataset.snapshotId;
+                if (button.dataset.snapshotAction === 'restore') this.restoreSnapshotFromList(id);
+                if (button.dataset.snapshotAction === 'export') this.exportSnapshot(id);
+                if (button.dataset.snapshotAction === 'delete') this.deleteSnapshotFromList(id);
+            });
+        }
+
+        setInterval(() => this.takeScheduledSnapshot(), 15 * 60000);
+        this.takeScheduledSnapshot();
+    }
+
+    // Runs while the app is unlocked, once the newest snapshot is older than the interval
+    async takeScheduledSnapshot() {
+        if (!this.database || !this.dataKeys || this.resealing) return;
+
+        try {
+            const [newest] = await this.getSnapshots();
+            const { intervalHours } = this.getSettings().snapshots;
+            if (newest && Date.now() - new Date(newest.createdAt).getTime() < intervalHours * 3600000) return;
+            // An empty copy would only push older, useful ones out of the rotation
+            if (await this.countSurveys() === 0) return;
+
+            await this.createSnapshot('scheduled', this.getCurrentUserName());
+        } catch (error) {
+            console.error('Error taking scheduled snapshot:', error);
+        }
+    }
+
+    // Returns false if the snapshot failed and the user chose not to go on without one
+    async takeSafetySnapshot(reason) {
+        try {
+            if (await this.countSurveys() === 0) return true;
+            await this.createSnapshot(reason, this.getCurrentUserName());
+            return true;
+        } catch (error) {
+            console.error('Error taking snapshot:', error);
+            return this.confirmDialog(`${this.t('A snapshot of the current data could not be taken.')}\n\n${error.message}\n\n${this.t('Continue without one?')}`, { confirmLabel: this.t('Continue') });
+        }
+    }
+
+    async takeManualSnapshot() {
+        if (!this.database) {
+            this.notify(this.t('Snapshots are not available on this device because its database could not be opened.'), 'warning');
+            return;
+        }
+
+        try {
+            await this.createSnapshot('manual', this.getCurrentUserName());
+        } catch (error) {
+            console.error('Error taking snapshot:', error);
+            this.showError(`${this.t('Error taking snapshot.')} ${error.message}`, error);
+        }
+        this.renderSnapshotList();
     }
-    
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
-    
-    this.signatureCtx.beginPath();
-    this.signatureCtx.moveTo(x, y);
-}
 
-draw(e) {
-    if (!this.isDrawing) return;
-    
-    const canvas = document.getElementById('signatureCanvas');
-    const rect = canvas.getBoundingClientRect();
-    
-    let clientX, clientY;
-    if (e.type.includes('touch')) {
-        clientX = e.touches[0].clientX;
-        clientY = e.touches[0].clientY;
-        e.preventDefault();
-    } else {
-        clientX = e.clientX;
-        clientY = e.clientY;
+    formatSnapshotSize(bytes) {
+        return bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
     }
-    
-    const x = clientX - rect.left;
-    const y = clientY - rect.top;
-    
-    this.signatureCtx.lineTo(x, y);
-    this.signatureCtx.stroke();
-}
 
-stopDrawing() {
-    this.isDrawing = false;
-    this.signatureCtx.beginPath();
-}
+    async renderSnapshotList() {
+        const list = document.getElementById('snapshotList');
+        if (!list) return;
 
-clearSignature() {
-    const canvas = document.getElementById('signatureCanvas');
-    this.signatureCtx.fillStyle = 'white';
-    this.signatureCtx.fillRect(0, 0, canvas.width, canvas.height);
-    this.signatureCtx.strokeStyle = '#000';
-    this.signatureCtx.lineWidth = 2;
-    this.signatureCtx.lineCap = 'round';
-    this.signatureCtx.lineJoin = 'round';
-}
+        if (!this.database) {
+            list.innerHTML = `<div class="no-results">${this.escapeHtml(this.t('Snapshots are not available on this device.'))}</div>`;
+            return;
+        }
 
-showSignatureModal() {
-    const modal = document.getElementById('signatureModal');
-    if (modal) {
+        let snapshots;
+        try {
+            snapshots = await this.getSnapshots();
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            list.innerHTML = `<div class="no-results">${this.escapeHtml(this.t('Snapshots could not be loaded.'))}</div>`;
+            return;
+        }
+
+        const canRestore = this.hasPermission('restoreReplace');
+        const canDelete = this.hasPermission('clearAll');
+        list.innerHTML = snapshots.length === 0
+            ? `<div class="no-results">${this.escapeHtml(this.t('No snapshots yet.'))}</div>`
+            : snapshots.map(snapshot => `
+                <div class="snapshot-item">
+                    <div>
+                        <strong>${new Date(snapshot.createdAt).toLocaleString()}</strong>
+                        <div>${this.escapeHtml(this.t(SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason))} · ${this.escapeHtml(this.t('{count} records', { count: snapshot.recordCount }))} · ${this.formatSnapshotSize(snapshot.size)}${snapshot.createdBy ? ` · ${this.escapeHtml(snapshot.createdBy)}` : ''}</div>
+                    </div>
+                    <div>
+                        ${canRestore ? `<button type="button" class="btn btn-secondary btn-small" data-snapshot-action="restore" data-snapshot-id="${this.escapeHtml(snapshot.id)}">${this.escapeHtml(this.t('Restore'))}</button>` : ''}
+                        <button type="button" class="btn btn-secondary btn-small" data-snapshot-action="export" data-snapshot-id="${this.escapeHtml(snapshot.id)}">${this.escapeHtml(this.t('Export'))}</button>
+                        ${canDelete ? `<button type="button" class="btn btn-reset btn-small" data-snapshot-action="delete" data-snapshot-id="${this.escapeHtml(snapshot.id)}">${this.escapeHtml(this.t('Delete'))}</button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    async restoreSnapshotFromList(id) {
+        if (!this.requirePermission('restoreReplace', 'restore a snapshot over the data on this device')) return;
+
+        const snapshot = (await this.getSnapshots()).find(entry => entry.id === id);
+        if (!snapshot) return;
+        if (!(await this.confirmDialog(this.t('This will replace all current data with the {count} records in the snapshot from {date}. Continue?', { count: snapshot.recordCount, date: new Date(snapshot.createdAt).toLocaleString() }), { confirmLabel: this.t('Restore') }))) return;
+        if (!await this.takeSafetySnapshot('before-snapshot-restore')) return;
+
+        try {
+            await this.restoreSnapshot(id);
+        } catch (error) {
+            console.error('Error restoring snapshot:', error);
+            this.showError(`${this.t('Error restoring snapshot. No records were changed.')}\n\n${error.message}`, error);
+            return;
+        }
+        this.requestSync();
+        this.refreshResults();
+        this.renderSnapshotList();
+        this.notify(this.t('Snapshot restored successfully! {count} records loaded.', { count: snapshot.recordCount }));
+    }
+
+    // Saved as an ordinary backup file, protected by the passphrase entered above
+    async exportSnapshot(id) {
+        let passphrase;
+        try {
+            passphrase = this.getBackupPassphrase();
+        } catch (error) {
+            this.notify(error.message, 'warning');
+            return;
+        }
+
+        try {
+            const snapshot = (await this.getSnapshots()).find(entry => entry.id === id);
+            const { surveys, media } = await this.getSnapshotData(id);
+            const backupMedia = await Promise.all(media.map(entry => this.mediaToDataUrl(entry)));
+            await this.saveBackupFile(surveys, backupMedia, passphrase, 'PSER_Snapshot', new Date(snapshot.createdAt));
+            this.notify(passphrase !== null
+                ? this.t('Snapshot exported with {count} records (encrypted).', { count: surveys.length })
+                : this.t('Snapshot exported with {count} records. This file is NOT encrypted.', { count: surveys.length }));
+        } catch (error) {
+            console.error('Error exporting snapshot:', error);
+            this.showError(`${this.t('Error exporting snapshot.')} ${error.message}`, error);
+        }
+    }
+
+    async deleteSnapshotFromList(id) {
+        if (!this.requirePermission('clearAll', 'delete snapshots')) return;
+        if (!(await this.confirmDialog(this.t('Delete this snapshot? It cannot be recovered.'), { confirmLabel: this.t('Delete') }))) return;
+
+        try {
+            await this.deleteSnapshot(id);
+        } catch (error) {
+            console.error('Error deleting snapshot:', error);
+            this.showError(this.t('Error deleting snapshot. Please try again.'), error);
+        }
+        this.renderSnapshotList();
+    }
+
+    // Recycle Bin Methods
+    setupRecycleBin() {
+        this.safeAddEventListener('closeRecycleBin', 'click', () => this.hideRecycleBin());
+        this.safeAddEventListener('emptyRecycleBin', 'click', () => this.emptyRecycleBin());
+        this.safeAddEventListener('undoBtn', 'click', () => this.runUndo());
+
+        const list = document.getElementById('recycleBinList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-bin-action]');
+                if (!button) return;
+                const id = button.dataset.binId;
+                if (button.dataset.binAction === 'restore') this.restoreDeletedSurvey(id);
+                if (button.dataset.binAction === 'purge') this.purgeDeletedSurvey(id);
+            });
+        }
+
+        // Expired records are removed at start-up and then hourly
+        this.purgeExpiredRecords();
+        setInterval(() => this.purgeExpiredRecords(), 3600000);
+    }
+
+    async purgeExpiredRecords() {
+        try {
+            const removed = await this.purgeExpiredRecycleBin(this.getSettings().recycleBin.retentionDays);
+            if (removed > 0) {
+                console.log(`Removed ${removed} expired records from the recycle bin`);
+            }
+        } catch (error) {
+            console.error('Error emptying expired records from the recycle bin:', error);
+        }
+    }
+
+    // Shows message with an Undo button for a few seconds; a newer message replaces it
+    showUndo(message, action) {
+        const bar = document.getElementById('undoBar');
+        if (!bar) return;
+
+        clearTimeout(this.undoTimer);
+        this.undoAction = action;
+        document.getElementById('undoMessage').textContent = message;
+        bar.style.display = 'flex';
+        this.undoTimer = setTimeout(() => this.hideUndo(), 10000);
+    }
+
+    hideUndo() {
+        clearTimeout(this.undoTimer);
+        this.undoAction = null;
+        const bar = document.getElementById('undoBar');
+        if (bar) {
+            bar.style.display = 'none';
+        }
+    }
+
+    runUndo() {
+        const action = this.undoAction;
+        this.hideUndo();
+        if (action) {
+            action();
+        }
+    }
+
+    async showRecycleBin() {
+        const modal = document.getElementById('recycleBinModal');
+        if (!modal) return;
+
+        if (!this.database) {
+            this.notify(this.t('The recycle bin is not available on this device because its database could not be opened. Deleted records are removed straight away.'), 'warning');
+            return;
+        }
+
+        const note = document.getElementById('recycleBinNote');
+        if (note) {
+            note.textContent = this.t('Deleted records are kept for {days} days, then removed for good.', { days: this.getSettings().recycleBin.retentionDays });
+        }
+        await this.renderRecycleBin();
         modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
-        this.clearSignature();
     }
-}
 
-hideSignatureModal() {
-    const modal = document.getElementById('signatureModal');
-    if (modal) {
-        modal.style.display = 'none';
-        document.body.style.overflow = 'auto';
+    hideRecycleBin() {
+        const modal = document.getElementById('recycleBinModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        const list = document.getElementById('recycleBinList');
+        if (list) {
+            list.innerHTML = '';
+        }
+    }
+
+    async renderRecycleBin() {
+        const list = document.getElementById('recycleBinList');
+        if (!list) return;
+
+        let entries;
+        try {
+            entries = await this.getRecycleBin();
+        } catch (error) {
+            console.error('Error loading recycle bin:', error);
+            list.innerHTML = `<div class="no-results">${this.escapeHtml(this.t('The recycle bin could not be loaded.'))}</div>`;
+            return;
+        }
+
+        const canPurge = this.hasPermission('deleteRecord');
+        const emptyButton = document.getElementById('emptyRecycleBin');
+        if (emptyButton) {
+            emptyButton.style.display = canPurge && entries.length > 0 ? '' : 'none';
+        }
+
+        list.innerHTML = entries.length === 0
+            ? `<div class="no-results">${this.escapeHtml(this.t('The recycle bin is empty.'))}</div>`
+            : entries.map(entry => `
+                <div class="snapshot-item">
+                    <div>
+                        <strong>${this.escapeHtml(entry.record.houseCode || '')} · ${this.escapeHtml(entry.record.hohName || '')}</strong>
+                        <div>${this.escapeHtml(this.t('Block {block} · deleted {date} by {name}', { block: entry.record.blockCode || '', date: new Date(entry.deletedAt).toLocaleString(), name: entry.deletedBy || this.t('Unknown') }))}</div>
+                    </div>
+                    <div>
+                        <button type="button" class="btn btn-secondary btn-small" data-bin-action="restore" data-bin-id="${this.escapeHtml(entry.id)}">${this.escapeHtml(this.t('Restore'))}</button>
+                        ${canPurge ? `<button type="button" class="btn btn-reset btn-small" data-bin-action="purge" data-bin-id="${this.escapeHtml(entry.id)}">${this.escapeHtml(this.t('Delete Forever'))}</button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    async restoreDeletedSurvey(id) {
+        try {
+            await this.restoreFromRecycleBin(id, this.getCurrentUserName());
+        } catch (error) {
+            console.error('Error restoring deleted record:', error);
+            this.showError(`${this.t('Error restoring record.')} ${error.message}`, error);
+            return;
+        }
+        this.requestSync();
+        this.refreshResults();
+        const modal = document.getElementById('recycleBinModal');
+        if (modal && modal.style.display === 'flex') {
+            this.renderRecycleBin();
+        }
+    }
+
+    async purgeDeletedSurvey(id) {
+        if (!this.requirePermission('deleteRecord', 'delete records')) return;
+        if (!(await this.confirmDialog(this.t('Delete this record for good? Its photo and signature are deleted with it.'), { confirmLabel: this.t('Delete') }))) return;
+
+        try {
+            await this.purgeFromRecycleBin([id]);
+        } catch (error) {
+            console.error('Error purging record:', error);
+            this.showError(this.t('Error deleting record. Please try again.'), error);
+            return;
+        }
+        this.renderRecycleBin();
+    }
+
+    async emptyRecycleBin() {
+        if (!this.requirePermission('deleteRecord', 'delete records')) return;
+
+        const entries = await this.getRecycleBin().catch(() => []);
+        if (entries.length === 0) return;
+        if (!(await this.confirmDialog(this.t('Delete all {count} records in the recycle bin for good?', { count: entries.length }), { confirmLabel: this.t('Delete all') }))) return;
+
+        try {
+            await this.purgeFromRecycleBin(entries.map(entry => entry.id));
+        } catch (error) {
+            console.error('Error emptying recycle bin:', error);
+            this.showError(this.t('Error emptying the recycle bin. Please try again.'), error);
+            return;
+        }
+        this.renderRecycleBin();
+    }
+
+    // Data Clear Methods
+    async showPasswordModal() {
+        if (!this.requirePermission('clearAll', 'clear all data')) return;
+
+        const count = await this.countSurveys().catch(() => 0);
+        if (count === 0) {
+            this.notify(this.t('No data to clear!'), 'warning');
+            return;
+        }
+        
+        const modal = document.getElementById('passwordModal');
+        const passwordInput = document.getElementById('passwordInput');
+        
+        if (modal && passwordInput) {
+            modal.style.display = 'flex';
+            passwordInput.value = '';
+            passwordInput.focus();
+        }
+    }
+
+    hidePasswordModal() {
+        const modal = document.getElementById('passwordModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    // The supervisor confirms with their own PIN; wrong entries count towards the lockout
+    async confirmClearAll() {
+        if (!this.requirePermission('clearAll', 'clear all data')) return;
+
+        const passwordInput = document.getElementById('passwordInput');
+        const pin = passwordInput ? passwordInput.value : '';
+
+        try {
+            await this.verifyAccountPin(this.currentUser.id, pin);
+        } catch (error) {
+            this.notify(`${error.message} ${this.t('Data was not cleared.')}`, 'warning');
+            return;
+        }
+
+        if (!await this.takeSafetySnapshot('before-clear')) return;
+        try {
+            await this.clearSurveys();
+        } catch (error) {
+            console.error('Error clearing data:', error);
+            this.showError(this.t('Error clearing data. Please try again.'), error);
+            return;
+        }
+        this.hidePasswordModal();
+        this.notify(this.database
+            ? this.t('All data has been cleared successfully!\n\nA snapshot taken just before is kept under Backup & Restore.')
+            : this.t('All data has been cleared successfully!'));
+        this.refreshResults();
+    }
+
+    // Audit Methods
+    // Records and change log entries are signed with the name of the signed-in account
+    getCurrentUserName() {
+        return this.currentUser ? this.currentUser.name : 'Unknown';
+    }
+
+    applyAuditFields(survey, existing, user) {
+        const now = new Date().toISOString();
+        survey.createdAt = existing && existing.createdAt ? existing.createdAt : now;
+        survey.createdBy = existing ? (existing.createdBy || null) : user;
+        survey.updatedAt = now;
+        survey.updatedBy = user;
+    }
+
+    // Flattens nested groups (livestock.cow, location.latitude) so the diff is per field.
+    // Roster members are keyed by their id (members.<id>.name) so reordering is not a change.
+    flattenRecord(record, prefix = '', result = {}) {
+        Object.entries(record || {}).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id)) {
+                value.forEach(({ id, ...item }) => this.flattenRecord(item, `${path}.${id}`, result));
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flattenRecord(value, path, result);
+            } else {
+                result[path] = value;
+            }
+        });
+        return result;
+    }
+
+    diffRecords(before, after) {
+        // Bookkeeping fields change on every save and are recorded on the entry itself
+        const ignored = /^(sync|schemaVersion|createdAt|createdBy|updatedAt|updatedBy|finalized)(\.|$)/;
+        const flatBefore = this.flattenRecord(before);
+        const flatAfter = this.flattenRecord(after);
+        const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+        const changes = [];
+
+        fields.forEach(field => {
+            if (ignored.test(field)) return;
+
+            // A blank answer and a missing one are the same thing to the reader
+            const oldValue = flatBefore[field] === undefined || flatBefore[field] === '' ? null : flatBefore[field];
+            const newValue = flatAfter[field] === undefined || flatAfter[field] === '' ? null : flatAfter[field];
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes.push({ field, before: oldValue, after: newValue });
+            }
+        });
+
+        return changes;
+    }
+
+    // Returns null for an update that changed nothing
+    buildChangeLogEntry(surveyId, action, user, before, after) {
+        const changes = this.diffRecords(before, after);
+        if (action === 'update' && changes.length === 0) return null;
+
+        return {
+            surveyId,
+            action,
+            at: new Date().toISOString(),
+            by: user,
+            houseCode: (after || before || {}).houseCode || '',
+            changes
+        };
+    }
+
+    // The change log is append-only: entries are never updated or removed.
+    // Entries are sealed with sealChangeLogEntry() before the transaction starts.
+    appendChangeLog(tx, entry) {
+        if (entry) {
+            tx.objectStore('changeLog').add(entry);
+        }
+    }
+
+    async getChangeLog(surveyId) {
+        if (!this.database) return [];
+
+        const entries = await this.runTransaction(['changeLog'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('changeLog').index('surveyId').getAll(surveyId));
+        });
+        return Promise.all(entries.map(entry => this.openChangeLogEntry(entry)));
+    }
+
+    // Questionnaire label for a changed path such as livestock.cow; other paths are shown as-is
+    getHistoryFieldLabel(path) {
+        const roster = this.getRosterField();
+        if (roster && path.startsWith(`${roster.key}.`)) {
+            const key = path.split('.').pop();
+            const field = roster.memberFields.find(f => f.key === key);
+            return this.t('Member: {field}', { field: field ? this.t(field.label) : key });
+        }
+
+        const field = this.getQuestionnaireFields().find(f => (f.group ? `${f.group}.${f.key}` : f.key) === path);
+        return field ? this.t(field.label) : path;
+    }
+
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (/(^|\.)(photoId|signatureId)$/.test(field)) return this.t('image');
+        return String(value);
+    }
+
+    async showHistory(id) {
+        const modal = document.getElementById('historyModal');
+        const content = document.getElementById('historyContent');
+        if (!modal || !content) return;
+
+        let entries;
+        try {
+            entries = await this.getChangeLog(id);
+        } catch (error) {
+            console.error('Error loading change log:', error);
+            this.showError(this.t('Error loading history. Please try again.'), error);
+            return;
+        }
+
+        const actionLabels = {
+            create: 'Created',
+            update: 'Edited',
+            delete: 'Deleted',
+            'server-update': 'Corrected on server',
+            finalize: 'Finalized',
+            reopen: 'Reopened',
+            import: 'Added from backup',
+            restore: 'Replaced from backup',
+            recover: 'Restored from recycle bin'
+        };
+
+        content.innerHTML = entries.length === 0
+            ? `<div class="no-results">${this.escapeHtml(this.t('No changes recorded for this record.'))}</div>`
+            : entries.slice().reverse().map(entry => `
+                <div class="history-entry">
+                    <div class="history-header">
+                        <strong>${this.escapeHtml(this.t(actionLabels[entry.action] || entry.action))}</strong>
+                        ${this.escapeHtml(this.t('by {name}', { name: entry.by || this.t('Unknown') }))} · ${new Date(entry.at).toLocaleString()}
+                    </div>
+                    ${['create', 'import', 'recover'].includes(entry.action) || entry.changes.length === 0 ? '' : `
+                    <table class="history-table">
+                        <tr><th>${this.escapeHtml(this.t('Field'))}</th><th>${this.escapeHtml(this.t('Before'))}</th><th>${this.escapeHtml(this.t('After'))}</th></tr>
+                        ${entry.changes.map(change => `
+                        <tr>
+                            <td>${this.escapeHtml(this.getHistoryFieldLabel(change.field))}</td>
+                            <td>${this.escapeHtml(this.formatHistoryValue(change.field, change.before))}</td>
+                            <td>${this.escapeHtml(this.formatHistoryValue(change.field, change.after))}</td>
+                        </tr>`).join('')}
+                    </table>`}
+                </div>
+            `).join('');
+
+        modal.style.display = 'flex';
     }
-}
 
-saveSignature() {
-    const canvas = document.getElementById('signatureCanvas');
-    this.currentSignature = canvas.toDataURL('image/png');
-    
-    const signaturePreview = document.getElementById('signaturePreview');
-    if (signaturePreview) {
-        signaturePreview.innerHTML = `<img src="${this.currentSignature}" alt="Signature Preview" style="max-width: 150px; max-height: 60px;">`;
+    hideHistoryModal() {
+        const modal = document.getElementById('historyModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
     }
-    
-    this.hideSignatureModal();
-    // No alert message - silent save
-}
 
-// PWA Install Features
-setupPWAInstall() {
-    window.addEventListener('beforeinstallprompt', (e) => {
-        e.preventDefault();
-        this.deferredPrompt = e;
-        this.showInstallButton();
-    });
+    // Sync Methods
+    // Every saved or deleted survey gets an entry in the outbox store, written in the same
+    // transaction as the change. The outbox holds one entry per survey, so several edits
+    // made while offline are sent as a single upload of the latest version.
+    //
+    // Server API (see tools/sync-server.js for a local stand-in):
+    //   POST   /surveys         { record, baseRevision } -> 200 { revision } | 409 { record, revision } | 422 { errors }
+    //   DELETE /surveys/:id?baseRevision=n              -> 200 | 404 | 409 { record, revision }
+    //   PUT    /media/:id       raw image body          -> 200
+    //   GET    /surveys?since=cursor                    -> 200 { changes: [{ record, revision, deleted }], cursor }
+    getPendingSyncState(existing) {
+        const previous = existing && existing.sync ? existing.sync : {};
 
-    window.addEventListener('appinstalled', () => {
-        this.deferredPrompt = null;
-        this.hideInstallButton();
-        alert('Thank you for installing PSER Survey App!');
-    });
-}
+        // An unresolved conflict stays a conflict until the user picks a version
+        if (previous.state === 'conflict') {
+            return previous;
+        }
 
-showInstallButton() {
-    const installBtn = document.getElementById('installBtn');
-    if (installBtn) {
-        installBtn.style.display = 'block';
+        return {
+            state: 'pending',
+            revision: previous.revision !== undefined ? previous.revision : null,
+            syncedAt: previous.syncedAt || null,
+            error: null
+        };
     }
-}
 
-hideInstallButton() {
-    const installBtn = document.getElementById('installBtn');
-    if (installBtn) {
-        installBtn.style.display = 'none';
+    queueOutbox(tx, surveyId, op, baseRevision = null) {
+        tx.objectStore('outbox').put({
+            surveyId,
+            op,
+            baseRevision,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null
+        });
     }
-}
 
-installPWA() {
-    if (this.deferredPrompt) {
-        this.deferredPrompt.prompt();
-        this.deferredPrompt.userChoice.then((choiceResult) => {
-            if (choiceResult.outcome === 'accepted') {
-                console.log('User accepted the install prompt');
+    async getOutboxEntries() {
+        if (!this.database) return [];
+        return this.runTransaction(['outbox'], 'readonly', (tx) => {
+            return this.requestToPromise(tx.objectStore('outbox').getAll());
+        });
+    }
+
+    setupSync() {
+        this.syncInProgress = false;
+        this.syncTimer = null;
+        this.syncRequestTimer = null;
+
+        this.safeAddEventListener('syncBtn', 'click', () => this.syncNow({ manual: true }));
+        window.addEventListener('online', () => {
+            if (this.getSettings().sync.autoSync) {
+                this.syncNow();
             } else {
-                console.log('User dismissed the install prompt');
+                this.updateSyncStatus();
             }
-            this.deferredPrompt = null;
         });
-    }
-}
-// Form Validation & Data Management
-validateForm() {
-    const requiredFields = [
-        'blockCode', 'houseNumber', 'respondentName', 'hohName', 
-        'hohFatherName', 'hohCnic', 'familiesCount', 'contactNumber'
-    ];
+        window.addEventListener('offline', () => this.updateSyncStatus());
 
-    for (let field of requiredFields) {
-        const element = document.getElementById(field);
-        if (!element || !element.value.trim()) {
-            const fieldName = field.replace(/([A-Z])/g, ' $1').toLowerCase();
-            alert(`Please fill in ${fieldName}`);
-            if (element) element.focus();
-            return false;
+        this.lastSyncRun = Date.now();
+        this.updateSyncStatus();
+        if (this.getSettings().sync.autoSync) {
+            this.syncNow();
         }
+        this.scheduleSync();
     }
 
-    const cnic = this.getValue('hohCnic');
-    if (!/^\d{5}-\d{7}-\d{1}$/.test(cnic)) {
-        alert('Please enter a valid CNIC in format: 33301-1234567-1');
-        document.getElementById('hohCnic').focus();
-        return false;
-    }
+    // Called after local changes; batches bursts of edits into one sync run
+    requestSync() {
+        this.updateSyncStatus();
+        if (!this.getSettings().sync.autoSync) return;
 
-    const contact = this.getValue('contactNumber');
-    if (!/^03\d{2}-\d{7}$/.test(contact)) {
-        alert('Please enter a valid contact number starting with 03 in format: 0345-1234567');
-        document.getElementById('contactNumber').focus();
-        return false;
+        clearTimeout(this.syncRequestTimer);
+        this.syncRequestTimer = setTimeout(() => this.syncNow(), 3000);
     }
 
-    return true;
-}
+    async syncNow({ manual = false } = {}) {
+        const { endpoint } = this.getSettings().sync;
 
-getFormData() {
-    return {
-        id: this.currentEditId || Date.now().toString(),
-        blockCode: this.getValue('blockCode'),
-        houseNumber: parseInt(this.getValue('houseNumber')),
-        familiesCount: parseInt(this.getValue('familiesCount')),
-        xFamily: this.getRadioValue('xFamily'),
-        houseCode: this.getValue('houseCode'),
-        respondentName: this.getValue('respondentName').trim(),
-        hohName: this.getValue('hohName').trim(),
-        hohFatherName: this.getValue('hohFatherName').trim(),
-        hohCnic: this.getValue('hohCnic'),
-        maleMembers: parseInt(this.getValue('maleMembers')) || 0,
-        femaleMembers: parseInt(this.getValue('femaleMembers')) || 0,
-        othersMembers: parseInt(this.getValue('othersMembers')) || 0,
-        totalMembers: parseInt(this.getValue('totalMembers')) || 0,
-        registerNumber: this.getValue('registerNumber') ? parseInt(this.getValue('registerNumber')) : null,
-        location: this.currentLocation,
-        photo: this.currentPhoto,
-        signature: this.currentSignature,
-        livestock: {
-            buffalo: parseInt(this.getValue('buffalo')) || 0,
-            cow: parseInt(this.getValue('cow')) || 0,
-            goat: parseInt(this.getValue('goat')) || 0,
-            sheep: parseInt(this.getValue('sheep')) || 0
-        },
-        transport: {
-            motorcycle: parseInt(this.getValue('motorcycle')) || 0,
-            car: parseInt(this.getValue('car')) || 0,
-            van: parseInt(this.getValue('van')) || 0,
-            scooter: parseInt(this.getValue('scooter')) || 0
-        },
-        appliances: {
-            solar: parseInt(this.getValue('solar')) || 0,
-            ac: parseInt(this.getValue('ac')) || 0,
-            geyser: parseInt(this.getValue('geyser')) || 0,
-            washingMachine: parseInt(this.getValue('washingMachine')) || 0,
-            fridge: parseInt(this.getValue('fridge')) || 0
-        },
-        contactNumber: this.getValue('contactNumber'),
-        timestamp: new Date().toISOString()
-    };
-}
+        if (!this.database || !endpoint) {
+            if (manual) this.notify(this.t('Please set the sync server address in Settings first.'), 'warning');
+            return;
+        }
+        if (!navigator.onLine) {
+            if (manual) this.notify(this.t('You are offline. Changes will be sent when the connection returns.'), 'info');
+            this.updateSyncStatus();
+            return;
+        }
+        if (this.syncInProgress) return;
+        // Records cannot be read or written while the app is locked
+        if (!this.dataKeys) return;
 
-async saveSurvey(isNew = false) {
-    if (!this.validateForm()) return;
+        this.syncInProgress = true;
+        this.lastSyncRun = Date.now();
+        this.updateSyncStatus();
 
-    const surveyData = this.getFormData();
+        try {
+            const pushed = await this.pushOutbox(manual);
+            if (pushed.unreachable) {
+                throw new Error(`${pushed.unreachable}. ${this.t('{count} changes will be retried automatically.', { count: pushed.retrying })}`);
+            }
+            const pulled = await this.pullChanges();
+            localStorage.setItem('pserLastSync', new Date().toISOString());
+            console.log('Sync finished:', pushed, `${pulled} server updates applied`);
 
-    if (this.currentEditId) {
-        const index = this.surveys.findIndex(s => s.id === this.currentEditId);
-        if (index !== -1) {
-            this.surveys[index] = surveyData;
+            if (manual) {
+                this.notify(this.t('Sync complete!\n\nSent: {sent}\nWaiting to retry: {retrying}\nRejected: {rejected}\nConflicts: {conflicts}\nServer updates received: {pulled}', { ...pushed, pulled }));
+            }
+        } catch (error) {
+            console.error('Sync failed:', error);
+            if (manual) this.showError(this.t('Sync failed: {error}', { error: error.message }), error);
+        } finally {
+            this.syncInProgress = false;
+            this.updateSyncStatus();
+            this.scheduleSync();
         }
-    } else {
-        this.surveys.push(surveyData);
     }
 
-    await this.saveToDatabase();
-    
-    alert('Survey data saved successfully!');
-    
-    if (isNew) {
-        this.clearForm();
-        this.currentEditId = null;
-        // Auto-focus on house number field after save
-        setTimeout(() => {
-            const houseNumberInput = document.getElementById('houseNumber');
-            if (houseNumberInput) {
-                houseNumberInput.focus();
-            }
-        }, 100);
+    // Wakes the sync engine up for the next periodic run, or earlier when a backed-off
+    // outbox entry becomes due. Called after every run and whenever settings are saved.
+    async scheduleSync() {
+        const { autoSync, intervalMinutes } = this.getSettings().sync;
+        if (!autoSync) {
+            clearTimeout(this.syncTimer);
+            return;
+        }
+
+        const entries = await this.getOutboxEntries().catch(() => []);
+        const due = entries.map(entry => entry.nextAttemptAt).filter(time => time > Date.now());
+        due.push(this.lastSyncRun + Math.max(1, intervalMinutes) * 60000);
+
+        const delay = Math.min(...due) - Date.now();
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            // Counts as a run even if syncNow bails out (offline, locked), so the next one waits a full interval
+            this.lastSyncRun = Date.now();
+            this.syncNow().finally(() => this.scheduleSync());
+        }, Math.max(delay, 1000));
     }
-}
 
-clearForm() {
-    const form = document.getElementById('surveyForm');
-    if (form) {
-        form.reset();
+    getRetryDelay(attempts) {
+        // 15s, 30s, 1m, 2m ... capped at 30 minutes, with jitter so devices do not retry in step
+        const base = Math.min(15000 * Math.pow(2, attempts - 1), 30 * 60000);
+        return Math.round(base * (0.8 + Math.random() * 0.4));
     }
-    this.currentEditId = null;
-    this.currentLocation = null;
-    this.currentPhoto = null;
-    this.currentSignature = null;
-    
-    const photoPreview = document.getElementById('photoPreview');
-    if (photoPreview) {
-        photoPreview.innerHTML = '';
+
+    async syncRequest(method, path, body, contentType = 'application/json') {
+        const { endpoint, authToken } = this.getSettings().sync;
+        const headers = {};
+        if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+        if (body !== undefined) headers['Content-Type'] = contentType;
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 30000);
+
+        try {
+            const response = await fetch(`${endpoint.replace(/\/+$/, '')}${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : (contentType === 'application/json' ? JSON.stringify(body) : body),
+                signal: controller.signal
+            });
+
+            let data = null;
+            const text = await response.text();
+            if (text) {
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    data = { message: text };
+                }
+            }
+            return { status: response.status, ok: response.ok, data };
+        } catch (error) {
+            const networkError = new Error(error.name === 'AbortError' ? 'Request timed out' : `Network error: ${error.message}`);
+            networkError.unreachable = true;
+            throw networkError;
+        } finally {
+            clearTimeout(timeout);
+        }
     }
-    
-    const signaturePreview = document.getElementById('signaturePreview');
-    if (signaturePreview) {
-        signaturePreview.innerHTML = '';
+
+    async pushOutbox(ignoreBackoff) {
+        const result = { sent: 0, retrying: 0, rejected: 0, conflicts: 0 };
+        const entries = (await this.getOutboxEntries())
+            .filter(entry => ignoreBackoff || entry.nextAttemptAt <= Date.now())
+            .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+        for (const entry of entries) {
+            let outcome;
+            try {
+                outcome = entry.op === 'delete' ? await this.pushDelete(entry) : await this.pushUpsert(entry);
+            } catch (error) {
+                outcome = { retry: error.message, unreachable: error.unreachable };
+            }
+
+            if (!outcome.retry) {
+                result[outcome.result]++;
+                continue;
+            }
+
+            await this.retryOutboxEntry(entry, outcome.retry);
+            result.retrying++;
+
+            // The server is unreachable, so leave the rest of the queue for the next run
+            if (outcome.unreachable) {
+                result.retrying += entries.length - entries.indexOf(entry) - 1;
+                result.unreachable = outcome.retry;
+                break;
+            }
+        }
+
+        return result;
     }
-    
-    const coordsDisplay = document.getElementById('locationCoords');
-    if (coordsDisplay) {
-        coordsDisplay.textContent = '';
+
+    // Strips device-only fields before a record leaves the phone
+    toServerRecord(survey) {
+        const { sync, ...record } = survey;
+        return record;
     }
-    
-    this.setDefaultBlockCode();
-    this.calculateTotalMembers();
-    this.generateHouseCode();
-    
-    // Auto-focus on house number field after clear
-    setTimeout(() => {
-        const houseNumberInput = document.getElementById('houseNumber');
-        if (houseNumberInput) {
-            houseNumberInput.focus();
+
+    async uploadSurveyMedia(survey) {
+        const entries = await this.getMediaList([survey.photoId, survey.signatureId]);
+
+        for (const entry of entries) {
+            if (entry.uploadedAt) continue;
+
+            const response = await this.syncRequest('PUT', `/media/${encodeURIComponent(entry.id)}`, entry.blob, entry.mimeType);
+            if (!response.ok) {
+                throw new Error(`Media upload failed (HTTP ${response.status})`);
+            }
+
+            entry.uploadedAt = new Date().toISOString();
+            await this.putMedia(entry);
         }
-    }, 100);
-}
-// Search & Display Methods
-searchSurvey() {
-    const houseNumberInput = document.getElementById('searchHouseNumber');
-    const cnicInput = document.getElementById('searchCnic');
-    
-    if ((!houseNumberInput || !houseNumberInput.value) && (!cnicInput || !cnicInput.value)) {
-        alert('Please enter either House Number or CNIC Number to search');
-        return;
     }
 
-    let results = [];
-    
-    if (houseNumberInput && houseNumberInput.value) {
-        const houseNumber = parseInt(houseNumberInput.value);
-        results = this.surveys.filter(survey => survey.houseNumber === houseNumber);
+    async pushUpsert(entry) {
+        const survey = await this.getSurvey(entry.surveyId);
+        if (!survey) {
+            await this.finishOutboxEntry(entry, null);
+            return { result: 'sent' };
+        }
+
+        await this.uploadSurveyMedia(survey);
+
+        const response = await this.syncRequest('POST', '/surveys', {
+            record: this.toServerRecord(survey),
+            baseRevision: survey.sync ? survey.sync.revision : null
+        });
+
+        if (response.ok) {
+            await this.finishOutboxEntry(entry, {
+                state: 'synced',
+                revision: response.data.revision,
+                syncedAt: new Date().toISOString(),
+                error: null
+            });
+            return { result: 'sent' };
+        }
+
+        if (response.status === 409) {
+            let data = response.data;
+            if (data && data.record) {
+                const record = this.readServerRecord(data.record, survey);
+                if (!record) return { retry: 'The server sent back an unreadable copy of the record' };
+                data = { ...data, record };
+            }
+            await this.finishOutboxEntry(entry, this.getConflictState(survey, data, false));
+            return { result: 'conflicts' };
+        }
+
+        if (response.status === 400 || response.status === 422) {
+            await this.finishOutboxEntry(entry, {
+                ...survey.sync,
+                state: 'failed',
+                error: this.describeRejection(response.data)
+            });
+            return { result: 'rejected' };
+        }
+
+        return { retry: `Server error (HTTP ${response.status})` };
     }
-    
-    if (cnicInput && cnicInput.value) {
-        const searchCnic = cnicInput.value.replace(/\D/g, '');
-        const cnicResults = this.surveys.filter(survey => 
-            survey.hohCnic.replace(/\D/g, '').includes(searchCnic)
-        );
-        
-        if (results.length > 0 && cnicResults.length > 0) {
-            const combinedResults = [...results, ...cnicResults];
-            results = combinedResults.filter((survey, index, self) => 
-                index === self.findIndex(s => s.id === survey.id)
-            );
-        } else if (cnicResults.length > 0) {
-            results = cnicResults;
+
+    async pushDelete(entry) {
+        const query = entry.baseRevision !== null ? `?baseRevision=${encodeURIComponent(entry.baseRevision)}` : '';
+        const response = await this.syncRequest('DELETE', `/surveys/${encodeURIComponent(entry.surveyId)}${query}`);
+
+        if (response.ok || response.status === 404) {
+            await this.finishOutboxEntry(entry, null);
+            if (response.ok && response.data && response.data.revision !== undefined) {
+                await this.noteRecycledDelete(entry.surveyId, response.data.revision);
+            }
+            return { result: 'sent' };
+        }
+
+        if (response.status === 409 && response.data && response.data.record) {
+            // Someone changed the record on the server after it was deleted here. Bring the
+            // server version back so the user can decide instead of losing the correction,
+            // with the photo and signature the recycle bin kept.
+            const binned = await this.runTransaction(['recycleBin'], 'readonly', (tx) => {
+                return this.requestToPromise(tx.objectStore('recycleBin').get(entry.surveyId));
+            });
+            const local = binned ? await this.openRecord(binned.record) : { id: entry.surveyId };
+            const serverRecord = this.readServerRecord(response.data.record, local);
+            if (!serverRecord) return { retry: 'The server sent back an unreadable copy of the record' };
+
+            const record = { ...serverRecord };
+            record.sync = this.getConflictState(record, { ...response.data, record: serverRecord }, true);
+            const stored = await this.sealRecord(record);
+            await this.runTransaction(['surveys', 'media', 'outbox', 'recycleBin'], 'readwrite', async (tx) => {
+                const bin = tx.objectStore('recycleBin');
+                const current = await this.requestToPromise(bin.get(entry.surveyId));
+                if (current) {
+                    current.media.forEach(media => tx.objectStore('media').put(media));
+                }
+                tx.objectStore('surveys').put(stored);
+                tx.objectStore('outbox').delete(entry.surveyId);
+                bin.delete(entry.surveyId);
+            });
+            return { result: 'conflicts' };
         }
+
+        if (response.status === 400 || response.status === 422) {
+            await this.finishOutboxEntry(entry, null);
+            return { result: 'rejected' };
+        }
+
+        return { retry: `Server error (HTTP ${response.status})` };
     }
 
-    this.displaySearchResults(results);
-}
+    getConflictState(survey, serverData, deletedLocally) {
+        const previous = survey.sync || {};
+        return {
+            ...previous,
+            state: 'conflict',
+            error: deletedLocally
+                ? 'Deleted on this device but changed on the server'
+                : 'Changed on the server since the last sync',
+            serverRecord: serverData && serverData.record ? serverData.record : null,
+            serverRevision: serverData ? serverData.revision : null,
+            serverDeleted: Boolean(serverData && serverData.deleted),
+            deletedLocally
+        };
+    }
 
-displaySearchResults(results) {
-    const resultsContainer = document.getElementById('searchResults');
-    if (!resultsContainer) return;
-    
-    if (results.length === 0) {
-        resultsContainer.innerHTML = '<div class="no-results">No records found for your search.</div>';
-        return;
+    describeRejection(data) {
+        if (!data) return 'Rejected by server';
+        if (Array.isArray(data.errors) && data.errors.length > 0) {
+            return data.errors.map(error => typeof error === 'string' ? error : (error.message || JSON.stringify(error))).join('; ');
+        }
+        return data.message || data.error || 'Rejected by server';
     }
 
-    resultsContainer.innerHTML = results.map(survey => {
-        // Only show items that the house actually has
-        const livestockItems = [];
-        if (survey.livestock.buffalo > 0) livestockItems.push(`Buffalo(${survey.livestock.buffalo})`);
-        if (survey.livestock.cow > 0) livestockItems.push(`Cow(${survey.livestock.cow})`);
-        if (survey.livestock.goat > 0) livestockItems.push(`Goat(${survey.livestock.goat})`);
-        if (survey.livestock.sheep > 0) livestockItems.push(`Sheep(${survey.livestock.sheep})`);
-        
-        const transportItems = [];
-        if (survey.transport.motorcycle > 0) transportItems.push(`Motorcycle(${survey.transport.motorcycle})`);
-        if (survey.transport.car > 0) transportItems.push(`Car(${survey.transport.car})`);
-        if (survey.transport.van > 0) transportItems.push(`Van(${survey.transport.van})`);
-        if (survey.transport.scooter > 0) transportItems.push(`Scooter(${survey.transport.scooter})`);
-        
-        const appliancesItems = [];
-        if (survey.appliances.solar > 0) appliancesItems.push(`Solar(${survey.appliances.solar})`);
-        if (survey.appliances.ac > 0) appliancesItems.push(`AC(${survey.appliances.ac})`);
-        if (survey.appliances.geyser > 0) appliancesItems.push(`Geyser(${survey.appliances.geyser})`);
-        if (survey.appliances.washingMachine > 0) appliancesItems.push(`Washing Machine(${survey.appliances.washingMachine})`);
-        if (survey.appliances.fridge > 0) appliancesItems.push(`Fridge(${survey.appliances.fridge})`);
+    // Removes the outbox entry and records the outcome on the survey. If the survey was
+    // edited again while the request was in flight, the newer outbox entry is kept and
+    // the record stays pending on top of the revision the server just confirmed.
+    async finishOutboxEntry(entry, syncState) {
+        syncState = await this.sealSyncState(syncState);
+        await this.runTransaction(['surveys', 'outbox'], 'readwrite', async (tx) => {
+            const outbox = tx.objectStore('outbox');
+            const store = tx.objectStore('surveys');
+            const current = await this.requestToPromise(outbox.get(entry.surveyId));
+            const changedSince = current && current.queuedAt !== entry.queuedAt;
 
-        return `
-            <div class="record-card">
-                <h3>Block ${survey.blockCode} - House ${survey.houseCode} - ${survey.hohName}</h3>
-                <div class="record-grid">
-                    <div class="record-item"><strong>Block Code:</strong> ${survey.blockCode}</div>
-                    <div class="record-item"><strong>House No:</strong> ${survey.houseNumber}</div>
-                    <div class="record-item"><strong>Respondent:</strong> ${survey.respondentName}</div>
-                    <div class="record-item"><strong>HOH Name:</strong> ${survey.hohName}</div>
-                    <div class="record-item"><strong>HOH Father:</strong> ${survey.hohFatherName}</div>
-                    <div class="record-item"><strong>HOH CNIC:</strong> ${survey.hohCnic}</div>
-                    <div class="record-item"><strong>Families:</strong> ${survey.familiesCount}</div>
-                    <div class="record-item"><strong>X Family:</strong> ${survey.xFamily === 'yes' ? 'Yes' : 'No'}</div>
-                    <div class="record-item"><strong>Total Members:</strong> ${survey.totalMembers}</div>
-                    <div class="record-item"><strong>Contact:</strong> ${survey.contactNumber}</div>
-                    ${survey.registerNumber ? `<div class="record-item"><strong>Register No:</strong> ${survey.registerNumber}</div>` : ''}
-                </div>
-                <div class="record-grid">
-                    <div class="record-item">
-                        <strong>Location:</strong> 
-                        ${survey.location ? 
-                            `<span class="location-link" onclick="surveyManager.openInMaps(${survey.location.latitude}, ${survey.location.longitude})">
-                                📍 View on Map
-                            </span>` 
-                            : 'Not captured'
-                        }
-                    </div>
-                    <div class="record-item">
-                        <strong>Photo:</strong> 
-                        ${survey.photo ? 
-                            `<img src="${survey.photo}" class="photo-thumbnail" onclick="surveyManager.viewPhoto('${survey.photo}')">` 
-                            : 'Not captured'
-                        }
-                    </div>
-                    <div class="record-item">
-                        <strong>Signature:</strong> 
-                        ${survey.signature ? 
-                            `<img src="${survey.signature}" class="signature-thumbnail" onclick="surveyManager.viewPhoto('${survey.signature}')">` 
-                            : 'Not captured'
-                        }
-                    </div>
-                </div>
-                ${livestockItems.length > 0 ? `
-                <div class="record-grid">
-                    <div class="record-item"><strong>Livestock:</strong> ${livestockItems.join(', ')}</div>
-                </div>
-                ` : ''}
-                ${transportItems.length > 0 ? `
-                <div class="record-grid">
-                    <div class="record-item"><strong>Transport:</strong> ${transportItems.join(', ')}</div>
-                </div>
-                ` : ''}
-                ${appliancesItems.length > 0 ? `
-                <div class="record-grid">
-                    <div class="record-item"><strong>Appliances:</strong> ${appliancesItems.join(', ')}</div>
-                </div>
-                ` : ''}
-                <button onclick="surveyManager.editSurvey('${survey.id}')" class="btn btn-primary" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">Edit</button>
-                <button onclick="surveyManager.deleteSurvey('${survey.id}')" class="btn btn-reset" style="margin-top: 6px; padding: 5px 10px; font-size: 12px;">Delete</button>
-            </div>
-        `;
-    }).join('');
-}
+            if (!syncState) {
+                if (!changedSince) outbox.delete(entry.surveyId);
+                return;
+            }
 
-// Utility Methods for Results
-openInMaps(latitude, longitude) {
-    const url = `https://www.google.com/maps/dir/?api=1&destination=${latitude},${longitude}`;
-    window.open(url, '_blank');
-}
+            const survey = await this.requestToPromise(store.get(entry.surveyId));
+            if (!survey) return;
 
-viewPhoto(photoData) {
-    const photoWindow = window.open('', '_blank');
-    photoWindow.document.write(`
-        <html>
-            <head><title>Image View</title></head>
-            <body style="margin: 0; display: flex; justify-content: center; align-items: center; height: 100vh; background: #000;">
-                <img src="${photoData}" style="max-width: 100%; max-height: 100%;">
-            </body>
-        </html>
-    `);
-}
-// Edit & Delete Methods
-editSurvey(id) {
-    const survey = this.surveys.find(s => s.id === id);
-    if (!survey) return;
+            if (!changedSince || syncState.state === 'conflict') {
+                outbox.delete(entry.surveyId);
+                survey.sync = syncState;
+            } else if (syncState.state === 'synced') {
+                survey.sync = { ...survey.sync, revision: syncState.revision, syncedAt: syncState.syncedAt };
+            }
+            store.put(survey);
+        });
+    }
 
-    this.currentEditId = id;
-    this.currentLocation = survey.location || null;
-    this.currentPhoto = survey.photo || null;
-    this.currentSignature = survey.signature || null;
-    
-    this.setValue('blockCode', survey.blockCode);
-    this.setValue('houseNumber', survey.houseNumber);
-    this.setValue('respondentName', survey.respondentName);
-    this.setValue('hohName', survey.hohName);
-    this.setValue('hohFatherName', survey.hohFatherName);
-    this.setValue('hohCnic', survey.hohCnic);
-    this.setValue('familiesCount', survey.familiesCount);
-    this.setValue('maleMembers', survey.maleMembers);
-    this.setValue('femaleMembers', survey.femaleMembers);
-    this.setValue('othersMembers', survey.othersMembers);
-    this.setValue('contactNumber', survey.contactNumber);
-    this.setValue('registerNumber', survey.registerNumber || '');
+    async retryOutboxEntry(entry, message) {
+        await this.runTransaction(['surveys', 'outbox'], 'readwrite', async (tx) => {
+            const outbox = tx.objectStore('outbox');
+            const current = await this.requestToPromise(outbox.get(entry.surveyId));
+            if (!current || current.queuedAt !== entry.queuedAt) return;
 
-    this.setRadioValue('xFamily', survey.xFamily);
+            current.attempts = (current.attempts || 0) + 1;
+            current.nextAttemptAt = Date.now() + this.getRetryDelay(current.attempts);
+            current.lastError = message;
+            outbox.put(current);
 
-    if (survey.location) {
-        const locationInput = document.getElementById('houseLocation');
-        const coordsDisplay = document.getElementById('locationCoords');
-        if (locationInput) {
-            locationInput.value = `Lat: ${survey.location.latitude.toFixed(6)}, Lng: ${survey.location.longitude.toFixed(6)}`;
-        }
-        if (coordsDisplay) {
-            coordsDisplay.textContent = `Accuracy: ${survey.location.accuracy.toFixed(1)} meters`;
-        }
+            if (current.op === 'upsert') {
+                const store = tx.objectStore('surveys');
+                const survey = await this.requestToPromise(store.get(entry.surveyId));
+                if (survey) {
+                    survey.sync = { ...survey.sync, state: 'pending', error: `${message} (attempt ${current.attempts})` };
+                    store.put(survey);
+                }
+            }
+        });
     }
 
-    if (survey.photo) {
-        const photoPreview = document.getElementById('photoPreview');
-        if (photoPreview) {
-            photoPreview.innerHTML = `<img src="${survey.photo}" alt="House Photo Preview" style="max-width: 150px; max-height: 100px;">`;
+    // Applies corrections made on the server to records this device holds
+    async pullChanges() {
+        const cursor = localStorage.getItem('pserSyncCursor') || '';
+        const response = await this.syncRequest('GET', `/surveys?since=${encodeURIComponent(cursor)}`);
+        if (!response.ok) {
+            throw new Error(`Could not fetch server updates (HTTP ${response.status})`);
         }
-    }
 
-    if (survey.signature) {
-        const signaturePreview = document.getElementById('signaturePreview');
-        if (signaturePreview) {
-            signaturePreview.innerHTML = `<img src="${survey.signature}" alt="Signature Preview" style="max-width: 150px; max-height: 60px;">`;
+        const changes = (response.data && response.data.changes) || [];
+        let applied = 0;
+        for (const change of changes) {
+            if (await this.applyServerChange(change)) {
+                applied++;
+            }
+        }
+
+        if (response.data && response.data.cursor !== undefined) {
+            localStorage.setItem('pserSyncCursor', String(response.data.cursor));
         }
+        return applied;
     }
 
-    this.setValue('buffalo', survey.livestock.buffalo);
-    this.setValue('cow', survey.livestock.cow);
-    this.setValue('goat', survey.livestock.goat);
-    this.setValue('sheep', survey.livestock.sheep);
+    // Every possible outcome is sealed up front, because encryption cannot run inside the
+    // transaction; which one is written is decided against the stored record inside it.
+    async applyServerChange(change) {
+        const id = change.record && change.record.id;
+        if (!id) return false;
 
-    this.setValue('motorcycle', survey.transport.motorcycle);
-    this.setValue('car', survey.transport.car);
-    this.setValue('van', survey.transport.van);
-    this.setValue('scooter', survey.transport.scooter);
+        // Records collected on other devices are not pulled, only updates to our own
+        const opened = await this.getSurvey(id);
+        if (!opened) return false;
 
-    this.setValue('solar', survey.appliances.solar);
-    this.setValue('ac', survey.appliances.ac);
-    this.setValue('geyser', survey.appliances.geyser);
-    this.setValue('washingMachine', survey.appliances.washingMachine);
-    this.setValue('fridge', survey.appliances.fridge);
+        const serverRecord = change.deleted ? null : this.readServerRecord(change.record, opened);
+        if (!change.deleted && !serverRecord) {
+            console.warn(`Skipped an unreadable server copy of record ${id}`);
+            return false;
+        }
 
-    this.generateHouseCode();
-    this.calculateTotalMembers();
+        const corrected = serverRecord ? this.fromServerRecord(serverRecord, change.revision) : null;
+        const conflictState = await this.sealSyncState(this.getConflictState(opened, { ...change, record: serverRecord }, false));
+        const storedCorrection = corrected ? await this.sealRecord(corrected) : null;
+        const logEntry = await this.sealChangeLogEntry(change.deleted
+            ? this.buildChangeLogEntry(id, 'delete', 'Server', opened, null)
+            : this.buildChangeLogEntry(id, 'server-update', 'Server', opened, corrected));
 
-    const surveyForm = document.getElementById('surveyForm');
-    if (surveyForm) {
-        surveyForm.scrollIntoView({ behavior: 'smooth' });
-    }
-}
+        return this.runTransaction(['surveys', 'media', 'outbox', 'changeLog'], 'readwrite', async (tx) => {
+            const store = tx.objectStore('surveys');
+            const local = await this.requestToPromise(store.get(id));
+            if (!local) return false;
 
-deleteSurvey(id) {
-    if (confirm('Are you sure you want to delete this record?')) {
-        this.surveys = this.surveys.filter(s => s.id !== id);
-        this.saveToLocalStorage();
-        this.saveToDatabase();
-        this.searchSurvey();
-        alert('Record deleted successfully!');
-    }
-}
-// Export Methods
-exportToExcel() {
-    if (this.surveys.length === 0) {
-        alert('No data to export!');
-        return;
-    }
+            const localRevision = local.sync ? local.sync.revision : null;
+            if (localRevision !== null && localRevision !== undefined && change.revision <= localRevision) {
+                return false;
+            }
 
-    try {
-        alert(`Exporting ${this.surveys.length} records to Excel...`);
-        
-        const headers = [
-            'Block Code', 'House Number', 'House Code', 'Families Count', 'X Family',
-            'Respondent Name', 'HOH Name', 'HOH Father Name', 'HOH CNIC', 'Contact Number',
-            'Male Members', 'Female Members', 'Others Members', 'Total Members', 'Register Number',
-            'Location Link', 'Buffalo', 'Cow', 'Goat', 'Sheep',
-            'Motorcycle', 'Car', 'Van', 'Scooter',
-            'Solar', 'AC', 'Geyser', 'Washing Machine', 'Fridge',
-            'Timestamp'
-        ];
-
-        const csvContent = [
-            headers.join(','),
-            ...this.surveys.map(survey => [
-                survey.blockCode,
-                survey.houseNumber,
-                `"${survey.houseCode}"`,
-                survey.familiesCount,
-                survey.xFamily === 'yes' ? 'Yes' : 'No',
-                `"${survey.respondentName}"`,
-                `"${survey.hohName}"`,
-                `"${survey.hohFatherName}"`,
-                survey.hohCnic,
-                survey.contactNumber,
-                survey.maleMembers,
-                survey.femaleMembers,
-                survey.othersMembers,
-                survey.totalMembers,
-                survey.registerNumber || '',
-                survey.location ? `"https://maps.google.com/?q=${survey.location.latitude},${survey.location.longitude}"` : '',
-                survey.livestock.buffalo,
-                survey.livestock.cow,
-                survey.livestock.goat,
-                survey.livestock.sheep,
-                survey.transport.motorcycle,
-                survey.transport.car,
-                survey.transport.van,
-                survey.transport.scooter,
-                survey.appliances.solar,
-                survey.appliances.ac,
-                survey.appliances.geyser,
-                survey.appliances.washingMachine,
-                survey.appliances.fridge,
-                `"${new Date(survey.timestamp).toLocaleString()}"`
-            ].join(','))
-        ].join('\n');
-
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `PSER_Surveys_${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        alert(`Export completed successfully! ${this.surveys.length} records exported.`);
-    } catch (error) {
-        console.error('Error exporting data:', error);
-        alert('Error exporting data. Please try again.');
-    }
-}
+            const pending = await this.requestToPromise(tx.objectStore('outbox').get(id));
+            if (pending || (local.sync && local.sync.state === 'conflict')) {
+                local.sync = conflictState;
+                store.put(local);
+                tx.objectStore('outbox').delete(id);
+                return true;
+            }
 
-async exportToPDF() {
-    if (this.surveys.length === 0) {
-        alert('No data to export!');
-        return;
+            if (change.deleted) {
+                store.delete(id);
+                this.syncSurveyMedia(tx, { id });
+                this.appendChangeLog(tx, logEntry);
+                return true;
+            }
+
+            store.put(storedCorrection);
+            this.appendChangeLog(tx, logEntry);
+            return true;
+        });
     }
 
-    try {
-        console.log(`Starting PDF export for ${this.surveys.length} records...`);
-        
-        const { jsPDF } = window.jspdf;
-        
-        if (!jsPDF) {
-            throw new Error('PDF library not loaded');
+    // Server copies get the same checks as restored records, must be the record asked for,
+    // and keep this device's photo and signature, which the server may not return. Returns
+    // null when the copy cannot be used.
+    readServerRecord(record, local) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+        let migrated;
+        try {
+            migrated = this.migrateRecord({ ...record, photoId: local.photoId || null, signatureId: local.signatureId || null });
+        } catch (error) {
+            return null;
         }
 
-        // Create PDF in landscape mode for table view
-        const pdf = new jsPDF('landscape');
-        const pageWidth = pdf.internal.pageSize.width;
-        const pageHeight = pdf.internal.pageSize.height;
-        
-        // Table configuration
-        const headers = [
-            'House No', 'House Code', 'Respondent', 'HOH Name', 'HOH Father',
-            'CNIC', 'Contact', 'Male', 'Female', 'Others', 'Total',
-            'Location', 'Register No'
-        ];
-        
-        const columnWidths = [15, 20, 25, 25, 25, 30, 20, 10, 12, 12, 12, 25, 20];
-        let startX = 10;
-        let startY = 20;
-        const rowHeight = 10;
-        const recordsPerPage = 15;
-        
-        // Colors
-        const headerColor = [41, 128, 185];
-        const rowColor = [240, 240, 240];
-        
-        let currentRecord = 0;
-        let currentPage = 1;
+        const mediaIds = new Set([local.photoId, local.signatureId].filter(Boolean));
+        const { record: checked, errors } = this.validateBackupRecord(migrated, mediaIds);
+        return errors.length === 0 && checked.id === local.id ? checked : null;
+    }
 
-        while (currentRecord < this.surveys.length) {
-            if (currentRecord > 0) {
-                pdf.addPage('landscape');
-                currentPage++;
-                startY = 20;
+    fromServerRecord(record, revision) {
+        return {
+            ...record,
+            sync: {
+                state: 'synced',
+                revision,
+                syncedAt: new Date().toISOString(),
+                error: null
             }
+        };
+    }
 
-            // Page header
-            pdf.setFontSize(16);
-            pdf.setTextColor(...headerColor);
-            pdf.text('PSER SURVEY DATA - TABLE VIEW', startX, 10);
-            
-            pdf.setFontSize(8);
-            pdf.setTextColor(100, 100, 100);
-            pdf.text(`Page ${currentPage} | Exported: ${new Date().toLocaleString()}`, pageWidth - 60, 10);
+    async keepLocalVersion(id) {
+        const survey = await this.getSurvey(id);
+        if (!survey || !survey.sync || survey.sync.state !== 'conflict') return;
 
-            // Draw table headers
-            pdf.setFillColor(...headerColor);
-            pdf.setTextColor(255, 255, 255);
-            pdf.setFontSize(8);
-            pdf.setFont(undefined, 'bold');
-            
-            let x = startX;
-            headers.forEach((header, index) => {
-                pdf.rect(x, startY, columnWidths[index], rowHeight, 'F');
-                pdf.text(header, x + 2, startY + 6);
-                x += columnWidths[index];
-            });
-            
-            startY += rowHeight;
-            
-            // Draw table rows
-            pdf.setTextColor(0, 0, 0);
-            pdf.setFont(undefined, 'normal');
-            
-            let recordsOnThisPage = 0;
-            
-            for (let i = currentRecord; i < this.surveys.length && recordsOnThisPage < recordsPerPage; i++) {
-                const survey = this.surveys[i];
-                
-                // Alternate row colors
-                if (recordsOnThisPage % 2 === 0) {
-                    pdf.setFillColor(...rowColor);
-                    let rectX = startX;
-                    headers.forEach((_, index) => {
-                        pdf.rect(rectX, startY, columnWidths[index], rowHeight, 'F');
-                        rectX += columnWidths[index];
-                    });
-                }
-                
-                // House No
-                pdf.text(survey.houseNumber.toString(), startX + 2, startY + 6);
-                
-                // House Code
-                pdf.text(survey.houseCode, startX + columnWidths[0] + 2, startY + 6);
-                
-                // Respondent Name (truncated if too long)
-                const respondent = survey.respondentName.length > 15 ? 
-                    survey.respondentName.substring(0, 12) + '...' : survey.respondentName;
-                pdf.text(respondent, startX + columnWidths[0] + columnWidths[1] + 2, startY + 6);
-                
-                // HOH Name (truncated)
-                const hohName = survey.hohName.length > 15 ? 
-                    survey.hohName.substring(0, 12) + '...' : survey.hohName;
-                pdf.text(hohName, startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + 2, startY + 6);
-                
-                // HOH Father Name (truncated)
-                const hohFather = survey.hohFatherName.length > 15 ? 
-                    survey.hohFatherName.substring(0, 12) + '...' : survey.hohFatherName;
-                pdf.text(hohFather, startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + 2, startY + 6);
-                
-                // CNIC
-                pdf.text(survey.hohCnic, startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + 2, startY + 6);
-                
-                // Contact
-                pdf.text(survey.contactNumber, startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + 2, startY + 6);
-                
-                // Male Members
-                pdf.text(survey.maleMembers.toString(), startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + columnWidths[6] + 2, startY + 6);
-                
-                // Female Members
-                pdf.text(survey.femaleMembers.toString(), startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + columnWidths[6] + columnWidths[7] + 2, startY + 6);
-                
-                // Others Members
-                pdf.text(survey.othersMembers.toString(), startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + columnWidths[6] + columnWidths[7] + columnWidths[8] + 2, startY + 6);
-                
-                // Total Members
-                pdf.text(survey.totalMembers.toString(), startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + columnWidths[6] + columnWidths[7] + columnWidths[8] + columnWidths[9] + 2, startY + 6);
-                
-                // Location Link
-                const locationText = survey.location ? 'View on Map' : 'No Location';
-                pdf.setTextColor(41, 128, 185);
-                pdf.textWithLink(locationText, startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + columnWidths[6] + columnWidths[7] + columnWidths[8] + columnWidths[9] + columnWidths[10] + 2, startY + 6, {
-                    url: survey.location ? `https://maps.google.com/?q=${survey.location.latitude},${survey.location.longitude}` : '',
-                    maxWidth: columnWidths[11] - 4
-                });
-                pdf.setTextColor(0, 0, 0);
-                
-                // Register Number
-                pdf.text(survey.registerNumber ? survey.registerNumber.toString() : 'N/A', startX + columnWidths[0] + columnWidths[1] + columnWidths[2] + columnWidths[3] + columnWidths[4] + columnWidths[5] + columnWidths[6] + columnWidths[7] + columnWidths[8] + columnWidths[9] + columnWidths[10] + columnWidths[11] + 2, startY + 6);
-                
-                startY += rowHeight;
-                recordsOnThisPage++;
-                currentRecord++;
-                
-                // Check if we need a new page
-                if (startY > pageHeight - 20 && i < this.surveys.length - 1) {
-                    break;
-                }
-            }
-            
-            // Footer
-            pdf.setFontSize(8);
-            pdf.setTextColor(150, 150, 150);
-            pdf.text(`Records ${currentRecord - recordsOnThisPage + 1} to ${currentRecord} of ${this.surveys.length}`, startX, pageHeight - 10);
+        const { serverRevision, deletedLocally } = survey.sync;
+        if (deletedLocally) {
+            if (!(await this.confirmDialog(this.t('Delete this record on the server as well?'), { confirmLabel: this.t('Delete') }))) return;
         }
 
-        // Save the PDF
-        pdf.save(`PSER_Survey_Table_${new Date().toISOString().split('T')[0]}.pdf`);
-        
-        // Show success message
-        setTimeout(() => {
-            alert(`PDF export completed! ${this.surveys.length} records exported in table format.`);
-        }, 500);
-        
-    } catch (error) {
-        console.error('Error exporting to PDF:', error);
-        alert('Error exporting to PDF. Please try again.');
-    }
-}
+        survey.sync = { state: 'pending', revision: serverRevision, syncedAt: survey.sync.syncedAt, error: null };
+        const stored = await this.sealRecord(survey);
 
-// Helper method for section headers
-addSectionHeader(pdf, text, x, y) {
-    pdf.setFontSize(12);
-    pdf.setTextColor(41, 128, 185);
-    pdf.setFont(undefined, 'bold');
-    pdf.text(text, x, y);
-    pdf.setFont(undefined, 'normal');
-}
-    // Backup & Restore Methods
-    setupBackupRestore() {
-        this.safeAddEventListener('downloadBackup', 'click', () => this.downloadBackup());
-        this.safeAddEventListener('uploadBackup', 'click', () => this.uploadBackup());
-        this.safeAddEventListener('closeBackup', 'click', () => this.hideBackupModal());
-        
-        const backupFileInput = document.getElementById('backupFile');
-        if (backupFileInput) {
-            backupFileInput.addEventListener('change', (e) => this.restoreBackup(e));
-        }
-    }
+        await this.runTransaction(['surveys', 'media', 'outbox'], 'readwrite', (tx) => {
+            const store = tx.objectStore('surveys');
+            if (deletedLocally) {
+                store.delete(id);
+                this.syncSurveyMedia(tx, { id });
+                this.queueOutbox(tx, id, 'delete', serverRevision);
+                return;
+            }
+            store.put(stored);
+            this.queueOutbox(tx, id, 'upsert');
+        });
 
-    showBackupModal() {
-        const modal = document.getElementById('backupModal');
-        if (modal) {
-            modal.style.display = 'flex';
-        }
+        this.requestSync();
+        this.refreshResults();
     }
 
-    hideBackupModal() {
-        const modal = document.getElementById('backupModal');
-        if (modal) {
-            modal.style.display = 'none';
+    async useServerVersion(id) {
+        const survey = await this.getSurvey(id);
+        if (!survey || !survey.sync || survey.sync.state !== 'conflict') return;
+
+        const { serverRecord, serverRevision, serverDeleted } = survey.sync;
+        if (serverDeleted || !serverRecord) {
+            if (!(await this.confirmDialog(this.t('This record was deleted on the server. Delete it from this device too?'), { confirmLabel: this.t('Delete') }))) return;
+            await this.deleteSurveyRecord(id, { queue: false });
+        } else {
+            const record = this.readServerRecord(serverRecord, survey);
+            if (!record) {
+                this.showError(this.t('The server copy of this record is unreadable'));
+                return;
+            }
+            await this.putSurvey(this.fromServerRecord(record, serverRevision), { queue: false });
         }
+
+        this.updateSyncStatus();
+        this.refreshResults();
     }
 
-    downloadBackup() {
-        if (this.surveys.length === 0) {
-            alert('No data to backup!');
+    async updateSyncStatus() {
+        const status = document.getElementById('syncStatus');
+        if (!status) return;
+
+        const { endpoint } = this.getSettings().sync;
+        if (!this.database || !endpoint) {
+            status.textContent = this.t('Sync not configured');
+            status.className = 'sync-status';
             return;
         }
 
-        const backupData = {
-            version: '3.0',
-            timestamp: new Date().toISOString(),
-            totalRecords: this.surveys.length,
-            surveys: this.surveys
-        };
-
-        const dataStr = JSON.stringify(backupData, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `PSER_Survey_Backup_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        alert(`Backup created successfully! ${this.surveys.length} records saved.`);
-        this.hideBackupModal();
-    }
+        const entries = await this.getOutboxEntries().catch(() => []);
+        const lastSync = localStorage.getItem('pserLastSync');
+        let text;
+        let state;
 
-    uploadBackup() {
-        const backupFileInput = document.getElementById('backupFile');
-        if (backupFileInput) {
-            backupFileInput.click();
+        if (this.syncInProgress) {
+            text = this.t('Syncing...');
+            state = 'syncing';
+        } else if (!navigator.onLine) {
+            text = this.t('Offline · {count} pending', { count: entries.length });
+            state = 'offline';
+        } else if (entries.length > 0) {
+            const failing = entries.filter(entry => entry.attempts > 0).length;
+            text = failing > 0 ? this.t('{count} pending · {failing} retrying', { count: entries.length, failing }) : this.t('{count} pending', { count: entries.length });
+            state = failing > 0 ? 'failed' : 'pending';
+        } else {
+            text = lastSync ? this.t('All synced · {time}', { time: new Date(lastSync).toLocaleTimeString() }) : this.t('All synced');
+            state = 'synced';
         }
-    }
 
-    restoreBackup(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        status.textContent = text;
+        status.className = `sync-status sync-${state}`;
+    }
 
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            try {
-                const backupData = JSON.parse(e.target.result);
-                
-                if (!backupData.surveys || !Array.isArray(backupData.surveys)) {
-                    throw new Error('Invalid backup file format');
-                }
+    getSyncBadge(survey) {
+        if (!survey.sync || !this.getSettings().sync.endpoint) return '';
 
-                if (confirm(`This will replace all current data with ${backupData.surveys.length} records from backup. Continue?`)) {
-                    this.surveys = backupData.surveys;
-                    await this.saveToDatabase();
-                    alert(`Backup restored successfully! ${backupData.surveys.length} records loaded.`);
-                    this.hideBackupModal();
-                    this.searchSurvey();
-                }
-                
-            } catch (error) {
-                console.error('Error restoring backup:', error);
-                alert('Error restoring backup. Please check the file format.');
-            }
-        };
-        
-        reader.onerror = () => {
-            alert('Error reading backup file');
+        const labels = {
+            pending: 'Pending',
+            synced: 'Synced',
+            failed: 'Rejected',
+            conflict: 'Conflict'
         };
-        
-        reader.readAsText(file);
-        event.target.value = '';
+        const state = survey.sync.state;
+        return `<span class="sync-badge sync-${state}" title="${this.escapeHtml(survey.sync.error || '')}">${this.escapeHtml(this.t(labels[state] || state))}</span>`;
     }
 
-    // Data Clear Methods
-    showPasswordModal() {
-        if (this.surveys.length === 0) {
-            alert('No data to clear!');
-            return;
-        }
-        
-        const modal = document.getElementById('passwordModal');
-        const passwordInput = document.getElementById('passwordInput');
-        
-        if (modal && passwordInput) {
-            modal.style.display = 'flex';
-            passwordInput.value = '';
-            passwordInput.focus();
-        }
-    }
+    getSyncDetails(survey) {
+        if (!survey.sync || !survey.sync.error) return '';
 
-    hidePasswordModal() {
-        const modal = document.getElementById('passwordModal');
-        if (modal) {
-            modal.style.display = 'none';
-        }
-    }
+        const conflictButtons = survey.sync.state === 'conflict' ? `
+                    <button type="button" data-survey-action="keep-local" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-primary btn-small">${this.escapeHtml(this.t("Keep This Device's Version"))}</button>
+                    <button type="button" data-survey-action="use-server" data-survey-id="${this.escapeHtml(survey.id)}" class="btn btn-secondary btn-small">${this.escapeHtml(this.t('Use Server Version'))}</button>` : '';
 
-    confirmClearAll() {
-        const passwordInput = document.getElementById('passwordInput');
-        const password = passwordInput ? passwordInput.value : '';
-        
-        if (password === '1234') {
-            this.surveys = [];
-            this.saveToLocalStorage();
-            this.saveToDatabase();
-            this.hidePasswordModal();
-            alert('All data has been cleared successfully!');
-            this.searchSurvey();
-        } else {
-            alert('Incorrect password! Data was not cleared.');
-        }
+        return `
+                <div class="sync-details sync-${survey.sync.state}">
+                    <strong>${this.escapeHtml(this.t('Sync:'))}</strong> ${this.escapeHtml(this.t(survey.sync.error))}
+                    ${conflictButtons}
+                </div>`;
     }
 }
 // Initialize App
@@ -1,10 +1,13 @@
-const CACHE_NAME = 'pser-survey-v5';
+const CACHE_NAME = 'pser-survey-v7';
 const urlsToCache = [
     '/',
     '/index.html',
     '/styles.css',
     '/app.js',
     '/manifest.json',
+    '/questionnaire.json',
+    '/locales/ur.json',
+    '/fonts/NotoNaskhArabic-Regular.ttf',
     'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
     'https://share.google.com/images/AhYaZ7k2DtFI20MPN'
@@ -20,6 +23,21 @@ self.addEventListener('install', event => {
 });
 
 self.addEventListener('fetch', event => {
+    // The questionnaire and translations change between survey rounds, so prefer the network copy
+    const path = new URL(event.request.url).pathname;
+    if (path.endsWith('/questionnaire.json') || path.includes('/locales/')) {
+        event.respondWith(
+            fetch(event.request)
+                .then(response => {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+                    return response;
+                })
+                .catch(() => caches.match(event.request))
+        );
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then(response => {
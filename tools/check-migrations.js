@@ -0,0 +1,175 @@
+// Checks the database and record migrations: the steps are numbered without gaps, a
+// database left by the first release is upgraded in place and its records gain the blind
+// CNIC index once sealed, and a 3.0 backup is brought up to the current record schema
+// with its photos and signatures split out.
+//
+//   node tools/check-migrations.js
+//
+// Needs fake-indexeddb, see tools/load-app.js.
+
+const assert = require('assert');
+const { createApp, runChecks, print, constant } = require('./load-app');
+
+const DB_NAME = constant('DB_NAME');
+const DB_VERSION = constant('DB_VERSION');
+const RECORD_SCHEMA_VERSION = constant('RECORD_SCHEMA_VERSION');
+const DB_MIGRATIONS = constant('DB_MIGRATIONS');
+const RECORD_MIGRATIONS = constant('RECORD_MIGRATIONS');
+
+const PHOTO = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+const SIGNATURE = 'data:image/png;base64,iVBORw0KGgo=';
+
+// A record as the first release saved it: photos inline, a timestamp instead of
+// created/updated fields, and numbers that hand-edited backups sometimes hold as text
+function firstReleaseRecord(id, changes = {}) {
+    return {
+        id,
+        blockCode: 162030416,
+        houseNumber: '12',
+        familiesCount: 1,
+        xFamily: 'no',
+        houseCode: '0012',
+        respondentName: 'Sana',
+        hohName: 'Ali Khan',
+        hohFatherName: 'Karim Khan',
+        hohCnic: '33301-1234567-1',
+        maleMembers: 2,
+        femaleMembers: '3',
+        othersMembers: 0,
+        totalMembers: 5,
+        registerNumber: null,
+        location: { latitude: 31.5, longitude: 74.3, accuracy: 8 },
+        photo: PHOTO,
+        signature: SIGNATURE,
+        livestock: { buffalo: '2', cow: 1, goat: 0, sheep: 0 },
+        transport: { motorcycle: 1, car: 0, van: 0, scooter: 0 },
+        appliances: { solar: 0, ac: 0, geyser: 1, washingMachine: 1, fridge: 1 },
+        contactNumber: '0345-1234567',
+        timestamp: '2024-03-01T09:30:00.000Z',
+        ...changes
+    };
+}
+
+function assertCurrentShape(record, original) {
+    assert.strictEqual(record.schemaVersion, RECORD_SCHEMA_VERSION);
+    assert.strictEqual(record.blockCode, String(original.blockCode));
+    assert.strictEqual(record.houseNumber, 12);
+    assert.strictEqual(record.femaleMembers, 3);
+    assert.strictEqual(record.totalMembers, 5);
+    assert.deepStrictEqual(record.livestock, { buffalo: 2, cow: 1, goat: 0, sheep: 0 });
+
+    assert.ok(!('photo' in record) && !('signature' in record), 'inline media is removed');
+    assert.strictEqual(record.photoId, `${original.id}-photo`);
+    assert.strictEqual(record.signatureId, `${original.id}-signature`);
+
+    assert.ok(!('timestamp' in record), 'timestamp is replaced');
+    assert.strictEqual(record.createdAt, original.timestamp);
+    assert.strictEqual(record.updatedAt, original.timestamp);
+    assert.deepStrictEqual(record.members, []);
+}
+
+function openFirstReleaseDatabase(records) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 2);
+        request.onerror = () => reject(request.error);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('surveys', { keyPath: 'id' });
+            store.createIndex('houseNumber', 'houseNumber', { unique: false });
+            store.createIndex('hohCnic', 'hohCnic', { unique: false });
+            store.createIndex('timestamp', 'timestamp', { unique: false });
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            const transaction = db.transaction(['surveys'], 'readwrite');
+            records.forEach(record => transaction.objectStore('surveys').put(record));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        };
+    });
+}
+
+async function main() {
+    const stored = firstReleaseRecord('1709285400000');
+    await openFirstReleaseDatabase([stored]);
+    const app = await createApp();
+
+    const passed = await runChecks([
+        ['database steps are numbered 1 to DB_VERSION without gaps', () => {
+            assert.deepStrictEqual(DB_MIGRATIONS.map(step => step.version), Array.from({ length: DB_VERSION }, (value, index) => index + 1));
+        }],
+
+        ['record steps are numbered 2 to RECORD_SCHEMA_VERSION without gaps', () => {
+            assert.deepStrictEqual(RECORD_MIGRATIONS.map(step => step.version), Array.from({ length: RECORD_SCHEMA_VERSION - 1 }, (value, index) => index + 2));
+        }],
+
+        ['a database from the first release is upgraded in place', async () => {
+            assert.strictEqual(app.database.version, DB_VERSION);
+            const stores = Array.from(app.database.objectStoreNames);
+            ['surveys', 'media', 'outbox', 'changeLog', 'boundaries', 'snapshots', 'snapshotItems', 'recycleBin', 'drafts'].forEach(name => {
+                assert.ok(stores.includes(name), `${name} store exists`);
+            });
+            const indexes = await app.runTransaction(['surveys'], 'readonly', tx => Array.from(tx.objectStore('surveys').indexNames));
+            assert.ok(!indexes.includes('timestamp'), 'timestamp index is dropped');
+            ['createdAt', 'updatedAt', 'blockHouse', 'cnicIndex'].forEach(name => assert.ok(indexes.includes(name), `${name} index exists`));
+
+            const migrated = await app.getSurvey(stored.id);
+            assertCurrentShape(migrated, stored);
+            assert.strictEqual(migrated.sync.state, 'pending');
+            const photo = await app.getMedia(`${stored.id}-photo`);
+            const signature = await app.getMedia(`${stored.id}-signature`);
+            assert.strictEqual(photo.surveyId, stored.id);
+            assert.strictEqual(photo.mimeType, 'image/jpeg');
+            assert.strictEqual(signature.mimeType, 'image/png');
+            assert.ok((await app.getOutboxEntries()).some(entry => entry.surveyId === stored.id), 'the record is queued for upload');
+        }],
+
+        ['records stored before the blind CNIC index are found by CNIC once sealed again', async () => {
+            const digits = stored.hohCnic.replace(/\D/g, '');
+            assert.deepStrictEqual(await app.findSurveyIdsByCnic(digits), [], 'not indexed before it is sealed');
+            assert.strictEqual(await app.resealStoredData(), true);
+
+            const raw = await app.runTransaction(['surveys'], 'readonly', tx => app.requestToPromise(tx.objectStore('surveys').get(stored.id)));
+            assert.ok(raw.sealed && !('hohCnic' in raw), 'the CNIC is only stored encrypted');
+            assert.deepStrictEqual(await app.findSurveyIdsByCnic(digits), [stored.id]);
+            assert.deepStrictEqual(await app.findSurveyIdsByCnic(digits.slice(5, 12)), [stored.id], 'partial CNICs are still found');
+            assert.ok(!('cnicIndex' in (await app.getSurvey(stored.id))), 'the index key is not part of the opened record');
+        }],
+
+        ['a 3.0 backup is brought up to the current schema with its media split out', async () => {
+            const surveys = [firstReleaseRecord('1709285400001'), firstReleaseRecord('1709285400002', { photo: null, signature: null })];
+            const report = await app.checkBackup({ version: '3.0', timestamp: '2024-03-02T10:00:00.000Z', totalRecords: 2, surveys });
+
+            assert.strictEqual(report.rejected.length, 0, JSON.stringify(report.rejected));
+            const items = [...report.valid, ...report.repaired];
+            assert.strictEqual(items.length, 2);
+
+            const [withMedia, withoutMedia] = surveys.map(survey => items.find(item => item.record.id === survey.id));
+            assertCurrentShape(withMedia.record, surveys[0]);
+            assert.ok(!('sync' in withMedia.record), 'sync state is left to the device the backup is restored on');
+            assert.deepStrictEqual(withMedia.media.map(entry => [entry.id, entry.kind, entry.dataUrl]), [
+                [`${surveys[0].id}-photo`, 'photo', PHOTO],
+                [`${surveys[0].id}-signature`, 'signature', SIGNATURE]
+            ]);
+            assert.strictEqual(withoutMedia.record.photoId, null);
+            assert.deepStrictEqual(withoutMedia.media, []);
+        }],
+
+        ['backups and records newer than this app are refused', async () => {
+            assert.strictEqual(app.getBackupSchemaVersion({ version: '3.0' }), 1);
+            assert.strictEqual(app.getBackupSchemaVersion({ version: '4.1', schemaVersion: RECORD_SCHEMA_VERSION }), RECORD_SCHEMA_VERSION);
+            assert.throws(() => app.getBackupSchemaVersion({ version: '9.0' }), /Unsupported backup version/);
+            assert.throws(() => app.migrateRecord({ id: 'x', schemaVersion: RECORD_SCHEMA_VERSION + 1 }), /newer than this app supports/);
+        }]
+    ]);
+
+    print(passed ? 'Migration checks passed' : 'Migration checks failed');
+    process.exit(passed ? 0 : 1);
+}
+
+main().catch(error => {
+    print(error.stack || error.message);
+    process.exit(1);
+});
@@ -0,0 +1,179 @@
+// Runs the app's sync engine against tools/sync-server.js: upload, rejection, retry after
+// the server was unreachable, a server correction, and a conflict kept from this device.
+//
+//   node tools/check-sync.js [port]
+//
+// Starts its own sync-server on the port (default 8797) and stops it when done.
+// Needs fake-indexeddb, see tools/load-app.js.
+
+const assert = require('assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createApp, runChecks, print, constant } = require('./load-app');
+
+const port = parseInt(process.argv[2] || '8797', 10);
+const endpoint = `http://localhost:${port}`;
+const unreachable = `http://localhost:${port + 1}`;
+let sync = null;
+
+function stopServer() {
+    if (!sync) return;
+    sync.removeAllListeners('exit');
+    sync.kill();
+}
+
+function startServer() {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'sync-server.js'), String(port)], { stdio: ['ignore', 'pipe', 'inherit'] });
+        server.once('error', reject);
+        server.once('exit', code => reject(new Error(`sync-server exited with code ${code}`)));
+        server.stdout.once('data', () => resolve(server));
+    });
+}
+
+async function server(method, pathname, body) {
+    const response = await fetch(endpoint + pathname, { method, body: body === undefined ? undefined : JSON.stringify(body) });
+    return response.json();
+}
+
+function useEndpoint(app, address) {
+    const settings = app.getSettings();
+    app.saveSettings({ ...settings, sync: { ...settings.sync, endpoint: address, autoSync: false } });
+}
+
+function household(id, changes = {}) {
+    return {
+        id,
+        schemaVersion: constant('RECORD_SCHEMA_VERSION'),
+        blockCode: '162030416',
+        houseNumber: 7,
+        familiesCount: 1,
+        xFamily: 'no',
+        houseCode: '0007',
+        respondentName: 'Sana',
+        hohName: 'Ali Khan',
+        hohFatherName: 'Karim Khan',
+        hohCnic: '33301-1234567-1',
+        contactNumber: '0345-1234567',
+        members: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        ...changes
+    };
+}
+
+async function main() {
+    sync = await startServer();
+    const app = await createApp();
+    useEndpoint(app, endpoint);
+
+    const outbox = async (id) => (await app.getOutboxEntries()).find(entry => entry.surveyId === id);
+    const edit = async (id, changes) => app.putSurvey({ ...(await app.getSurvey(id)), ...changes });
+
+    const passed = await runChecks([
+        ['a new record is uploaded and marked synced', async () => {
+            await app.putSurvey(household('h1'));
+            assert.ok(await outbox('h1'), 'the save queues the record');
+
+            await app.syncNow();
+            const survey = await app.getSurvey('h1');
+            assert.strictEqual(await outbox('h1'), undefined);
+            assert.strictEqual(survey.sync.state, 'synced');
+            const status = await server('GET', '/status');
+            assert.strictEqual(survey.sync.revision, status.surveys.find(entry => entry.id === 'h1').revision);
+        }],
+
+        ['a record the server rejects is kept with its reason', async () => {
+            await app.putSurvey(household('h2', { hohCnic: '123' }));
+            await app.syncNow();
+
+            const survey = await app.getSurvey('h2');
+            assert.strictEqual(await outbox('h2'), undefined);
+            assert.strictEqual(survey.sync.state, 'failed');
+            assert.match(survey.sync.error, /hohCnic/);
+        }],
+
+        ['an unreachable server leaves the change queued until its retry is due', async () => {
+            await edit('h1', { houseNumber: 8, houseCode: '0008' });
+            useEndpoint(app, unreachable);
+            await app.syncNow();
+
+            const entry = await outbox('h1');
+            assert.strictEqual(entry.attempts, 1);
+            assert.ok(entry.nextAttemptAt > Date.now(), 'the retry is backed off');
+            assert.match((await app.getSurvey('h1')).sync.error, /attempt 1/);
+
+            useEndpoint(app, endpoint);
+            await app.syncNow();
+            assert.ok(await outbox('h1'), 'automatic runs wait for the backoff');
+
+            await app.syncNow({ manual: true });
+            assert.strictEqual(await outbox('h1'), undefined);
+            assert.strictEqual((await server('GET', '/surveys/h1')).record.houseNumber, 8);
+        }],
+
+        ['a correction made on the server is applied on the next sync', async () => {
+            const { revision } = await server('PATCH', '/surveys/h1', { hohName: 'Ali Raza' });
+            await app.syncNow();
+
+            const survey = await app.getSurvey('h1');
+            assert.strictEqual(survey.hohName, 'Ali Raza');
+            assert.strictEqual(survey.sync.state, 'synced');
+            assert.strictEqual(survey.sync.revision, revision);
+        }],
+
+        ['a change made on both sides becomes a conflict, and keeping this device\'s copy uploads it', async () => {
+            await server('PATCH', '/surveys/h1', { hohFatherName: 'Corrected on server' });
+            await edit('h1', { contactNumber: '0300-7654321' });
+            await app.syncNow();
+
+            let survey = await app.getSurvey('h1');
+            assert.strictEqual(survey.sync.state, 'conflict');
+            assert.strictEqual(survey.sync.serverRecord.hohFatherName, 'Corrected on server');
+            assert.strictEqual(await outbox('h1'), undefined, 'nothing is sent while the conflict is open');
+
+            await app.keepLocalVersion('h1');
+            await app.syncNow();
+            survey = await app.getSurvey('h1');
+            assert.strictEqual(survey.sync.state, 'synced');
+            assert.strictEqual((await server('GET', '/surveys/h1')).record.contactNumber, '0300-7654321');
+        }],
+
+        ['a new sync interval takes effect without restarting the app', async () => {
+            const delays = new Map();
+            const schedule = globalThis.setTimeout;
+            globalThis.setTimeout = (callback, delay) => {
+                const timer = schedule(() => {}, 0);
+                delays.set(timer, delay);
+                return timer;
+            };
+            const scheduledAfter = async (intervalMinutes) => {
+                const settings = app.getSettings();
+                app.saveSettings({ ...settings, sync: { ...settings.sync, autoSync: true, intervalMinutes } });
+                await app.scheduleSync();
+                return delays.get(app.syncTimer);
+            };
+            try {
+                app.lastSyncRun = Date.now();
+                const first = await scheduledAfter(30);
+                const second = await scheduledAfter(2);
+                assert.ok(Math.abs(first - 30 * 60000) < 5000, `first run due in ${first} ms`);
+                assert.ok(Math.abs(second - 2 * 60000) < 5000, `run after the change due in ${second} ms`);
+            } finally {
+                globalThis.setTimeout = schedule;
+                clearTimeout(app.syncTimer);
+                useEndpoint(app, endpoint);
+            }
+        }]
+    ]);
+
+    stopServer();
+    print(passed ? 'Sync checks passed' : 'Sync checks failed');
+    process.exit(passed ? 0 : 1);
+}
+
+main().catch(error => {
+    stopServer();
+    print(error.stack || error.message);
+    process.exit(1);
+});
@@ -0,0 +1,122 @@
+// Loads app.js into Node for the scripted checks in this folder. The app gets just enough
+// of a browser to run its data layer: an in-memory IndexedDB, localStorage, and a document
+// with no elements in it. Nothing is rendered and init() never runs; each check opens the
+// database and unlocks the app itself through createApp().
+//
+// The in-memory IndexedDB comes from fake-indexeddb, which is not part of the app:
+//   npm install --no-save fake-indexeddb
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+try {
+    require('fake-indexeddb/auto');
+} catch (error) {
+    console.error('These checks need fake-indexeddb: npm install --no-save fake-indexeddb');
+    process.exit(1);
+}
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+// The app only looks elements up and skips whatever is missing
+globalThis.window = globalThis;
+globalThis.addEventListener = () => {};
+globalThis.localStorage = new MemoryStorage();
+globalThis.document = {
+    readyState: 'loading',
+    addEventListener() {},
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => []
+};
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+
+// The app logs every step, and errors the checks provoke on purpose; VERBOSE=1 shows them
+const print = console.log.bind(console);
+if (!process.env.VERBOSE) {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+vm.runInThisContext(fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8'), { filename: 'app.js' });
+const PSERSurvey = vm.runInThisContext('PSERSurvey');
+
+// An app with the questionnaire loaded, the database open and a supervisor signed in.
+// Messages meant for the user are collected in app.messages instead of shown.
+async function createApp() {
+    const app = new PSERSurvey();
+    app.messages = [];
+    app.notify = (message) => app.messages.push(message);
+    app.showError = (message) => app.messages.push(message);
+
+    const questionnaire = JSON.parse(fs.readFileSync(path.join(ROOT, 'questionnaire.json'), 'utf8'));
+    app.checkQuestionnaire(questionnaire);
+    app.questionnaire = questionnaire;
+
+    await app.initDatabase();
+    if (!app.database) {
+        throw new Error('The database did not open');
+    }
+
+    // A keyring without accounts: enough for the data keys, which are looked up in it
+    const deviceKey = crypto.getRandomValues(new Uint8Array(32));
+    const key = app.createDataKey();
+    app.writeKeyring({ version: constant('KEYRING_VERSION'), currentKeyId: key.id, keys: await app.wrapDataKeys([key], deviceKey), accounts: [] });
+    await app.importDataKeys([key], key.id, deviceKey, await app.unwrapIndexKey(deviceKey));
+    app.currentUser = { id: 'check', name: 'Check', role: 'supervisor' };
+    return app;
+}
+
+// Runs each named check in order and reports which passed, stopping at the first failure
+async function runChecks(checks) {
+    for (const [name, check] of checks) {
+        try {
+            await check();
+            print(`ok   ${name}`);
+        } catch (error) {
+            print(`FAIL ${name}`);
+            print(error.stack || error.message);
+            return false;
+        }
+    }
+    return true;
+}
+
+function constant(name) {
+    return vm.runInThisContext(name);
+}
+
+module.exports = { ROOT, createApp, runChecks, print, constant };
@@ -0,0 +1,140 @@
+// Local stand-in for the PSER collection server, for testing sync without a real backend.
+//
+//   node tools/sync-server.js [port]
+//
+// Then set Settings > Sync Server > Server Address to http://<this machine>:8787
+//
+// Environment:
+//   SYNC_TOKEN=secret   require "Authorization: Bearer secret" on every request
+//   FAIL_RATE=0.3       answer that share of requests with 503 to exercise retries
+//
+// Besides the API the app uses, it accepts supervisor corrections so pulls can be tested:
+//   curl -X PATCH localhost:8787/surveys/<id> -d '{"hohName":"Corrected Name"}'
+//   curl -X DELETE 'localhost:8787/surveys/<id>?force=1'
+// and shows its contents at GET /status.
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const token = process.env.SYNC_TOKEN || '';
+const failRate = parseFloat(process.env.FAIL_RATE || '0');
+
+const surveys = new Map(); // id -> { record, revision, deleted }
+const media = new Map(); // id -> { type, size }
+let revision = 0;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Mirrors the checks a real server would make before accepting a record
+function validate(record) {
+    const errors = [];
+    if (!record.blockCode) errors.push('blockCode is required');
+    if (!/^\d{5}-\d{7}-\d$/.test(record.hohCnic || '')) errors.push('hohCnic must look like 33301-1234567-1');
+    if (!(record.houseNumber > 0)) errors.push('houseNumber must be positive');
+    return errors;
+}
+
+function store(id, record, deleted = false) {
+    revision++;
+    surveys.set(id, { record, revision, deleted });
+    return revision;
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: 'Unauthorized' });
+    if (failRate > 0 && Math.random() < failRate) return send(res, 503, { error: 'Simulated outage' });
+
+    if (req.method === 'GET' && url.pathname === '/status') {
+        return send(res, 200, {
+            revision,
+            surveys: Array.from(surveys.entries()).map(([id, entry]) => ({ id, revision: entry.revision, deleted: entry.deleted })),
+            media: Array.from(media.entries()).map(([id, entry]) => ({ id, ...entry }))
+        });
+    }
+
+    if (parts[0] === 'media' && parts[1] && req.method === 'PUT') {
+        const body = await readBody(req);
+        media.set(parts[1], { type: req.headers['content-type'], size: body.length });
+        return send(res, 200, { id: parts[1] });
+    }
+
+    if (parts[0] !== 'surveys') return send(res, 404, { error: 'Not found' });
+    const id = parts[1];
+    const current = id ? surveys.get(id) : null;
+
+    if (req.method === 'GET' && !id) {
+        const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+        const changes = Array.from(surveys.values())
+            .filter(entry => entry.revision > since)
+            .sort((a, b) => a.revision - b.revision)
+            .map(entry => ({ record: entry.record, revision: entry.revision, deleted: entry.deleted }));
+        return send(res, 200, { changes, cursor: revision });
+    }
+
+    if (req.method === 'GET' && id) {
+        return current ? send(res, 200, current) : send(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method === 'POST' && !id) {
+        const { record, baseRevision } = JSON.parse((await readBody(req)).toString() || '{}');
+        if (!record || !record.id) return send(res, 400, { error: 'record.id is required' });
+
+        const existing = surveys.get(record.id);
+        if (existing && existing.revision !== baseRevision) {
+            return send(res, 409, { record: existing.record, revision: existing.revision, deleted: existing.deleted });
+        }
+
+        const errors = validate(record);
+        if (errors.length > 0) return send(res, 422, { errors });
+
+        return send(res, 200, { revision: store(record.id, record) });
+    }
+
+    if (req.method === 'PATCH' && id) {
+        if (!current || current.deleted) return send(res, 404, { error: 'Not found' });
+        const changes = JSON.parse((await readBody(req)).toString() || '{}');
+        return send(res, 200, { revision: store(id, { ...current.record, ...changes }) });
+    }
+
+    if (req.method === 'DELETE' && id) {
+        if (!current || current.deleted) return send(res, 404, { error: 'Not found' });
+
+        const baseRevision = url.searchParams.get('baseRevision');
+        if (!url.searchParams.has('force') && String(current.revision) !== baseRevision) {
+            return send(res, 409, { record: current.record, revision: current.revision });
+        }
+        return send(res, 200, { revision: store(id, { id }, true) });
+    }
+
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+        console.error(error);
+        send(res, 500, { error: error.message });
+    });
+}).listen(port, () => {
+    console.log(`PSER sync stand-in listening on http://localhost:${port}`);
+});